@@ -12,6 +12,12 @@ public enum OperatingMode
     SEND
 }
 
+public enum BaseStationMode
+{
+    SurveyIn,
+    FixedPosition
+}
+
 public class GeoConfigurationManager
 {
     private readonly string _configFilePath;
@@ -135,6 +141,45 @@ public class GeoConfigurationManager
         }
     }
 
+    public BaseStationMode BaseStationMode
+    {
+        get => _configuration.BaseStationMode;
+        set
+        {
+            var oldValue = _configuration.BaseStationMode;
+            if (oldValue != value)
+            {
+                _logger?.LogDebug("Base station mode changing from {OldValue} to {NewValue}", oldValue, value);
+                _configuration.BaseStationMode = value;
+                _logger?.LogInformation("Base station mode updated: {OldValue} → {NewValue}", oldValue, value);
+            }
+        }
+    }
+
+    public FixedBasePosition? FixedBasePosition
+    {
+        get => _configuration.FixedBasePosition;
+        set
+        {
+            _logger?.LogDebug("Fixed base position being updated");
+            _configuration.FixedBasePosition = value;
+            _logger?.LogInformation("Fixed base position updated: {Latitude:F9}, {Longitude:F9}, {Height:F4}m",
+                value?.Latitude, value?.Longitude, value?.HeightMeters);
+        }
+    }
+
+    public ImuCalibration ImuCalibration
+    {
+        get => _configuration.ImuCalibration;
+        set
+        {
+            _logger?.LogDebug("IMU calibration being updated");
+            _configuration.ImuCalibration = value;
+            _logger?.LogInformation("IMU calibration updated - Magnetometer: {Magnetometer}, Accelerometer: {Accelerometer}",
+                value.Magnetometer != null ? "calibrated" : "none", value.Accelerometer != null ? "calibrated" : "none");
+        }
+    }
+
     public void SaveConfiguration()
     {
         try
@@ -217,6 +262,9 @@ public class GeoConfigurationManager
         public WiFiConfiguration WiFiConfiguration { get; set; } = new();
         public int SurveyInDurationSeconds { get; set; } = 10;
         public double SurveyInAccuracyLimitMeters { get; set; } = 100.0;
+        public BaseStationMode BaseStationMode { get; set; } = BaseStationMode.SurveyIn;
+        public FixedBasePosition? FixedBasePosition { get; set; }
+        public ImuCalibration ImuCalibration { get; set; } = new();
 
         private static string GetDefaultDeviceName()
         {
@@ -257,4 +305,33 @@ public class StoredWiFiNetwork
     public string SSID { get; set; } = string.Empty;
     public string Password { get; set; } = string.Empty;
     public DateTime LastConnected { get; set; }
+}
+
+// Antenna reference point of a base on a known mark: WGS84 latitude/longitude in degrees and
+// ellipsoidal height in meters, the antenna height already added
+public class FixedBasePosition
+{
+    public double Latitude { get; set; }
+    public double Longitude { get; set; }
+    public double HeightMeters { get; set; }
+    public double AccuracyMeters { get; set; } = 0.01;
+}
+
+// Sensor calibrations fitted in the web UI. They are applied to IMU-derived values (attitude,
+// heading); the IMU stream and its log files stay raw so a calibration can be redone later.
+public class ImuCalibration
+{
+    public SensorCalibration? Magnetometer { get; set; }
+    public SensorCalibration? Accelerometer { get; set; }
+}
+
+// Corrected = Matrix × (Raw − Offset), Matrix stored row-major
+public class SensorCalibration
+{
+    public double[] Offset { get; set; } = new double[3];
+    public double[] Matrix { get; set; } = { 1, 0, 0, 0, 1, 0, 0, 0, 1 };
+    // RMS deviation of the corrected calibration samples, relative to the expected magnitude
+    public double Residual { get; set; }
+    public int SampleCount { get; set; }
+    public DateTime CalibratedAt { get; set; }
 }
\ No newline at end of file
@@ -392,6 +392,14 @@ public class GnssInitializer
         // Enable Survey-In status
         await EnableMessageWithValset(UbxConstants.MSGOUT_UBX_NAV_SVIN_UART1, 1);
 
+        // A base on a known mark transmits the stored position right away instead of surveying in
+        var fixedPosition = _configurationManager.FixedBasePosition;
+        if (_configurationManager.BaseStationMode == BaseStationMode.FixedPosition && fixedPosition != null)
+        {
+            await SetFixedMode(fixedPosition);
+            return;
+        }
+
         // Start Survey-In with configurable parameters
         // Convert meters to 0.1mm units for UBlox
         uint accuracyLimit0P1Mm = (uint)(_configurationManager.SurveyInAccuracyLimitMeters * 10000);
@@ -541,6 +549,67 @@ public class GnssInitializer
         }
     }
 
+    private async Task SetFixedMode(FixedBasePosition position)
+    {
+        try
+        {
+            _logger.LogInformation("Setting Fixed mode: {Latitude:F9}, {Longitude:F9}, {Height:F4}m, {Accuracy}m accuracy",
+                position.Latitude, position.Longitude, position.HeightMeters, position.AccuracyMeters);
+
+            // Split each coordinate into the standard and high precision parts the receiver expects
+            var latitude1e9 = (long)Math.Round(position.Latitude * 1e9);
+            var longitude1e9 = (long)Math.Round(position.Longitude * 1e9);
+            var height0P1Mm = (long)Math.Round(position.HeightMeters * 10000);
+
+            var payload = new List<byte>
+            {
+                UbxConstants.VAL_VERSION,
+                (byte)UbxConstants.VAL_LAYER_RAM,
+                (byte)UbxConstants.ValTransaction.None,
+                0x00,
+            };
+
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_MODE));
+            payload.Add(UbxConstants.TMODE_FIXED);
+
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_POS_TYPE));
+            payload.Add(UbxConstants.TMODE_POS_TYPE_LLH);
+
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_LAT));
+            payload.AddRange(BitConverter.GetBytes((int)(latitude1e9 / 100)));
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_LAT_HP));
+            payload.Add((byte)(sbyte)(latitude1e9 % 100));
+
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_LON));
+            payload.AddRange(BitConverter.GetBytes((int)(longitude1e9 / 100)));
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_LON_HP));
+            payload.Add((byte)(sbyte)(longitude1e9 % 100));
+
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_HEIGHT));
+            payload.AddRange(BitConverter.GetBytes((int)(height0P1Mm / 100)));
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_HEIGHT_HP));
+            payload.Add((byte)(sbyte)(height0P1Mm % 100));
+
+            payload.AddRange(BitConverter.GetBytes(UbxConstants.TMODE_FIXED_POS_ACC));
+            payload.AddRange(BitConverter.GetBytes((uint)Math.Round(position.AccuracyMeters * 10000)));
+
+            var response = await SendUbxConfigMessageAsync(UbxConstants.CLASS_CFG, UbxConstants.CFG_VALSET, payload.ToArray());
+
+            if (response == UbxResponseType.Ack)
+                _logger.LogInformation("Fixed mode configured successfully");
+            else if (response == UbxResponseType.Nak)
+                _logger.LogWarning("Fixed mode configuration NAK");
+            else if (response == UbxResponseType.Timeout)
+                _logger.LogWarning("Fixed mode configuration timeout");
+            else
+                _logger.LogError("Fixed mode configuration error");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to set Fixed mode");
+        }
+    }
+
     private async Task SetNavigationRate(int rateHz)
     {
         try
@@ -2,8 +2,10 @@ namespace Backend.Hardware.Gnss.Models;
 
 public class HpPositionUpdate
 {
+    public uint ITow { get; set; }               // GPS time of week of the navigation epoch (ms)
     public double Latitude { get; set; }         // High precision latitude (1e-11 degrees, ~0.01mm)
     public double Longitude { get; set; }        // High precision longitude (1e-11 degrees, ~0.01mm)
+    public double HeightEllipsoid { get; set; }  // Height above the WGS84 ellipsoid (meters, 0.1mm precision)
     public double HeightMSL { get; set; }        // Height above mean sea level (meters, 0.1mm precision)
     public double HorizontalAccuracy { get; set; } // Horizontal accuracy estimate (meters)
     public double VerticalAccuracy { get; set; }   // Vertical accuracy estimate (meters)
@@ -65,8 +65,10 @@ public static class HighPrecisionPositionParser
 
                 var hpPositionData = new HpPositionUpdate
                 {
+                    ITow = iTOW,
                     Latitude = latitudeDeg,
                     Longitude = longitudeDeg,
+                    HeightEllipsoid = heightMeters,
                     HeightMSL = hMSLMeters,
                     HorizontalAccuracy = hAccMeters,
                     VerticalAccuracy = vAccMeters
@@ -123,11 +123,21 @@ namespace Backend.Hardware.Gnss
         public const uint TMODE_MODE = 0x20030001;         // U1: 0=Disabled,1=Survey-In,2=Fixed
         public const uint TMODE_SVIN_MIN_DUR = 0x40030010; // U4: seconds
         public const uint TMODE_SVIN_ACC_LIMIT = 0x40030011; // U4: 0.1 mm units
+        public const uint TMODE_POS_TYPE = 0x20030002;     // U1: 0=ECEF,1=LLH
+        public const uint TMODE_LAT = 0x40030009;          // I4: 1e-7 deg
+        public const uint TMODE_LON = 0x4003000a;          // I4: 1e-7 deg
+        public const uint TMODE_HEIGHT = 0x4003000b;       // I4: cm
+        public const uint TMODE_LAT_HP = 0x2003000c;       // I1: 1e-9 deg
+        public const uint TMODE_LON_HP = 0x2003000d;       // I1: 1e-9 deg
+        public const uint TMODE_HEIGHT_HP = 0x2003000e;    // I1: 0.1 mm
+        public const uint TMODE_FIXED_POS_ACC = 0x4003000f; // U4: 0.1 mm units
 
         public const byte TMODE_DISABLED = 0;
         public const byte TMODE_SURVEY_IN = 1;
         public const byte TMODE_FIXED = 2;
 
+        public const byte TMODE_POS_TYPE_LLH = 1;
+
         // Fast test defaults (adjust in app code if needed)
         public const uint SURVEY_IN_DURATION_SECONDS = 10;          // fast for testing
         public const uint SURVEY_IN_ACCURACY_LIMIT_0P1MM = 1_000_000; // 100.0 m = 1000000 * 0.1 mm
@@ -8,6 +8,9 @@ namespace Backend.Hardware.Imu;
 
 public class ImuService : BackgroundService
 {
+    // SignalR group of clients that asked for every sample (see DataHub.SubscribeImuFullRate)
+    public const string FullRateGroup = "ImuFullRate";
+
     private readonly IHubContext<DataHub> _hubContext;
     private readonly ILogger<ImuService> _logger;
     private readonly ImuInitializer _imuInitializer;
@@ -22,6 +25,11 @@ public class ImuService : BackgroundService
     private DateTime _lastSignalRSent = DateTime.MinValue;
     private readonly TimeSpan _signalRThrottleInterval = TimeSpan.FromMilliseconds(1000); // 1Hz = 1000ms interval
     private readonly object _throttleLock = new object();
+    // Full-rate samples collected since the last ImuBatch
+    private readonly List<ImuSample> _fullRateBatch = new();
+    private DateTime _lastBatchSent = DateTime.MinValue;
+    private readonly TimeSpan _batchInterval = TimeSpan.FromMilliseconds(200);
+    private readonly object _batchLock = new object();
     private bool _headerWritten = false;
 
     // Reusable buffers to reduce allocations
@@ -274,6 +282,8 @@ public class ImuService : BackgroundService
                         }
                     }
 
+                    QueueFullRateSample(imuData);
+
                     if (shouldSend)
                     {
                         _ = Task.Run(async () =>
@@ -315,6 +325,45 @@ public class ImuService : BackgroundService
         }
     }
 
+    // Batches every sample for the full-rate group, five batches a second instead of one message
+    // per sample. A group nobody joined costs no serialization.
+    private void QueueFullRateSample(ImuData imuData)
+    {
+        List<ImuSample>? batch = null;
+        lock (_batchLock)
+        {
+            _fullRateBatch.Add(new ImuSample
+            {
+                UptimeMs = imuData.SystemUptimeMs,
+                Acceleration = new Vector3Update { X = imuData.Acceleration.X, Y = imuData.Acceleration.Y, Z = imuData.Acceleration.Z },
+                Gyroscope = new Vector3Update { X = imuData.Gyroscope.X, Y = imuData.Gyroscope.Y, Z = imuData.Gyroscope.Z },
+                Magnetometer = new Vector3Update { X = imuData.Magnetometer.X, Y = imuData.Magnetometer.Y, Z = imuData.Magnetometer.Z }
+            });
+
+            var now = DateTime.UtcNow;
+            if (now - _lastBatchSent >= _batchInterval)
+            {
+                _lastBatchSent = now;
+                batch = new List<ImuSample>(_fullRateBatch);
+                _fullRateBatch.Clear();
+            }
+        }
+
+        if (batch == null) return;
+
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await _hubContext.Clients.Group(FullRateGroup).SendAsync("ImuBatch", new ImuBatch { Samples = batch });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to send IMU batch via SignalR");
+            }
+        });
+    }
+
     private int FindPacketStart()
     {
         // Look for "fmim" header (fmi + MEMS type 'm')
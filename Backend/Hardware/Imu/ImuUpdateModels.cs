@@ -14,4 +14,19 @@ public class Vector3Update
     public float X { get; set; }
     public float Y { get; set; }
     public float Z { get; set; }
+}
+
+// Every sample of a short interval at the full IMU rate, sent only to clients that subscribed to it
+public class ImuBatch
+{
+    public List<ImuSample> Samples { get; set; } = new();
+}
+
+public class ImuSample
+{
+    // Monotonic system uptime when the sample was parsed
+    public long UptimeMs { get; set; }
+    public Vector3Update Acceleration { get; set; } = new();
+    public Vector3Update Gyroscope { get; set; } = new();
+    public Vector3Update Magnetometer { get; set; } = new();
 }
\ No newline at end of file
@@ -384,10 +384,19 @@ public class DataHub : Hub
 
         try
         {
+            var fixedPosition = _configurationManager.FixedBasePosition;
             var settings = new
             {
                 surveyInDurationSeconds = _configurationManager.SurveyInDurationSeconds,
-                surveyInAccuracyLimitMeters = _configurationManager.SurveyInAccuracyLimitMeters
+                surveyInAccuracyLimitMeters = _configurationManager.SurveyInAccuracyLimitMeters,
+                baseStationMode = _configurationManager.BaseStationMode.ToString(),
+                fixedBasePosition = fixedPosition == null ? null : new
+                {
+                    latitude = fixedPosition.Latitude,
+                    longitude = fixedPosition.Longitude,
+                    heightMeters = fixedPosition.HeightMeters,
+                    accuracyMeters = fixedPosition.AccuracyMeters
+                }
             };
 
             _logger.LogDebug("Returning settings to client: {ConnectionId} - Duration: {Duration}s, Accuracy: {Accuracy}m",
@@ -401,7 +410,9 @@ public class DataHub : Hub
             return Task.FromResult<object>(new
             {
                 surveyInDurationSeconds = 10,
-                surveyInAccuracyLimitMeters = 100.0
+                surveyInAccuracyLimitMeters = 100.0,
+                baseStationMode = BaseStationMode.SurveyIn.ToString(),
+                fixedBasePosition = (object?)null
             });
         }
     }
@@ -460,4 +471,185 @@ public class DataHub : Hub
             return false;
         }
     }
+
+    // Switches the base to survey-in with the given parameters; the receiver is reconfigured
+    // right away in SEND mode, otherwise the setting applies the next time SEND is selected
+    public async Task<bool> StartSurveyIn(int surveyInDurationSeconds, double surveyInAccuracyLimitMeters)
+    {
+        var connectionId = Context.ConnectionId;
+        _logger.LogInformation("StartSurveyIn called by client: {ConnectionId} - Duration: {Duration}s, Accuracy: {Accuracy}m",
+            connectionId, surveyInDurationSeconds, surveyInAccuracyLimitMeters);
+
+        try
+        {
+            _configurationManager.SurveyInDurationSeconds = surveyInDurationSeconds;
+            _configurationManager.SurveyInAccuracyLimitMeters = surveyInAccuracyLimitMeters;
+            _configurationManager.BaseStationMode = BaseStationMode.SurveyIn;
+            _configurationManager.SaveConfiguration();
+
+            return await ReconfigureBaseAsync(connectionId);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Exception starting Survey-In for client: {ConnectionId}", connectionId);
+            return false;
+        }
+    }
+
+    // Puts the base on a known position (antenna reference point, WGS84 ellipsoidal height)
+    public async Task<bool> SetFixedBasePosition(double latitude, double longitude, double heightMeters, double accuracyMeters)
+    {
+        var connectionId = Context.ConnectionId;
+        _logger.LogInformation("SetFixedBasePosition called by client: {ConnectionId} - {Latitude:F9}, {Longitude:F9}, {Height:F4}m, Accuracy: {Accuracy}m",
+            connectionId, latitude, longitude, heightMeters, accuracyMeters);
+
+        if (Math.Abs(latitude) > 90 || Math.Abs(longitude) > 180 || Math.Abs(heightMeters) > 10000 || accuracyMeters <= 0)
+        {
+            _logger.LogWarning("SetFixedBasePosition rejected invalid position from client: {ConnectionId}", connectionId);
+            return false;
+        }
+
+        try
+        {
+            _configurationManager.FixedBasePosition = new FixedBasePosition
+            {
+                Latitude = latitude,
+                Longitude = longitude,
+                HeightMeters = heightMeters,
+                AccuracyMeters = accuracyMeters
+            };
+            _configurationManager.BaseStationMode = BaseStationMode.FixedPosition;
+            _configurationManager.SaveConfiguration();
+
+            return await ReconfigureBaseAsync(connectionId);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Exception setting fixed base position for client: {ConnectionId}", connectionId);
+            return false;
+        }
+    }
+
+    private async Task<bool> ReconfigureBaseAsync(string connectionId)
+    {
+        if (_configurationManager.OperatingMode != OperatingMode.SEND)
+        {
+            _logger.LogInformation("Base settings saved, applied when SEND mode is selected - client: {ConnectionId}", connectionId);
+            return true;
+        }
+
+        var success = await _gnssInitializer.ReconfigureAsync();
+        if (success)
+        {
+            _logger.LogInformation("Base station reconfigured for {BaseMode} - client: {ConnectionId}",
+                _configurationManager.BaseStationMode, connectionId);
+        }
+        else
+        {
+            _logger.LogWarning("Base station reconfiguration failed for client: {ConnectionId}", connectionId);
+        }
+
+        return success;
+    }
+
+    // Full-rate IMU samples arrive as ImuBatch while subscribed; ImuUpdate stays at 1 Hz for everyone.
+    // SignalR drops the subscription when the connection closes.
+    public async Task SubscribeImuFullRate()
+    {
+        _logger.LogInformation("Client {ConnectionId} subscribed to the full-rate IMU stream", Context.ConnectionId);
+        await Groups.AddToGroupAsync(Context.ConnectionId, ImuService.FullRateGroup);
+    }
+
+    public async Task UnsubscribeImuFullRate()
+    {
+        _logger.LogInformation("Client {ConnectionId} unsubscribed from the full-rate IMU stream", Context.ConnectionId);
+        await Groups.RemoveFromGroupAsync(Context.ConnectionId, ImuService.FullRateGroup);
+    }
+
+    public Task<ImuCalibration> GetImuCalibration()
+    {
+        _logger.LogDebug("GetImuCalibration called by client: {ConnectionId}", Context.ConnectionId);
+        return Task.FromResult(_configurationManager.ImuCalibration);
+    }
+
+    // Stores a calibration fitted by the client for "Magnetometer" or "Accelerometer":
+    // corrected = matrix (row-major 3×3) × (raw − offset)
+    public async Task<bool> SetImuCalibration(string sensor, double[] offset, double[] matrix, double residual, int sampleCount)
+    {
+        var connectionId = Context.ConnectionId;
+        _logger.LogInformation("SetImuCalibration called for {Sensor} by client: {ConnectionId} - Residual: {Residual:P1}, Samples: {SampleCount}",
+            sensor, connectionId, residual, sampleCount);
+
+        if (offset == null || matrix == null || offset.Length != 3 || matrix.Length != 9 ||
+            offset.Concat(matrix).Any(value => !double.IsFinite(value)) || Determinant(matrix) <= 0)
+        {
+            _logger.LogWarning("SetImuCalibration rejected invalid parameters from client: {ConnectionId}", connectionId);
+            return false;
+        }
+
+        var calibration = new SensorCalibration
+        {
+            Offset = offset,
+            Matrix = matrix,
+            Residual = residual,
+            SampleCount = sampleCount,
+            CalibratedAt = DateTime.UtcNow
+        };
+
+        return await UpdateImuCalibrationAsync(sensor, calibration, connectionId);
+    }
+
+    public async Task<bool> ClearImuCalibration(string sensor)
+    {
+        var connectionId = Context.ConnectionId;
+        _logger.LogInformation("ClearImuCalibration called for {Sensor} by client: {ConnectionId}", sensor, connectionId);
+
+        return await UpdateImuCalibrationAsync(sensor, null, connectionId);
+    }
+
+    private async Task<bool> UpdateImuCalibrationAsync(string sensor, SensorCalibration? calibration, string connectionId)
+    {
+        try
+        {
+            var current = _configurationManager.ImuCalibration;
+            var updated = new ImuCalibration
+            {
+                Magnetometer = current.Magnetometer,
+                Accelerometer = current.Accelerometer
+            };
+
+            switch (sensor.ToLowerInvariant())
+            {
+                case "magnetometer":
+                    updated.Magnetometer = calibration;
+                    break;
+                case "accelerometer":
+                    updated.Accelerometer = calibration;
+                    break;
+                default:
+                    _logger.LogWarning("Unknown IMU sensor '{Sensor}' from client: {ConnectionId}", sensor, connectionId);
+                    return false;
+            }
+
+            _configurationManager.ImuCalibration = updated;
+            _configurationManager.SaveConfiguration();
+
+            // Every open dashboard derives attitude from the same calibration
+            await Clients.All.SendAsync("ImuCalibrationUpdated", updated);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Exception updating IMU calibration for client: {ConnectionId}", connectionId);
+            return false;
+        }
+    }
+
+    // A mirrored or collapsed axis (determinant ≤ 0) cannot come from a valid fit
+    private static double Determinant(double[] m)
+    {
+        return m[0] * (m[4] * m[8] - m[5] * m[7]) -
+               m[1] * (m[3] * m[8] - m[5] * m[6]) +
+               m[2] * (m[3] * m[7] - m[4] * m[6]);
+    }
 }
\ No newline at end of file
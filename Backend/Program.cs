@@ -150,6 +150,12 @@ builder.Services.AddHostedService<FileLoggingStatusService>();
 // Add battery logging service
 builder.Services.AddHostedService<BatteryLoggingService>();
 
+// Add offline map tiles served from the logging drive
+builder.Services.AddSingleton<OfflineTileProvider>();
+
+// Add geoid grids uploaded to the unit
+builder.Services.AddSingleton<GeoidModelStore>();
+
 // Add CORS for frontend
 builder.Services.AddCors(options =>
 {
@@ -316,6 +322,44 @@ app.MapGet("/", async (HttpContext context, ILogger<Program> logger) =>
     }
 });
 
+// Offline map tiles from the logging drive (must be mapped before the SPA fallback)
+app.MapGet("/tiles", (OfflineTileProvider tiles) => Results.Ok(tiles.GetTilesets()));
+
+app.MapGet("/tiles/{tileset}/{z:int}/{x:int}/{y:int}", (string tileset, int z, int x, int y, OfflineTileProvider tiles) =>
+{
+    var tilePath = tiles.GetTilePath(tileset, z, x, y);
+    return tilePath == null
+        ? Results.NotFound()
+        : Results.File(tilePath, OfflineTileProvider.GetContentType(tilePath));
+});
+
+// Geoid grid files kept on the unit, interpolated by the frontend
+app.MapGet("/geoid", (GeoidModelStore geoid) => Results.Ok(geoid.GetModels()));
+
+app.MapGet("/geoid/{name}", (string name, GeoidModelStore geoid) =>
+{
+    var modelPath = geoid.GetModelPath(name);
+    return modelPath == null
+        ? Results.NotFound()
+        : Results.File(modelPath, "application/octet-stream");
+});
+
+// Raw request body rather than multipart, so no antiforgery setup is needed
+app.MapPut("/geoid/{name}", async (string name, HttpRequest request, GeoidModelStore geoid, CancellationToken cancellationToken) =>
+{
+    var sizeFeature = request.HttpContext.Features.Get<Microsoft.AspNetCore.Http.Features.IHttpMaxRequestBodySizeFeature>();
+    if (sizeFeature is { IsReadOnly: false })
+        sizeFeature.MaxRequestBodySize = GeoidModelStore.MaxFileSizeBytes;
+
+    var result = await geoid.SaveModelAsync(name, request.Body, cancellationToken);
+    return result.Success ? Results.Ok(geoid.GetModels()) : Results.BadRequest(result.Error);
+});
+
+app.MapDelete("/geoid/{name}", (string name, GeoidModelStore geoid) =>
+{
+    return geoid.DeleteModel(name) ? Results.Ok(geoid.GetModels()) : Results.NotFound();
+});
+
 // Map SignalR hub
 app.MapHub<DataHub>("/datahub");
 
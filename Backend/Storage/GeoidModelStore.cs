@@ -0,0 +1,153 @@
+namespace Backend.Storage;
+
+/// <summary>
+/// Keeps uploaded geoid grid files on the unit so orthometric heights do not depend on the logging drive.
+/// The files are stored as uploaded and interpolated by the frontend; supported formats are
+/// NOAA GTX (.gtx) and ISG (.isg). Layout: ~/geoid/{name}.
+/// </summary>
+public class GeoidModelStore
+{
+    public const string GeoidDirectoryName = "geoid";
+
+    // Regional cut-outs of global models stay well below this; the browser loads the whole grid
+    public const long MaxFileSizeBytes = 64L * 1024 * 1024;
+
+    private static readonly string[] SupportedExtensions = { ".gtx", ".isg" };
+
+    private readonly ILogger<GeoidModelStore> _logger;
+    private readonly string _geoidRoot;
+
+    public GeoidModelStore(ILogger<GeoidModelStore> logger)
+    {
+        _logger = logger;
+        _geoidRoot = Path.Combine(Environment.GetFolderPath(Environment.SpecialFolder.UserProfile), GeoidDirectoryName);
+    }
+
+    public List<GeoidModelInfo> GetModels()
+    {
+        var models = new List<GeoidModelInfo>();
+        if (!Directory.Exists(_geoidRoot))
+            return models;
+
+        try
+        {
+            foreach (var path in Directory.GetFiles(_geoidRoot).Where(IsSupportedFile).OrderBy(path => path))
+            {
+                var info = new FileInfo(path);
+                models.Add(new GeoidModelInfo
+                {
+                    Name = info.Name,
+                    Format = info.Extension.TrimStart('.').ToLowerInvariant(),
+                    SizeBytes = info.Length,
+                    UploadedAt = new DateTimeOffset(info.LastWriteTimeUtc).ToUnixTimeMilliseconds()
+                });
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing geoid models in {GeoidRoot}", _geoidRoot);
+        }
+
+        return models;
+    }
+
+    // Returns the file of a stored model, or null when it does not exist
+    public string? GetModelPath(string name)
+    {
+        if (!StoragePaths.IsSafeName(name) || !IsSupportedFile(name))
+            return null;
+
+        var path = Path.Combine(_geoidRoot, name);
+        return File.Exists(path) ? path : null;
+    }
+
+    // Writes to a temporary file first so an interrupted upload never replaces a working model
+    public async Task<GeoidSaveResult> SaveModelAsync(string name, Stream content, CancellationToken cancellationToken)
+    {
+        if (!StoragePaths.IsSafeName(name) || !IsSupportedFile(name))
+            return GeoidSaveResult.Failed($"Unsupported file name '{name}', expected .gtx or .isg");
+
+        Directory.CreateDirectory(_geoidRoot);
+        var path = Path.Combine(_geoidRoot, name);
+        var tempPath = path + ".upload";
+
+        try
+        {
+            long written = 0;
+            await using (var file = File.Create(tempPath))
+            {
+                var buffer = new byte[81920];
+                int read;
+                while ((read = await content.ReadAsync(buffer, cancellationToken)) > 0)
+                {
+                    written += read;
+                    if (written > MaxFileSizeBytes)
+                    {
+                        file.Close();
+                        File.Delete(tempPath);
+                        return GeoidSaveResult.Failed($"Geoid file exceeds {MaxFileSizeBytes / (1024 * 1024)} MB");
+                    }
+                    await file.WriteAsync(buffer.AsMemory(0, read), cancellationToken);
+                }
+            }
+
+            if (written == 0)
+            {
+                File.Delete(tempPath);
+                return GeoidSaveResult.Failed("Geoid file is empty");
+            }
+
+            File.Move(tempPath, path, overwrite: true);
+            _logger.LogInformation("Stored geoid model {Name} ({Size} bytes)", name, written);
+            return GeoidSaveResult.Succeeded();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to store geoid model {Name}", name);
+            if (File.Exists(tempPath))
+                File.Delete(tempPath);
+            return GeoidSaveResult.Failed("Failed to store the geoid file on the unit");
+        }
+    }
+
+    public bool DeleteModel(string name)
+    {
+        var path = GetModelPath(name);
+        if (path == null)
+            return false;
+
+        try
+        {
+            File.Delete(path);
+            _logger.LogInformation("Deleted geoid model {Name}", name);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete geoid model {Name}", name);
+            return false;
+        }
+    }
+
+    private static bool IsSupportedFile(string path)
+    {
+        return SupportedExtensions.Contains(Path.GetExtension(path), StringComparer.OrdinalIgnoreCase);
+    }
+}
+
+public class GeoidModelInfo
+{
+    public string Name { get; set; } = string.Empty;
+    public string Format { get; set; } = string.Empty;
+    public long SizeBytes { get; set; }
+    public long UploadedAt { get; set; }
+}
+
+public class GeoidSaveResult
+{
+    public bool Success { get; set; }
+    public string? Error { get; set; }
+
+    public static GeoidSaveResult Succeeded() => new() { Success = true };
+    public static GeoidSaveResult Failed(string error) => new() { Success = false, Error = error };
+}
@@ -0,0 +1,113 @@
+namespace Backend.Storage;
+
+/// <summary>
+/// Serves map tiles copied onto the logging drive so the map view works without internet.
+/// Expected layout: {drive}/Tiles/{tileset}/{z}/{x}/{y}.png (also .jpg, .jpeg, .webp).
+/// Vector tiles must be rendered to raster before copying.
+/// </summary>
+public class OfflineTileProvider
+{
+    public const string TilesDirectoryName = "Tiles";
+
+    private static readonly Dictionary<string, string> ContentTypes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        [".png"] = "image/png",
+        [".jpg"] = "image/jpeg",
+        [".jpeg"] = "image/jpeg",
+        [".webp"] = "image/webp"
+    };
+
+    private readonly ILogger<OfflineTileProvider> _logger;
+
+    public OfflineTileProvider(ILogger<OfflineTileProvider> logger)
+    {
+        _logger = logger;
+    }
+
+    public List<TilesetInfo> GetTilesets()
+    {
+        var tilesets = new List<TilesetInfo>();
+        var tilesRoot = GetTilesRoot();
+        if (tilesRoot == null)
+            return tilesets;
+
+        try
+        {
+            foreach (var tilesetDir in Directory.GetDirectories(tilesRoot).OrderBy(dir => dir))
+            {
+                var zoomLevels = Directory.GetDirectories(tilesetDir)
+                    .Select(dir => int.TryParse(Path.GetFileName(dir), out var zoom) ? zoom : -1)
+                    .Where(zoom => zoom >= 0)
+                    .ToList();
+
+                if (zoomLevels.Count == 0)
+                    continue;
+
+                tilesets.Add(new TilesetInfo
+                {
+                    Name = Path.GetFileName(tilesetDir),
+                    MinZoom = zoomLevels.Min(),
+                    MaxZoom = zoomLevels.Max(),
+                    Format = DetectFormat(Path.Combine(tilesetDir, zoomLevels.Min().ToString()))
+                });
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error listing offline tilesets in {TilesRoot}", tilesRoot);
+        }
+
+        return tilesets;
+    }
+
+    // Returns the file backing a tile, or null when the drive, tileset or tile is missing
+    public string? GetTilePath(string tileset, int z, int x, int y)
+    {
+        var tilesRoot = GetTilesRoot();
+        if (tilesRoot == null || !StoragePaths.IsSafeName(tileset) || z < 0 || x < 0 || y < 0)
+            return null;
+
+        var basePath = Path.Combine(tilesRoot, tileset, z.ToString(), x.ToString(), y.ToString());
+        foreach (var extension in ContentTypes.Keys)
+        {
+            var path = basePath + extension;
+            if (File.Exists(path))
+                return path;
+        }
+
+        return null;
+    }
+
+    public static string GetContentType(string path)
+    {
+        return ContentTypes.TryGetValue(Path.GetExtension(path), out var contentType)
+            ? contentType
+            : "application/octet-stream";
+    }
+
+    private static string? GetTilesRoot()
+    {
+        var drivePath = DataFileWriter.SharedDrivePath;
+        if (!DataFileWriter.SharedDriveAvailable || string.IsNullOrEmpty(drivePath))
+            return null;
+
+        var tilesRoot = Path.Combine(drivePath, TilesDirectoryName);
+        return Directory.Exists(tilesRoot) ? tilesRoot : null;
+    }
+
+    private static string DetectFormat(string zoomDir)
+    {
+        var firstTile = Directory.EnumerateFiles(zoomDir, "*.*", SearchOption.AllDirectories)
+            .FirstOrDefault(file => ContentTypes.ContainsKey(Path.GetExtension(file)));
+
+        return firstTile != null ? Path.GetExtension(firstTile).TrimStart('.').ToLowerInvariant() : "png";
+    }
+}
+
+public class TilesetInfo
+{
+    public string Name { get; set; } = string.Empty;
+    public string Format { get; set; } = string.Empty;
+    public int MinZoom { get; set; }
+    public int MaxZoom { get; set; }
+}
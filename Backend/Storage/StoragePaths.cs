@@ -0,0 +1,18 @@
+namespace Backend.Storage;
+
+/// <summary>
+/// Path checks shared by the stores that serve files named in a request URL.
+/// </summary>
+public static class StoragePaths
+{
+    // Names from a URL must stay a single directory level below the store's root
+    public static bool IsSafeName(string name)
+    {
+        return !string.IsNullOrWhiteSpace(name)
+            && name != "."
+            && name != ".."
+            && name.IndexOfAny(Path.GetInvalidFileNameChars()) < 0
+            && !name.Contains('/')
+            && !name.Contains('\\');
+    }
+}
@@ -0,0 +1,361 @@
+import { reactive, computed } from 'vue';
+import { useGnssData } from './useGnssData';
+import { useSystemData } from './useSystemData';
+import { useConnectionData } from './useConnectionData';
+import { useSignalR } from './useSignalR';
+import { createPersistedState, createRecordId } from './usePersistedState';
+import { logEvent } from './useEventJournal';
+import { classifyFixType } from '@/utils/fixQuality';
+import { playAlertSound } from '@/utils/alertSound';
+
+const { state: gnssState } = useGnssData();
+const { state: systemState } = useSystemData();
+const { state: wifiState } = useConnectionData();
+const { isReplaying } = useSignalR();
+
+const EVALUATION_INTERVAL_MS = 1000;
+const MAX_HISTORY = 200;
+// Critical toasts stay until dismissed, the rest fade after this
+const TOAST_TIMEOUT_MS = 8000;
+
+// Alert severity as recorded in the event journal
+const JOURNAL_SEVERITY = { info: 'info', warning: 'warning', critical: 'error' };
+
+export const ALERT_SEVERITIES = [
+  { value: 'info', label: 'Info', class: 'bg-blue-100 text-blue-800', border: 'border-blue-400' },
+  { value: 'warning', label: 'Warning', class: 'bg-amber-100 text-amber-800', border: 'border-amber-400' },
+  { value: 'critical', label: 'Critical', class: 'bg-red-100 text-red-800', border: 'border-red-500' }
+];
+
+// A stream that stopped arriving leaves its last values in place; they are not readings any more
+const gnssReading = (read) => () => (gnssState.stale.position ? null : read());
+const healthReading = (read) => () => (systemState.stale.systemHealth ? null : read());
+
+// Quantities a rule can watch. read() returns null when the value does not apply right now
+// (no data yet, its stream stale, or a rover-only value while not a rover); a rule on a null
+// value never fires.
+export const ALERT_METRICS = [
+  {
+    key: 'rtkFixed',
+    label: 'RTK Fixed (rover)',
+    type: 'boolean',
+    read: gnssReading(() =>
+    {
+      const { corrections, fixType } = gnssState.gnssData;
+      if (corrections.mode !== 'RECEIVE' || fixType === null) return null;
+      return classifyFixType(fixType) === 'fixed';
+    })
+  },
+  {
+    key: 'correctionAge',
+    label: 'Correction age (rover)',
+    type: 'number',
+    unit: 's',
+    read: gnssReading(() =>
+    {
+      const { corrections } = gnssState.gnssData;
+      if (corrections.mode !== 'RECEIVE' || corrections.status.age === null) return null;
+      return corrections.status.age / 1000;
+    })
+  },
+  { key: 'hAcc', label: 'Horizontal accuracy', type: 'number', unit: 'm', read: gnssReading(() => gnssState.gnssData.hAcc) },
+  { key: 'satellitesUsed', label: 'Satellites used', type: 'number', unit: '', read: gnssReading(() => gnssState.gnssData.satellitesUsed) },
+  { key: 'batteryLevel', label: 'Battery level', type: 'number', unit: '%', read: healthReading(() => systemState.systemHealth.batteryLevel) },
+  { key: 'temperature', label: 'CPU temperature', type: 'number', unit: '°C', read: healthReading(() => systemState.systemHealth.temperature) },
+  { key: 'cpuUsage', label: 'CPU usage', type: 'number', unit: '%', read: healthReading(() => systemState.systemHealth.cpuUsage) },
+  {
+    key: 'driveFreeGb',
+    label: 'USB drive free space',
+    type: 'number',
+    unit: 'GB',
+    read: () =>
+    {
+      if (systemState.stale.fileLogging) return null;
+
+      const { driveAvailable, availableSpaceBytes } = systemState.fileLoggingStatus;
+      return driveAvailable && availableSpaceBytes !== null ? availableSpaceBytes / 1e9 : null;
+    }
+  },
+  {
+    key: 'cameraConnected',
+    label: 'Camera connected',
+    type: 'boolean',
+    // A camera that never reported is absent, not disconnected
+    read: () => systemState.lastReceived.camera !== null ? systemState.cameraData.isConnected && !systemState.stale.camera : null
+  },
+  { key: 'wifiConnected', label: 'WiFi connected', type: 'boolean', read: () => wifiState.wifiStatus.currentMode === 'AP' ? null : wifiState.wifiStatus.isConnected },
+  { key: 'wifiSignal', label: 'WiFi signal', type: 'number', unit: 'dBm', read: () => wifiState.wifiStatus.isConnected ? wifiState.wifiStatus.signalStrength : null }
+];
+
+export const ALERT_OPERATORS = {
+  number: [
+    { value: 'gt', label: 'above' },
+    { value: 'lt', label: 'below' }
+  ],
+  boolean: [
+    { value: 'false', label: 'is false' },
+    { value: 'true', label: 'is true' }
+  ]
+};
+
+const DEFAULT_RULES = [
+  { name: 'RTK fix lost', metric: 'rtkFixed', operator: 'false', threshold: null, holdSeconds: 10, severity: 'warning' },
+  { name: 'Corrections late', metric: 'correctionAge', operator: 'gt', threshold: 5, holdSeconds: 0, severity: 'warning' },
+  { name: 'Battery low', metric: 'batteryLevel', operator: 'lt', threshold: 20, holdSeconds: 0, severity: 'warning' },
+  { name: 'Temperature high', metric: 'temperature', operator: 'gt', threshold: 75, holdSeconds: 5, severity: 'critical' },
+  { name: 'USB drive almost full', metric: 'driveFreeGb', operator: 'lt', threshold: 1, holdSeconds: 0, severity: 'warning' },
+  { name: 'Camera disconnected', metric: 'cameraConnected', operator: 'false', threshold: null, holdSeconds: 5, severity: 'warning' }
+].map((rule, index) => ({ id: `default-${index + 1}`, enabled: true, sound: true, notify: true, ...rule }));
+
+const alerts = createPersistedState('alerts', {
+  rules: DEFAULT_RULES,
+  settings: {
+    sound: true,
+    notifications: false
+  },
+  // Newest first: { id, ruleId, ruleName, severity, message, firedAt, resolvedAt }
+  history: []
+});
+
+// Alerts left open by the previous page load ended with it; a rule whose condition still
+// holds fires again after its hold time
+alerts.history.forEach(entry =>
+{
+  if (entry.resolvedAt === null)
+  {
+    entry.resolvedAt = Date.now();
+  }
+});
+
+// Toasts on screen (not persisted)
+const toasts = reactive([]);
+
+// Per rule: when the condition started holding, and the history entry of the firing alert
+const ruleRuntime = new Map();
+
+export const getMetric = (key) => ALERT_METRICS.find(metric => metric.key === key);
+
+const formatValue = (metric, value) =>
+{
+  if (metric.type === 'boolean') return value ? 'true' : 'false';
+  const rounded = Number.isInteger(value) ? value : Number(value.toFixed(value < 10 ? 2 : 1));
+  return metric.unit ? `${rounded} ${metric.unit}` : String(rounded);
+};
+
+// Human readable condition, e.g. "Correction age (rover) above 5 s for 10 s"
+export const describeRule = (rule) =>
+{
+  const metric = getMetric(rule.metric);
+  if (!metric) return 'Unknown metric';
+
+  const operator = ALERT_OPERATORS[metric.type].find(option => option.value === rule.operator);
+  const threshold = metric.type === 'number' ? ` ${formatValue(metric, rule.threshold)}` : '';
+  const hold = rule.holdSeconds > 0 ? ` for ${rule.holdSeconds} s` : '';
+  return `${metric.label} ${operator?.label ?? rule.operator}${threshold}${hold}`;
+};
+
+const matches = (rule, value) =>
+{
+  switch (rule.operator)
+  {
+    case 'gt': return value > rule.threshold;
+    case 'lt': return value < rule.threshold;
+    case 'true': return value === true;
+    case 'false': return value === false;
+    default: return false;
+  }
+};
+
+// Browsers only offer notifications to secure pages (HTTPS or localhost). Not a computed:
+// the permission can change in the browser's site settings without Vue noticing.
+const getNotificationSupport = () =>
+{
+  if (typeof window === 'undefined' || !('Notification' in window)) return 'unsupported';
+  if (!window.isSecureContext) return 'insecure';
+  return Notification.permission;
+};
+
+const dismissToast = (id) =>
+{
+  const index = toasts.findIndex(toast => toast.id === id);
+  if (index !== -1)
+  {
+    toasts.splice(index, 1);
+  }
+};
+
+const showToast = (entry) =>
+{
+  const toast = { id: entry.id, title: entry.ruleName, message: entry.message, severity: entry.severity, time: entry.firedAt };
+  toasts.unshift(toast);
+  if (entry.severity !== 'critical')
+  {
+    setTimeout(() => dismissToast(toast.id), TOAST_TIMEOUT_MS);
+  }
+};
+
+const fire = (rule, metric, value, now) =>
+{
+  const entry = {
+    id: createRecordId(),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    severity: rule.severity,
+    message: `${describeRule(rule)} (now ${formatValue(metric, value)})`,
+    firedAt: now,
+    resolvedAt: null
+  };
+
+  alerts.history.unshift(entry);
+  if (alerts.history.length > MAX_HISTORY)
+  {
+    alerts.history.splice(MAX_HISTORY);
+  }
+
+  logEvent('alerts', JOURNAL_SEVERITY[rule.severity] ?? 'info', `${rule.name}: ${entry.message}`);
+  showToast(entry);
+  if (rule.sound && alerts.settings.sound)
+  {
+    playAlertSound(rule.severity);
+  }
+  if (rule.notify && alerts.settings.notifications && getNotificationSupport() === 'granted')
+  {
+    new Notification(rule.name, { body: entry.message, tag: rule.id });
+  }
+  return entry.id;
+};
+
+const resolve = (entryId, now) =>
+{
+  const entry = alerts.history.find(candidate => candidate.id === entryId);
+  if (entry && entry.resolvedAt === null)
+  {
+    entry.resolvedAt = now;
+    logEvent('alerts', 'info', `${entry.ruleName}: cleared`);
+  }
+};
+
+// Resolve the firing alerts and restart every hold time
+const disarmRules = (now) =>
+{
+  ruleRuntime.forEach(runtime =>
+  {
+    if (runtime.entryId) resolve(runtime.entryId, now);
+  });
+  ruleRuntime.clear();
+};
+
+const evaluateRules = () =>
+{
+  const now = Date.now();
+
+  // Rules watch the live device; a recorded session being replayed must not fire them
+  if (isReplaying.value)
+  {
+    disarmRules(now);
+    return;
+  }
+
+  alerts.rules.forEach(rule =>
+  {
+    const runtime = ruleRuntime.get(rule.id) ?? { since: null, entryId: null };
+    const metric = getMetric(rule.metric);
+    const value = rule.enabled && metric ? metric.read() : null;
+
+    if (value === null || value === undefined || !matches(rule, value))
+    {
+      if (runtime.entryId) resolve(runtime.entryId, now);
+      ruleRuntime.set(rule.id, { since: null, entryId: null });
+      return;
+    }
+
+    runtime.since ??= now;
+    if (!runtime.entryId && now - runtime.since >= rule.holdSeconds * 1000)
+    {
+      runtime.entryId = fire(rule, metric, value, now);
+    }
+    ruleRuntime.set(rule.id, runtime);
+  });
+};
+
+setInterval(evaluateRules, EVALUATION_INTERVAL_MS);
+
+const activeAlerts = computed(() => alerts.history.filter(entry => entry.resolvedAt === null));
+
+const saveRule = (rule) =>
+{
+  const existing = alerts.rules.find(candidate => candidate.id === rule.id);
+  if (existing)
+  {
+    Object.assign(existing, rule);
+    // Re-arm so the edited condition is judged from scratch
+    const runtime = ruleRuntime.get(rule.id);
+    if (runtime?.entryId) resolve(runtime.entryId, Date.now());
+    ruleRuntime.delete(rule.id);
+    return existing;
+  }
+
+  const created = { ...rule, id: createRecordId() };
+  alerts.rules.push(created);
+  return created;
+};
+
+const removeRule = (id) =>
+{
+  const index = alerts.rules.findIndex(rule => rule.id === id);
+  if (index === -1) return;
+
+  const runtime = ruleRuntime.get(id);
+  if (runtime?.entryId) resolve(runtime.entryId, Date.now());
+  ruleRuntime.delete(id);
+  alerts.rules.splice(index, 1);
+};
+
+const resetRules = () =>
+{
+  disarmRules(Date.now());
+  alerts.rules = structuredClone(DEFAULT_RULES);
+};
+
+const clearHistory = () =>
+{
+  // Firing alerts stay listed, their rules still refer to them
+  alerts.history = alerts.history.filter(entry => entry.resolvedAt === null);
+};
+
+const setNotificationsEnabled = async (enabled) =>
+{
+  if (!enabled)
+  {
+    alerts.settings.notifications = false;
+    return true;
+  }
+  const support = getNotificationSupport();
+  if (support === 'unsupported' || support === 'insecure') return false;
+
+  const permission = await Notification.requestPermission();
+  alerts.settings.notifications = permission === 'granted';
+  return alerts.settings.notifications;
+};
+
+const testAlertSound = (severity) =>
+{
+  playAlertSound(severity);
+};
+
+export function useAlerts()
+{
+  return {
+    alerts,
+    toasts,
+    activeAlerts,
+    getNotificationSupport,
+    saveRule,
+    removeRule,
+    resetRules,
+    clearHistory,
+    dismissToast,
+    setNotificationsEnabled,
+    testAlertSound
+  };
+}
@@ -0,0 +1,110 @@
+import { reactive, watch } from 'vue';
+import { useSystemData, onImuSample, onImuFullRateSample, isImuFullRateActive } from './useSystemData';
+import { createPersistedState } from './usePersistedState';
+import { createScopedActivity } from './useScopedActivity';
+import { useImuCalibration } from './useImuCalibration';
+import { createAttitudeFilter, DEFAULT_FILTER_SETTINGS } from '@/utils/attitudeFilter';
+
+const { state: systemState } = useSystemData();
+const { calibration, calibrateSample } = useImuCalibration();
+
+const filterSettings = createPersistedState('attitudeFilter', DEFAULT_FILTER_SETTINGS);
+
+const filter = createAttitudeFilter(filterSettings);
+
+// Latest filtered attitude; angles in degrees, yaw is the magnetic heading (0-360°)
+const attitude = reactive({
+  valid: false,
+  roll: null,
+  pitch: null,
+  yaw: null,
+  quaternion: { w: 1, x: 0, y: 0, z: 0 },
+  gyroBias: { x: 0, y: 0, z: 0 },
+  // The last accelerometer sample did not look like gravity alone and was left out
+  accelerationRejected: false
+});
+
+const applyAttitude = (result) =>
+{
+  if (!result) return;
+
+  attitude.valid = true;
+  attitude.roll = result.roll;
+  attitude.pitch = result.pitch;
+  attitude.yaw = result.yaw;
+  attitude.quaternion = result.quaternion;
+  attitude.gyroBias = result.gyroBias;
+  attitude.accelerationRejected = result.accelerationRejected;
+};
+
+watch(filterSettings, () =>
+{
+  filter.configure(filterSettings);
+}, { deep: true });
+
+// Start over from the next sample, e.g. after the unit was remounted
+const resetFilter = () =>
+{
+  filter.reset();
+  attitude.valid = false;
+};
+
+const resetFilterSettings = () =>
+{
+  Object.assign(filterSettings, DEFAULT_FILTER_SETTINGS);
+  resetFilter();
+};
+
+// While a component shows or uses the attitude, integrate every calibrated sample of the full-rate
+// stream over the device's own sample spacing. A device restart sends the clock backwards, which the
+// filter takes as a gap and starts over. Without the full-rate stream (replay, older backend) the
+// 1 Hz updates still give tilt and heading, timed by arrival; switching between the two clocks
+// restarts the filter the same way.
+const retainFilter = createScopedActivity(() =>
+{
+  const stops = [
+    onImuFullRateSample((sample) =>
+    {
+      applyAttitude(filter.update(calibrateSample(sample), sample.deviceTime / 1000));
+    }),
+    onImuSample((sample) =>
+    {
+      if (isImuFullRateActive()) return;
+      applyAttitude(filter.update(calibrateSample(sample), sample.receivedAt / 1000));
+    })
+  ];
+
+  // An attitude nobody updates is not one to correct positions with
+  return () =>
+  {
+    stops.forEach(stop => stop());
+    resetFilter();
+  };
+});
+
+// A changed gyro unit invalidates the learned bias
+watch(() => filterSettings.gyroUnit, resetFilter);
+
+// So does a new calibration: the learned gravity and the attitude came from the old one
+watch(() => [calibration.accelerometer, calibration.magnetometer], resetFilter);
+
+// A stale IMU stream leaves the last attitude on screen; the filter restarts itself after a gap
+watch(() => systemState.stale.imu, (stale) =>
+{
+  if (stale)
+  {
+    attitude.valid = false;
+  }
+});
+
+export function useAttitude()
+{
+  retainFilter();
+
+  return {
+    attitude,
+    filterSettings,
+    resetFilter,
+    resetFilterSettings
+  };
+}
@@ -0,0 +1,91 @@
+import { watch } from 'vue';
+import { useGnssData } from './useGnssData';
+import { createPersistedState, createRecordId } from './usePersistedState';
+import { ecefToGeodetic } from '@/utils/geodesy';
+
+const { state: gnssState } = useGnssData();
+
+// Named marks the base has been set up on. Positions are of the mark itself (WGS84, ellipsoidal
+// height) so the same site can be re-occupied with a different antenna height on a later day.
+const baseSites = createPersistedState('baseSites', {
+  sites: [],
+  // Survey-in started from the wizard whose result is saved as a site once it completes
+  pendingSurvey: null
+});
+
+const findSiteByName = (name) => baseSites.sites.find(site => site.name.toLowerCase() === name.toLowerCase());
+
+// Saving under an existing name replaces that site's position
+const saveSite = ({ name, latitude, longitude, height, antennaHeight, accuracyMeters, source }) =>
+{
+  const existing = findSiteByName(name);
+  const fields = { name, latitude, longitude, height, antennaHeight, accuracyMeters, source, savedAt: Date.now() };
+
+  if (existing)
+  {
+    Object.assign(existing, fields);
+    return existing;
+  }
+
+  const site = { id: createRecordId(), ...fields, lastUsedAt: null };
+  baseSites.sites.push(site);
+  return site;
+};
+
+const removeSite = (id) =>
+{
+  const index = baseSites.sites.findIndex(site => site.id === id);
+  if (index !== -1)
+  {
+    baseSites.sites.splice(index, 1);
+  }
+};
+
+const markSiteUsed = (id) =>
+{
+  const site = baseSites.sites.find(candidate => candidate.id === id);
+  if (site)
+  {
+    site.lastUsedAt = Date.now();
+  }
+};
+
+const setPendingSurvey = (pending) =>
+{
+  baseSites.pendingSurvey = pending;
+};
+
+// The survey-in mean is the antenna reference point; the site keeps the mark below it
+watch(() => gnssState.gnssData.surveyIn.valid, (valid) =>
+{
+  const pending = baseSites.pendingSurvey;
+  if (!valid || !pending || gnssState.gnssData.corrections.mode !== 'SEND') return;
+
+  const { x, y, z } = gnssState.gnssData.surveyIn.position;
+  if (x === null || (x === 0 && y === 0 && z === 0)) return;
+
+  const antenna = ecefToGeodetic(x, y, z);
+  const site = saveSite({
+    name: pending.name,
+    latitude: antenna.latitude,
+    longitude: antenna.longitude,
+    height: antenna.height - pending.antennaHeight,
+    antennaHeight: pending.antennaHeight,
+    accuracyMeters: gnssState.gnssData.surveyIn.accuracyMm / 1000,
+    source: 'survey-in'
+  });
+  markSiteUsed(site.id);
+  baseSites.pendingSurvey = null;
+});
+
+export function useBaseSites()
+{
+  return {
+    baseSites,
+    findSiteByName,
+    saveSite,
+    removeSite,
+    markSiteUsed,
+    setPendingSurvey
+  };
+}
@@ -1,4 +1,6 @@
 import { reactive, ref, watch } from 'vue';
+import { onHubConnected } from './useHubLifecycle';
+import { logEvent } from './useEventJournal';
 
 // Global reactive state for connection data
 const wifiStatus = reactive({
@@ -14,6 +16,8 @@ const fallbackNotification = ref(null);
 
 // Mode Preference
 const preferredMode = ref(null);
+// Last preferred mode confirmed by the device, so reloading it is not echoed back as a change
+let devicePreferredMode = null;
 
 // AP Configuration
 const apConfig = reactive({
@@ -60,7 +64,19 @@ const setupSignalRHandlers = async (connection) =>
 {
   statusUpdateHandler = (data) => 
   {
-    console.log('WiFi status update:', data);
+    // lastUpdated is null until the first update, which only establishes the state
+    if (wifiStatus.lastUpdated !== null)
+    {
+      if (data.currentMode !== wifiStatus.currentMode)
+      {
+        logEvent('wifi', 'info', `WiFi mode changed from ${wifiStatus.currentMode} to ${data.currentMode}`);
+      }
+      else if (data.isConnected !== wifiStatus.isConnected || data.connectedNetworkSSID !== wifiStatus.connectedNetworkSSID)
+      {
+        logEvent('wifi', data.isConnected ? 'info' : 'warning',
+          data.isConnected ? `WiFi connected to ${data.connectedNetworkSSID}` : 'WiFi connection lost');
+      }
+    }
     wifiStatus.currentMode = data.currentMode;
     wifiStatus.connectedNetworkSSID = data.connectedNetworkSSID;
     wifiStatus.signalStrength = data.signalStrength;
@@ -70,7 +86,7 @@ const setupSignalRHandlers = async (connection) =>
 
   fallbackNotificationHandler = (data) => 
   {
-    console.log('WiFi fallback notification:', data);
+    logEvent('wifi', 'warning', data.reason ? `${data.message} (${data.reason})` : data.message);
     fallbackNotification.value = {
       message: data.message,
       reason: data.reason,
@@ -116,13 +132,18 @@ const loadInitialData = async (connection) =>
     console.log('Loading preferred mode...');
     const mode = await connection.invoke('GetWiFiPreferredMode');
     console.log('Preferred mode received:', mode);
+    devicePreferredMode = mode;
     preferredMode.value = mode;
 
     console.log('Loading AP configuration...');
     const apConfiguration = await connection.invoke('GetAPConfiguration');
     console.log('AP configuration received:', apConfiguration);
     apConfig.ssid = apConfiguration.ssid || '';
-    apConfig.password = apConfiguration.password || '';
+    // Reloads after a reconnect must not discard an unsaved password edit
+    if (!isAPPasswordModified.value)
+    {
+      apConfig.password = apConfiguration.password || '';
+    }
     originalAPPassword.value = apConfiguration.password || '';
 
     console.log('All initial WiFi data loaded successfully:', { status, networks, preferredMode: mode, apConfig: apConfiguration });
@@ -135,15 +156,8 @@ const loadInitialData = async (connection) =>
   }
 };
 
-const initializeWiFiData = async (connection) => 
-{
-  if (connection?.state === 'Connected' && preferredMode.value === null) 
-  {
-    console.log('Initializing WiFi data...');
-    await setupSignalRHandlers(connection);
-    await loadInitialData(connection);
-  }
-};
+// WiFi state can change while the link is down (fallback to AP, other clients editing networks)
+onHubConnected(loadInitialData);
 
 const addNetwork = async (connection) =>
 {
@@ -238,12 +252,15 @@ const cancelAPPasswordEdit = () =>
 
 const setPreferredMode = async (connection) => 
 {
+  if (preferredMode.value === devicePreferredMode) return;
+
   try 
   {
     const success = await connection.invoke('SetWiFiPreferredMode', preferredMode.value);
 
     if (success) 
     {
+      devicePreferredMode = preferredMode.value;
       console.log('WiFi preferred mode updated successfully to:', preferredMode.value);
     }
     else 
@@ -315,7 +332,6 @@ export function useConnectionData()
     // Individual methods and utilities
     setupSignalRHandlers,
     loadInitialData,
-    initializeWiFiData,
     addNetwork,
     closeAddNetworkDialog,
     removeKnownNetwork,
@@ -0,0 +1,275 @@
+import { reactive, computed } from 'vue';
+import { useGnssData, onPositionEpoch, receiverNow } from './useGnssData';
+import { useGeoidModel } from './useGeoidModel';
+import { createPersistedState, createRecordId } from './usePersistedState';
+import { geodeticToEnu, enuToGeodetic } from '@/utils/geodesy';
+import { classifyFixType } from '@/utils/fixQuality';
+
+// Older reports are dropped beyond this, the printed copy is the record of a job
+const MAX_CHECKS = 50;
+
+const { state: gnssState } = useGnssData();
+const { getGeoidHeight } = useGeoidModel();
+
+const controlCheck = createPersistedState('controlCheck', {
+  controls: [],
+  selectedId: null,
+  checks: [],
+  settings: {
+    horizontalTolerance: 0.03,
+    verticalTolerance: 0.05,
+    antennaHeight: 0,
+    // Ignore epochs that are not RTK Fixed while averaging
+    fixedOnly: true
+  }
+});
+
+// The averaging run in progress (not persisted, a reload abandons it)
+const measurement = reactive({
+  active: false,
+  startedAt: null,
+  samples: [],
+  rejected: 0
+});
+
+const selectedControl = computed(() => controlCheck.controls.find(control => control.id === controlCheck.selectedId) || null);
+
+const addControl = ({ name, latitude, longitude, height, heightReference }) =>
+{
+  const control = {
+    id: createRecordId(),
+    name: name || `CP${controlCheck.controls.length + 1}`,
+    latitude,
+    longitude,
+    height: Number.isFinite(height) ? height : null,
+    heightReference
+  };
+
+  controlCheck.controls.push(control);
+  controlCheck.selectedId = control.id;
+  return control;
+};
+
+const removeControl = (id) =>
+{
+  const index = controlCheck.controls.findIndex(control => control.id === id);
+  if (index === -1) return;
+
+  controlCheck.controls.splice(index, 1);
+  if (controlCheck.selectedId === id)
+  {
+    controlCheck.selectedId = controlCheck.controls[0]?.id ?? null;
+  }
+};
+
+// Ground mark height of a position in the control's height reference, null when it cannot be formed
+const observedHeight = (position, heightReference) =>
+{
+  const { antennaHeight } = controlCheck.settings;
+
+  if (heightReference === 'msl')
+  {
+    return position.altitude !== null ? position.altitude - antennaHeight : null;
+  }
+  if (position.ellipsoidalHeight === null || position.ellipsoidalHeight === undefined) return null;
+  if (heightReference === 'orthometric')
+  {
+    const undulation = getGeoidHeight(position.latitude, position.longitude);
+    return undulation !== null ? position.ellipsoidalHeight - undulation - antennaHeight : null;
+  }
+  return position.ellipsoidalHeight - antennaHeight;
+};
+
+// Observed minus published, in meters in the local frame at the control
+const computeResidual = (position, control) =>
+{
+  const offset = geodeticToEnu(
+    { latitude: position.latitude, longitude: position.longitude },
+    { latitude: control.latitude, longitude: control.longitude }
+  );
+  const height = observedHeight(position, control.heightReference);
+  const dU = height !== null && control.height !== null ? height - control.height : null;
+  const horizontal = Math.hypot(offset.east, offset.north);
+
+  return {
+    dE: offset.east,
+    dN: offset.north,
+    dU,
+    horizontal,
+    threeD: dU !== null ? Math.hypot(horizontal, dU) : null
+  };
+};
+
+const evaluate = (residual) =>
+{
+  const { horizontalTolerance, verticalTolerance } = controlCheck.settings;
+  const passHorizontal = residual.horizontal <= horizontalTolerance;
+  const passVertical = residual.dU !== null ? Math.abs(residual.dU) <= verticalTolerance : null;
+  return { passHorizontal, passVertical, passed: passHorizontal && passVertical !== false };
+};
+
+const liveResidual = computed(() =>
+{
+  const control = selectedControl.value;
+  const { latitude, longitude } = gnssState.gnssData;
+  if (!control || latitude === null || longitude === null) return null;
+
+  const residual = computeResidual(gnssState.gnssData, control);
+  return { ...residual, ...evaluate(residual) };
+});
+
+onPositionEpoch((epoch) =>
+{
+  if (!measurement.active || !selectedControl.value) return;
+
+  if (controlCheck.settings.fixedOnly && classifyFixType(epoch.fixType) !== 'fixed')
+  {
+    measurement.rejected++;
+    return;
+  }
+
+  measurement.samples.push({
+    ...computeResidual(epoch, selectedControl.value),
+    latitude: epoch.latitude,
+    longitude: epoch.longitude,
+    fixType: epoch.fixType,
+    hAcc: epoch.hAcc,
+    vAcc: epoch.vAcc,
+    time: epoch.timestamp
+  });
+});
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const std = (values) =>
+{
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Mean residuals of the run so far, null until the first accepted epoch
+const averagedResidual = computed(() =>
+{
+  const samples = measurement.samples;
+  if (samples.length === 0) return null;
+
+  const heights = samples.map(sample => sample.dU).filter(value => value !== null);
+  const dE = mean(samples.map(sample => sample.dE));
+  const dN = mean(samples.map(sample => sample.dN));
+  // Heights are averaged only when every epoch had one, a partial mean would mislead
+  const dU = heights.length === samples.length ? mean(heights) : null;
+  const horizontal = Math.hypot(dE, dN);
+  const residual = { dE, dN, dU, horizontal, threeD: dU !== null ? Math.hypot(horizontal, dU) : null };
+
+  return {
+    ...residual,
+    ...evaluate(residual),
+    epochs: samples.length,
+    stdEast: std(samples.map(sample => sample.dE)),
+    stdNorth: std(samples.map(sample => sample.dN)),
+    stdUp: dU !== null ? std(heights) : null
+  };
+});
+
+const startMeasurement = () =>
+{
+  if (!selectedControl.value) return;
+
+  measurement.active = true;
+  measurement.startedAt = receiverNow();
+  measurement.samples = [];
+  measurement.rejected = 0;
+};
+
+const cancelMeasurement = () =>
+{
+  measurement.active = false;
+  measurement.samples = [];
+};
+
+// Ends the run and files it as a check report; returns the report, or null without accepted epochs
+const finishMeasurement = (hostname = null) =>
+{
+  const average = averagedResidual.value;
+  const control = selectedControl.value;
+  measurement.active = false;
+  if (!average || !control) return null;
+
+  const samples = measurement.samples;
+  const observed = enuToGeodetic(
+    { east: average.dE, north: average.dN },
+    { latitude: control.latitude, longitude: control.longitude }
+  );
+  const hAccValues = samples.map(sample => sample.hAcc).filter(value => value !== null);
+  const vAccValues = samples.map(sample => sample.vAcc).filter(value => value !== null);
+
+  const check = {
+    id: createRecordId(),
+    control: { ...control },
+    observed: {
+      latitude: observed.latitude,
+      longitude: observed.longitude,
+      height: average.dU !== null && control.height !== null ? control.height + average.dU : null
+    },
+    residual: {
+      dE: average.dE,
+      dN: average.dN,
+      dU: average.dU,
+      horizontal: average.horizontal,
+      threeD: average.threeD
+    },
+    std: { east: average.stdEast, north: average.stdNorth, up: average.stdUp },
+    passHorizontal: average.passHorizontal,
+    passVertical: average.passVertical,
+    passed: average.passed,
+    tolerances: {
+      horizontal: controlCheck.settings.horizontalTolerance,
+      vertical: controlCheck.settings.verticalTolerance
+    },
+    antennaHeight: controlCheck.settings.antennaHeight,
+    fixedOnly: controlCheck.settings.fixedOnly,
+    epochs: samples.length,
+    rejected: measurement.rejected,
+    fixType: samples[samples.length - 1].fixType,
+    maxHAcc: hAccValues.length > 0 ? Math.max(...hAccValues) : null,
+    maxVAcc: vAccValues.length > 0 ? Math.max(...vAccValues) : null,
+    startedAt: measurement.startedAt,
+    endedAt: samples[samples.length - 1].time,
+    hostname
+  };
+
+  controlCheck.checks.unshift(check);
+  if (controlCheck.checks.length > MAX_CHECKS)
+  {
+    controlCheck.checks.splice(MAX_CHECKS);
+  }
+  measurement.samples = [];
+  return check;
+};
+
+const removeCheck = (id) =>
+{
+  const index = controlCheck.checks.findIndex(check => check.id === id);
+  if (index !== -1)
+  {
+    controlCheck.checks.splice(index, 1);
+  }
+};
+
+export function useControlCheck()
+{
+  return {
+    controlCheck,
+    measurement,
+    selectedControl,
+    liveResidual,
+    averagedResidual,
+    addControl,
+    removeControl,
+    startMeasurement,
+    cancelMeasurement,
+    finishMeasurement,
+    removeCheck
+  };
+}
@@ -0,0 +1,110 @@
+import { computed } from 'vue';
+import { useGnssData, hasSurveyInMean } from './useGnssData';
+import { createPersistedState } from './usePersistedState';
+import { useGeoidModel } from './useGeoidModel';
+import { ecefToGeodetic } from '@/utils/geodesy';
+import {
+  COORDINATE_SYSTEMS,
+  HEIGHT_REFERENCES,
+  DEFAULT_TM_PARAMS,
+  convertPosition,
+  formatAxisValue
+} from '@/utils/coordinateSystems';
+
+const { state: gnssState } = useGnssData();
+const { getGeoidHeight } = useGeoidModel();
+
+// One selection for every position readout in the app
+const coordinateSettings = createPersistedState('coordinates', {
+  system: 'geographic',
+  heightReference: 'msl',
+  // zone null picks zone and hemisphere from the position
+  utm: { zone: null, southern: false },
+  tm: { ...DEFAULT_TM_PARAMS }
+});
+
+// ENU origin when this unit is the base: the configured position of a fixed base, otherwise the
+// surveyed mean. A rover uses the base position from RTCM 1005. All are ellipsoidal.
+const enuOrigin = computed(() =>
+{
+  const { surveyIn, referenceStation, corrections } = gnssState.gnssData;
+  const { mode: baseMode, fixedPosition } = gnssState.baseStation;
+
+  if (corrections.mode === 'SEND')
+  {
+    if (baseMode === 'FixedPosition' && fixedPosition)
+    {
+      return { latitude: fixedPosition.latitude, longitude: fixedPosition.longitude, height: fixedPosition.heightMeters };
+    }
+    if (hasSurveyInMean(surveyIn.position))
+    {
+      const { x, y, z } = surveyIn.position;
+      return ecefToGeodetic(x, y, z);
+    }
+  }
+  if (referenceStation.latitude !== null && referenceStation.longitude !== null)
+  {
+    return {
+      latitude: referenceStation.latitude,
+      longitude: referenceStation.longitude,
+      height: referenceStation.altitude ?? 0
+    };
+  }
+  return null;
+});
+
+// Short description for the selector, e.g. "UTM · MSL"
+const selectionLabel = computed(() =>
+{
+  const system = COORDINATE_SYSTEMS.find(option => option.value === coordinateSettings.system);
+  const systemLabel = coordinateSettings.system === 'tm' ? coordinateSettings.tm.name : system?.label;
+  if (coordinateSettings.system === 'ecef' || coordinateSettings.system === 'enu') return systemLabel;
+
+  const height = HEIGHT_REFERENCES.find(option => option.value === coordinateSettings.heightReference);
+  return `${systemLabel} · ${height?.label}`;
+});
+
+// position: { latitude, longitude, mslHeight, ellipsoidalHeight }; returns null without a horizontal position
+const convert = (position) =>
+{
+  if (position.latitude === null || position.longitude === null) return null;
+
+  const ellipsoidalHeight = position.ellipsoidalHeight ?? null;
+  const undulation = ellipsoidalHeight !== null && coordinateSettings.heightReference === 'orthometric'
+    ? getGeoidHeight(position.latitude, position.longitude)
+    : null;
+
+  return convertPosition({
+    latitude: position.latitude,
+    longitude: position.longitude,
+    mslHeight: position.mslHeight ?? null,
+    ellipsoidalHeight,
+    orthometricHeight: undulation !== null ? ellipsoidalHeight - undulation : null
+  }, coordinateSettings, enuOrigin.value);
+};
+
+// Display-ready lines: { title, lines: [{ label, text }] }
+const formatPosition = (position) =>
+{
+  const converted = convert(position);
+  if (!converted) return null;
+
+  return {
+    title: converted.title,
+    lines: converted.axes.map(({ label, value, unit, digits }) => ({
+      label,
+      text: formatAxisValue(value, unit, digits)
+    }))
+  };
+};
+
+export function useCoordinateSystem()
+{
+  return {
+    coordinateSettings,
+    enuOrigin,
+    selectionLabel,
+    convert,
+    formatPosition
+  };
+}
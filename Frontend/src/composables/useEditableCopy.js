@@ -0,0 +1,28 @@
+import { reactive, toRaw, watch } from 'vue';
+
+const copyOf = (source) => structuredClone(toRaw(source));
+
+// Edited copy of a settings object for a dialog: refreshed from source whenever isOpen turns true
+// and written back only by save(). changes passed to save() replace draft fields on the way back.
+export function useEditableCopy(source, isOpen)
+{
+  const draft = reactive(copyOf(source));
+
+  watch(isOpen, (open) =>
+  {
+    if (open)
+    {
+      Object.assign(draft, copyOf(source));
+    }
+  });
+
+  const save = (changes = {}) =>
+  {
+    Object.assign(source, copyOf(draft), changes);
+  };
+
+  return {
+    draft,
+    save
+  };
+}
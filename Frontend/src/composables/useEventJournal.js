@@ -0,0 +1,103 @@
+import { computed } from 'vue';
+import { createPersistedState, createRecordId } from './usePersistedState';
+import { downloadFile } from '@/utils/exportFormats';
+
+// Kept free of other composables: they all write to the journal, so importing them here would cycle
+
+const MAX_ENTRIES = 1000;
+
+export const JOURNAL_SEVERITIES = [
+  { value: 'info', label: 'Info', class: 'bg-blue-100 text-blue-800' },
+  { value: 'warning', label: 'Warning', class: 'bg-amber-100 text-amber-800' },
+  { value: 'error', label: 'Error', class: 'bg-red-100 text-red-800' }
+];
+
+export const JOURNAL_SOURCES = [
+  { value: 'connection', label: 'Connection' },
+  { value: 'mode', label: 'Mode' },
+  { value: 'gnss', label: 'GNSS' },
+  { value: 'wifi', label: 'WiFi' },
+  { value: 'system', label: 'System' },
+  { value: 'hardware', label: 'Hardware' },
+  { value: 'alerts', label: 'Alerts' }
+];
+
+const CONSOLE_METHODS = { info: 'log', warning: 'warn', error: 'error' };
+
+const journal = createPersistedState('eventJournal', {
+  // Oldest first: { id, time, severity, source, message }
+  entries: []
+});
+
+const entryCount = computed(() => journal.entries.length);
+
+// Record an event; development builds also mirror it to the browser console
+export const logEvent = (source, severity, message) =>
+{
+  const entry = { id: createRecordId(), time: Date.now(), severity, source, message };
+
+  journal.entries.push(entry);
+  if (journal.entries.length > MAX_ENTRIES)
+  {
+    journal.entries.splice(0, journal.entries.length - MAX_ENTRIES);
+  }
+
+  if (import.meta.env.DEV)
+  {
+    console[CONSOLE_METHODS[severity] ?? 'log'](`[${source}] ${message}`);
+  }
+  return entry;
+};
+
+const clearJournal = () =>
+{
+  journal.entries = [];
+};
+
+// Case-insensitive search over message and source; severities and sources default to all
+const filterEntries = ({ search = '', severities = null, sources = null } = {}) =>
+{
+  const needle = search.trim().toLowerCase();
+
+  return journal.entries.filter(entry =>
+    (!severities || severities.includes(entry.severity)) &&
+    (!sources || sources.includes(entry.source)) &&
+    (!needle || entry.message.toLowerCase().includes(needle) || entry.source.includes(needle)));
+};
+
+const formatJournalText = (entries, hostname) =>
+{
+  const header = [
+    'Event journal',
+    `Device: ${hostname || 'unknown'}`,
+    `Exported: ${new Date().toISOString()}`,
+    `Entries: ${entries.length}`,
+    ''
+  ];
+  const lines = entries.map(entry =>
+    `${new Date(entry.time).toISOString()}  ${entry.severity.toUpperCase().padEnd(7)}  ${entry.source.padEnd(10)}  ${entry.message}`);
+
+  return [...header, ...lines, ''].join('\n');
+};
+
+const exportJournal = (entries, hostname) =>
+{
+  if (entries.length === 0) return false;
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  downloadFile(`journal-${hostname || 'device'}-${stamp}.txt`, formatJournalText(entries, hostname), 'text/plain');
+  return true;
+};
+
+export function useEventJournal()
+{
+  return {
+    journal,
+    entryCount,
+    logEvent,
+    clearJournal,
+    filterEntries,
+    formatJournalText,
+    exportJournal
+  };
+}
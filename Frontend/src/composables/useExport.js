@@ -0,0 +1,122 @@
+import { useGnssData, hasSurveyInMean } from './useGnssData';
+import { useTrackHistory } from './useTrackHistory';
+import { usePointCollection } from './usePointCollection';
+import { createPersistedState } from './usePersistedState';
+import { ecefToGeodetic } from '@/utils/geodesy';
+import { EXPORT_COLUMNS, buildExport, downloadFile } from '@/utils/exportFormats';
+
+const { state: gnssState } = useGnssData();
+const { track } = useTrackHistory();
+const { collection } = usePointCollection();
+
+export const EXPORT_DATASETS = [
+  { value: 'points', label: 'Stored points' },
+  { value: 'track', label: 'Position track' },
+  { value: 'surveyIn', label: 'Survey-in base position' }
+];
+
+// Last used format and columns, so repeated exports need a single click
+const exportSettings = createPersistedState('export', {
+  format: 'csv',
+  columns: EXPORT_COLUMNS.map(column => column.key).filter(key => !['stdEast', 'stdNorth', 'stdUp', 'epochs'].includes(key))
+});
+
+const toPointRecord = (point) => ({
+  name: point.name,
+  code: point.code,
+  latitude: point.latitude,
+  longitude: point.longitude,
+  height: point.height,
+  ellipsoidalHeight: point.ellipsoidalHeight ?? null,
+  antennaHeight: point.antennaHeight,
+  // Worst epoch accuracy of the occupation, the averaged result is usually better
+  hAcc: point.maxHAcc,
+  vAcc: null,
+  stdEast: point.stdEast,
+  stdNorth: point.stdNorth,
+  stdUp: point.stdUp,
+  fixType: point.fixType,
+  satellites: null,
+  hdop: null,
+  vdop: null,
+  pdop: point.maxPdop,
+  epochs: point.epochs,
+  timestamp: point.endedAt
+});
+
+const toTrackRecord = (point) => ({
+  latitude: point.latitude,
+  longitude: point.longitude,
+  height: point.altitude,
+  ellipsoidalHeight: point.ellipsoidalHeight ?? null,
+  hAcc: point.hAcc,
+  vAcc: point.vAcc,
+  fixType: point.fixType,
+  satellites: point.satellitesUsed,
+  hdop: point.hdop,
+  vdop: point.vdop,
+  pdop: point.pdop,
+  timestamp: point.timestamp
+});
+
+// The survey-in mean is ECEF, so its height is ellipsoidal. The MSL height uses the geoid
+// separation the receiver currently applies at the base, which sits on that position.
+const getSurveyInRecords = () =>
+{
+  const { surveyIn, altitude, ellipsoidalHeight } = gnssState.gnssData;
+  const { position, accuracyMm, observations, valid } = surveyIn;
+  if (!hasSurveyInMean(position)) return [];
+
+  const geodetic = ecefToGeodetic(position.x, position.y, position.z);
+  const separation = altitude !== null && ellipsoidalHeight !== null ? ellipsoidalHeight - altitude : null;
+  return [{
+    name: 'BASE',
+    code: valid ? 'survey-in' : 'survey-in (not valid)',
+    latitude: geodetic.latitude,
+    longitude: geodetic.longitude,
+    height: separation !== null ? geodetic.height - separation : null,
+    ellipsoidalHeight: geodetic.height,
+    hAcc: accuracyMm !== null ? accuracyMm / 1000 : null,
+    epochs: observations,
+    timestamp: gnssState.lastReceived.surveyIn
+  }];
+};
+
+const getDataset = (name) =>
+{
+  switch (name)
+  {
+    case 'points':
+      return { name: 'Points', kind: 'points', records: collection.points.map(toPointRecord) };
+    case 'track':
+      return { name: 'Track', kind: 'track', records: track.points.map(toTrackRecord) };
+    case 'surveyIn':
+      return { name: 'Survey-in', kind: 'points', records: getSurveyInRecords() };
+    default:
+      throw new Error(`Unknown export dataset: ${name}`);
+  }
+};
+
+const getRecordCount = (name) => getDataset(name).records.length;
+
+const formatFileTime = (date) => date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+const exportDataset = (name) =>
+{
+  const dataset = getDataset(name);
+  if (dataset.records.length === 0) return false;
+
+  const { content, mime, extension } = buildExport(dataset, exportSettings.format, exportSettings.columns);
+  downloadFile(`${name}-${formatFileTime(new Date())}.${extension}`, content, mime);
+  return true;
+};
+
+export function useExport()
+{
+  return {
+    exportSettings,
+    getDataset,
+    getRecordCount,
+    exportDataset
+  };
+}
@@ -0,0 +1,99 @@
+import { ref, reactive, computed, watch } from 'vue';
+import { useGnssData, onPositionEpoch, receiverNow } from './useGnssData';
+import { classifyFixType } from '@/utils/fixQuality';
+import { computeFixStatistics } from '@/utils/fixTimeline';
+
+const { state: gnssState } = useGnssData();
+
+// About three hours at 2 Hz. Longer sessions keep their time-to-fix figures, while percentages
+// and fix losses then cover the retained part only.
+const MAX_SAMPLES = 21600;
+
+// Samples are not reactive for the same reason as the satellite history; timelineVersion is
+const samples = [];
+const timelineVersion = ref(0);
+
+// Times are on the receiver clock the epochs are stamped with; the session starts with its first epoch
+const session = reactive({
+  startedAt: null,
+  firstFixAt: null,
+  firstFixedAt: null
+});
+
+onPositionEpoch((epoch) =>
+{
+  const { corrections, rtk } = gnssState.gnssData;
+  const category = classifyFixType(epoch.fixType);
+
+  // The receiver clock went backwards: a replay was rewound or the receiver restarted
+  if (samples.length > 0 && epoch.timestamp < samples[samples.length - 1].time)
+  {
+    resetSession();
+  }
+  if (session.startedAt === null)
+  {
+    session.startedAt = epoch.timestamp;
+  }
+
+  samples.push({
+    time: epoch.timestamp,
+    category,
+    correctionsAvailable: corrections.status.valid && !corrections.status.stale,
+    correctionAge: corrections.status.age,
+    baseline: rtk.baselineLength,
+    arRatio: rtk.arRatio
+  });
+  if (samples.length > MAX_SAMPLES)
+  {
+    samples.splice(0, samples.length - MAX_SAMPLES);
+  }
+
+  if (session.firstFixAt === null && category !== 'none')
+  {
+    session.firstFixAt = epoch.timestamp;
+  }
+  if (session.firstFixedAt === null && category === 'fixed')
+  {
+    session.firstFixedAt = epoch.timestamp;
+  }
+
+  timelineVersion.value++;
+});
+
+// Start measuring from the next epoch, e.g. right after a receiver reset or when a replay starts
+const resetSession = () =>
+{
+  samples.splice(0);
+  session.startedAt = null;
+  session.firstFixAt = null;
+  session.firstFixedAt = null;
+  timelineVersion.value++;
+};
+
+// Switching between base, rover and standalone starts a new convergence
+watch(() => gnssState.gnssData.corrections.mode, (mode, previousMode) =>
+{
+  if (previousMode !== undefined && mode !== previousMode)
+  {
+    resetSession();
+  }
+});
+
+const getSamples = () =>
+{
+  void timelineVersion.value;
+  return samples;
+};
+
+const statistics = computed(() => computeFixStatistics(getSamples(), session, receiverNow()));
+
+export function useFixTimeline()
+{
+  return {
+    session,
+    timelineVersion,
+    statistics,
+    getSamples,
+    resetSession
+  };
+}
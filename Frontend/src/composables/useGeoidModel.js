@@ -0,0 +1,224 @@
+import { reactive, computed, markRaw } from 'vue';
+import { useGnssData } from './useGnssData';
+import { onHubConnected } from './useHubLifecycle';
+import { createPersistedState } from './usePersistedState';
+import { resolveBackendUrl } from '@/transports/signalrHub';
+import { parseGeoidGrid, getGeoidFormat, getGeoidExtent, interpolateGeoid } from '@/utils/geoidGrid';
+
+const { state: gnssState } = useGnssData();
+
+// The chosen model is remembered per browser, the files themselves live on the unit
+const geoidSettings = createPersistedState('geoid', {
+  selectedName: null
+});
+
+const geoid = reactive({
+  models: [],
+  loading: false,
+  uploading: false,
+  error: null,
+  // Parsed grid of the selected model, kept raw since it can hold millions of nodes
+  grid: null,
+  gridName: null,
+  gridLoading: false
+});
+
+const modelUrl = (name) => resolveBackendUrl(`/geoid/${encodeURIComponent(name)}`);
+
+const readError = async (response) =>
+{
+  const text = await response.text();
+  try
+  {
+    return JSON.parse(text) || `HTTP ${response.status}`;
+  }
+  catch
+  {
+    return text || `HTTP ${response.status}`;
+  }
+};
+
+const loadGrid = async (name) =>
+{
+  geoid.gridLoading = true;
+  geoid.error = null;
+
+  try
+  {
+    const response = await fetch(modelUrl(name));
+    if (!response.ok)
+    {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const grid = parseGeoidGrid(await response.arrayBuffer(), name);
+    geoid.grid = markRaw(grid);
+    geoid.gridName = name;
+  }
+  catch (error)
+  {
+    console.error(`Failed to load geoid model ${name}:`, error);
+    geoid.grid = null;
+    geoid.gridName = null;
+    geoid.error = `Could not load ${name}: ${error.message}`;
+  }
+  finally
+  {
+    geoid.gridLoading = false;
+  }
+};
+
+const selectModel = async (name) =>
+{
+  geoidSettings.selectedName = name;
+  if (name === null)
+  {
+    geoid.grid = null;
+    geoid.gridName = null;
+    return;
+  }
+  if (geoid.gridName !== name)
+  {
+    await loadGrid(name);
+  }
+};
+
+const loadModels = async () =>
+{
+  geoid.loading = true;
+
+  try
+  {
+    const response = await fetch(resolveBackendUrl('/geoid'));
+    if (!response.ok)
+    {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    geoid.models = await response.json();
+  }
+  catch (error)
+  {
+    console.error('Failed to load geoid models:', error);
+    geoid.models = [];
+    geoid.error = 'Geoid storage not reachable';
+    return;
+  }
+  finally
+  {
+    geoid.loading = false;
+  }
+
+  // Drop a selection whose file has been deleted in the meantime
+  const selected = geoidSettings.selectedName;
+  await selectModel(geoid.models.some(model => model.name === selected) ? selected : null);
+};
+
+// Parsed before uploading so a broken file is rejected without touching the unit
+const uploadModel = async (file) =>
+{
+  geoid.error = null;
+
+  if (!getGeoidFormat(file.name))
+  {
+    geoid.error = 'Unsupported file, expected a .gtx or .isg geoid grid';
+    return false;
+  }
+
+  geoid.uploading = true;
+  try
+  {
+    const buffer = await file.arrayBuffer();
+    const grid = parseGeoidGrid(buffer, file.name);
+
+    const response = await fetch(modelUrl(file.name), { method: 'PUT', body: buffer });
+    if (!response.ok)
+    {
+      throw new Error(await readError(response));
+    }
+
+    geoid.models = await response.json();
+    geoidSettings.selectedName = file.name;
+    geoid.grid = markRaw(grid);
+    geoid.gridName = file.name;
+    return true;
+  }
+  catch (error)
+  {
+    console.error('Failed to upload geoid model:', error);
+    geoid.error = error.message;
+    return false;
+  }
+  finally
+  {
+    geoid.uploading = false;
+  }
+};
+
+const deleteModel = async (name) =>
+{
+  geoid.error = null;
+
+  try
+  {
+    const response = await fetch(modelUrl(name), { method: 'DELETE' });
+    if (!response.ok)
+    {
+      throw new Error(await readError(response));
+    }
+
+    geoid.models = await response.json();
+    if (geoidSettings.selectedName === name)
+    {
+      await selectModel(null);
+    }
+  }
+  catch (error)
+  {
+    console.error('Failed to delete geoid model:', error);
+    geoid.error = error.message;
+  }
+};
+
+// Geoid undulation N (meters) of the loaded model, null without a model or outside its area
+const getGeoidHeight = (latitude, longitude) =>
+{
+  if (!geoid.grid || latitude === null || longitude === null) return null;
+  return interpolateGeoid(geoid.grid, latitude, longitude);
+};
+
+const gridExtent = computed(() => geoid.grid ? getGeoidExtent(geoid.grid) : null);
+
+// Model orthometric height next to the receiver's MSL height at the current position
+const heightComparison = computed(() =>
+{
+  const { latitude, longitude, altitude, ellipsoidalHeight } = gnssState.gnssData;
+  const undulation = getGeoidHeight(latitude, longitude);
+  const orthometricHeight = undulation !== null && ellipsoidalHeight !== null ? ellipsoidalHeight - undulation : null;
+
+  return {
+    undulation,
+    orthometricHeight,
+    ellipsoidalHeight,
+    receiverMslHeight: altitude,
+    receiverSeparation: altitude !== null && ellipsoidalHeight !== null ? ellipsoidalHeight - altitude : null,
+    difference: orthometricHeight !== null && altitude !== null ? orthometricHeight - altitude : null
+  };
+});
+
+// The backend serves the files alongside the hub, so a (re)connect is a good time to refresh
+onHubConnected(loadModels);
+
+export function useGeoidModel()
+{
+  return {
+    geoid,
+    geoidSettings,
+    gridExtent,
+    heightComparison,
+    loadModels,
+    selectModel,
+    uploadModel,
+    deleteModel,
+    getGeoidHeight
+  };
+}
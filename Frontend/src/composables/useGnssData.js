@@ -1,4 +1,8 @@
 import { reactive, ref, computed } from 'vue';
+import { createStreamFreshness } from './useStreamFreshness';
+import { onHubConnected } from './useHubLifecycle';
+import { logEvent } from './useEventJournal';
+import { createHubEmitter } from '@/transports/hubEmitter';
 
 // Global reactive state for GNSS data
 const gnssData = reactive({
@@ -13,6 +17,8 @@ const gnssData = reactive({
   latitude: null,
   longitude: null,
   altitude: null,
+  // Height above the WGS84 ellipsoid, altitude above is MSL from the receiver's geoid model
+  ellipsoidalHeight: null,
 
   // Accuracy estimates
   hAcc: null,
@@ -92,6 +98,22 @@ const messageRates = reactive({
   timestamp: null
 });
 
+// Last received time and stale flag per stream. GNSS data arrives at 2 Hz (survey-in and
+// message rates at 1 Hz or slower), so a few missed updates mean the link is gone.
+const freshness = createStreamFreshness({
+  position: 3000,
+  satellites: 3000,
+  dop: 3000,
+  relativePosition: 3000,
+  surveyIn: 5000,
+  messageRates: 6000
+});
+
+// Whether a survey-in position holds a mean yet. NAV-SVIN reports zero before the first
+// observation is in, and while the base runs on a fixed position.
+export const hasSurveyInMean = ({ x, y, z }) =>
+  x !== null && y !== null && z !== null && !(x === 0 && y === 0 && z === 0);
+
 // RTK mode management
 const isChangingMode = ref(false);
 const selectedMode = ref('DISABLED');
@@ -102,6 +124,13 @@ const surveySettings = reactive({
   accuracyLimitMeters: null
 });
 
+// How the base establishes its position in SEND mode: 'SurveyIn' or 'FixedPosition'.
+// fixedPosition is the antenna reference point { latitude, longitude, heightMeters, accuracyMeters }
+const baseStation = reactive({
+  mode: 'SurveyIn',
+  fixedPosition: null
+});
+
 const modeOptions = [
   {
     value: 'DISABLED',
@@ -137,14 +166,116 @@ const state = reactive({
   isChangingMode,
   selectedMode,
   currentModeConfig,
-  surveySettings
+  surveySettings,
+  baseStation,
+  lastReceived: freshness.lastReceived,
+  stale: freshness.stale
 });
 
+// Subscribers that need every epoch: 'position' even when consecutive positions are identical
+// (a watch on latitude/longitude would skip those), 'satellites' for every NAV-SAT snapshot,
+// e.g. to build a history of satellite tracks
+const epochEvents = createHubEmitter('GNSS epoch');
+
+// Returns a function that removes the subscription
+export const onPositionEpoch = (handler) => epochEvents.on('position', handler);
+export const onSatelliteEpoch = (handler) => epochEvents.on('satellites', handler);
+
+// Receiver clock. Position epochs are stamped with the receiver's own time (ms, UTC) rather than
+// when they arrived, so durations stay right in a replay played faster or slower, or after a seek.
+// The GPS time of week of each epoch is turned into UTC with the offset the last NAV-PVT with a
+// valid date gave; until there is one the browser clock stands in.
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+// An epoch further than this (ms) from where the clock expected it (a seek, a changed replay speed,
+// a receiver restart) starts the clock over
+const MAX_CLOCK_ERROR_MS = 1000;
+// Without epochs the clock runs on for this long (ms), longer than the position fusion bridges an
+// outage, and then holds, e.g. while a replay is paused
+const MAX_CLOCK_EXTRAPOLATION_MS = 30000;
+
+// utcMinusTow: UTC minus GPS time of week (ms). base and latest: { time, arrivedAt } of the epoch the
+// clock started from and of the latest one; rate: receiver ms per browser ms, the replay speed
+const receiverClock = {
+  utcMinusTow: null,
+  lastITow: null,
+  base: null,
+  latest: null,
+  rate: 1
+};
+
+const receiverTimeOf = (iTow) =>
+{
+  if (iTow === null || iTow === undefined) return Date.now();
+
+  if (receiverClock.utcMinusTow === null)
+  {
+    receiverClock.utcMinusTow = Date.now() - iTow;
+  }
+  else if (receiverClock.lastITow !== null && iTow < receiverClock.lastITow - WEEK_MS / 2)
+  {
+    // Week rollover
+    receiverClock.utcMinusTow += WEEK_MS;
+  }
+  receiverClock.lastITow = iTow;
+  return iTow + receiverClock.utcMinusTow;
+};
+
+// Browser time (ms) on the receiver clock
+export const toReceiverTime = (browserTime) =>
+{
+  const { base, latest, rate } = receiverClock;
+  if (!base) return browserTime;
+
+  const time = base.time + (browserTime - base.arrivedAt) * rate;
+  return Math.min(time, latest.time + MAX_CLOCK_EXTRAPOLATION_MS);
+};
+
+// Current time on the receiver clock
+export const receiverNow = () => toReceiverTime(Date.now());
+
+const advanceReceiverClock = (time) =>
+{
+  const arrivedAt = Date.now();
+  const { base, latest } = receiverClock;
+
+  const expected = base ? toReceiverTime(arrivedAt) : null;
+  if (!base || time < latest.time || Math.abs(time - expected) > MAX_CLOCK_ERROR_MS)
+  {
+    receiverClock.base = { time, arrivedAt };
+  }
+  else if (arrivedAt > base.arrivedAt && time > base.time)
+  {
+    // Measured over everything since the clock started, so arrival jitter averages out
+    receiverClock.rate = (time - base.time) / (arrivedAt - base.arrivedAt);
+  }
+  receiverClock.latest = { time, arrivedAt };
+};
+
+// Start over from the next epoch, for a different receiver or recording
+export const resetReceiverClock = () =>
+{
+  Object.assign(receiverClock, { utcMinusTow: null, lastITow: null, base: null, latest: null, rate: 1 });
+  lastPvtITow = null;
+};
+
+// Time of week of the latest NAV-PVT, for high-precision positions from a backend that doesn't send one
+let lastPvtITow = null;
+
+const emitPositionEpoch = (epoch, iTow) =>
+{
+  const timestamp = receiverTimeOf(iTow);
+  advanceReceiverClock(timestamp);
+
+  epochEvents.emit('position', { ...epoch, timestamp });
+};
+
 // SignalR event handlers for GNSS data
 export function registerGnssEvents(connection) 
 {
   connection.on("SatelliteUpdate", (data) => 
   {
+    freshness.markReceived('satellites');
+
     // Update connection status
     gnssData.connected = data.connected ?? false;
 
@@ -201,10 +332,14 @@ export function registerGnssEvents(connection)
     });
 
     gnssData.constellations = constellations;
+
+    epochEvents.emit('satellites', { satellites: gnssData.satellites, timestamp: Date.now() });
   });
 
   connection.on("PvtUpdate", (data) =>
   {
+    freshness.markReceived('position');
+
     // Update metadata from NAV-PVT messages
     gnssData.hAcc = data.horizontalAccuracy;
     gnssData.vAcc = data.verticalAccuracy;
@@ -212,6 +347,13 @@ export function registerGnssEvents(connection)
     // Update GNSS time data
     gnssData.gnssTimestamp = data.gnssTimestamp;
     gnssData.timeValid = data.timeValid;
+    if (data.gnssTimestamp > 0 && data.iTow !== undefined)
+    {
+      // The UTC time is to the second, the time of week carries the millisecond
+      receiverClock.utcMinusTow = data.gnssTimestamp + data.iTow % 1000 - data.iTow;
+      receiverClock.lastITow = data.iTow;
+    }
+    lastPvtITow = data.iTow ?? null;
 
     // Use the enhanced fix type string from backend
     gnssData.fixType = data.fixTypeString;
@@ -225,11 +367,28 @@ export function registerGnssEvents(connection)
       gnssData.latitude = data.latitude;
       gnssData.longitude = data.longitude;
       gnssData.altitude = data.heightMSL / 1000.0; // Convert mm to meters
+      gnssData.ellipsoidalHeight = data.heightEllipsoid / 1000.0;
+
+      emitPositionEpoch({
+        latitude: data.latitude,
+        longitude: data.longitude,
+        altitude: gnssData.altitude,
+        ellipsoidalHeight: gnssData.ellipsoidalHeight,
+        hAcc: data.horizontalAccuracy,
+        vAcc: data.verticalAccuracy,
+        fixType: gnssData.fixType,
+        hdop: gnssData.hdop,
+        vdop: gnssData.vdop,
+        pdop: gnssData.pdop,
+        satellitesUsed: data.numSatellites
+      }, data.iTow);
     }
   });
 
   connection.on("HpPositionUpdate", (data) =>
   {
+    freshness.markReceived('position');
+
     // Update high-precision position from NAV-HPPOSLLH messages (11 decimal precision)
     // Only use high precision when NOT in base mode
     if (gnssData.corrections.mode !== 'SEND')
@@ -237,6 +396,21 @@ export function registerGnssEvents(connection)
       gnssData.latitude = data.latitude;
       gnssData.longitude = data.longitude;
       gnssData.altitude = data.heightMSL; // Already in meters
+      gnssData.ellipsoidalHeight = data.heightEllipsoid ?? null;
+
+      emitPositionEpoch({
+        latitude: data.latitude,
+        longitude: data.longitude,
+        altitude: data.heightMSL,
+        ellipsoidalHeight: gnssData.ellipsoidalHeight,
+        hAcc: data.horizontalAccuracy,
+        vAcc: data.verticalAccuracy,
+        fixType: gnssData.fixType,
+        hdop: gnssData.hdop,
+        vdop: gnssData.vdop,
+        pdop: gnssData.pdop,
+        satellitesUsed: gnssData.satellitesUsed
+      }, data.iTow ?? lastPvtITow);
     }
     // Note: hAcc and vAcc from HpPositionUpdate could override PvtUpdate values if needed
     // For now, we'll keep using accuracy from PvtUpdate for consistency
@@ -244,12 +418,16 @@ export function registerGnssEvents(connection)
 
   connection.on("MessageRatesUpdate", (data) => 
   {
+    freshness.markReceived('messageRates');
+
     messageRates.messageRates = data.messageRates;
     messageRates.timestamp = data.timestamp;
   });
 
   connection.on("SurveyInStatus", (data) => 
   {
+    freshness.markReceived('surveyIn');
+
     gnssData.surveyIn.active = data.active;
     gnssData.surveyIn.valid = data.valid;
     gnssData.surveyIn.duration = data.duration;
@@ -274,6 +452,8 @@ export function registerGnssEvents(connection)
 
   connection.on("DopUpdate", (data) =>
   {
+    freshness.markReceived('dop');
+
     gnssData.hdop = data.horizontalDop;
     gnssData.vdop = data.verticalDop;
     gnssData.pdop = data.positionDop;
@@ -295,6 +475,8 @@ export function registerGnssEvents(connection)
 
   connection.on("RelativePositionUpdate", (data) =>
   {
+    freshness.markReceived('relativePosition');
+
     // Update RTK baseline distance and relative accuracy from NAV-RELPOSNED
     gnssData.rtk.baselineLength = data.relPosValid ? data.relPosLength : null;
     gnssData.rtk.relativeAccuracy.north = data.relPosValid ? data.accN : null;
@@ -330,7 +512,7 @@ export function handleModeChange(connection, newMode)
 
         if (!success)
         {
-          console.error('Failed to change mode - server returned false');
+          logEvent('mode', 'error', `Device refused the switch to ${newMode}`);
           // Reset selected mode on failure
           selectedMode.value = gnssData.corrections.mode || 'DISABLED';
           resolve(false);
@@ -350,7 +532,7 @@ export function handleModeChange(connection, newMode)
     }
     catch (error)
     {
-      console.error('Error changing mode:', error);
+      logEvent('mode', 'error', `Switching to ${newMode} failed: ${error?.message ?? error}`);
       // Reset selected mode on error
       selectedMode.value = gnssData.corrections.mode || 'DISABLED';
       reject(error);
@@ -372,6 +554,8 @@ export async function fetchSettings(connection)
       const settings = await connection.invoke('GetSettings');
       surveySettings.durationSeconds = settings.surveyInDurationSeconds;
       surveySettings.accuracyLimitMeters = settings.surveyInAccuracyLimitMeters;
+      baseStation.mode = settings.baseStationMode ?? 'SurveyIn';
+      baseStation.fixedPosition = settings.fixedBasePosition ?? null;
       console.log('Settings fetched:', settings);
       return true;
     }
@@ -401,7 +585,7 @@ export async function updateSettings(connection, durationSeconds, accuracyLimitM
         // Update local state
         surveySettings.durationSeconds = durationSeconds;
         surveySettings.accuracyLimitMeters = accuracyLimitMeters;
-        console.log('Settings updated successfully');
+        logEvent('gnss', 'info', `Survey-in settings changed to ${durationSeconds} s / ${accuracyLimitMeters} m`);
       }
       return success;
     }
@@ -428,11 +612,11 @@ export async function resetSurveyIn(connection)
       const success = await connection.invoke('ResetSurveyIn');
       if (success)
       {
-        console.log('Survey-In reset successfully');
+        logEvent('gnss', 'info', 'Survey-in restarted');
       }
       else
       {
-        console.warn('Survey-In reset failed - check if in SEND mode');
+        logEvent('gnss', 'warning', 'Survey-in restart refused, the base is not in SEND mode');
       }
       return success;
     }
@@ -449,6 +633,77 @@ export async function resetSurveyIn(connection)
   }
 }
 
+// Switch the base to survey-in; applied immediately in SEND mode, otherwise on the next switch to SEND
+export async function startSurveyIn(connection, durationSeconds, accuracyLimitMeters)
+{
+  try
+  {
+    if (connection && connection.state === 'Connected')
+    {
+      const success = await connection.invoke('StartSurveyIn', durationSeconds, accuracyLimitMeters);
+      if (success)
+      {
+        surveySettings.durationSeconds = durationSeconds;
+        surveySettings.accuracyLimitMeters = accuracyLimitMeters;
+        baseStation.mode = 'SurveyIn';
+        logEvent('gnss', 'info', `Base set to survey-in (${durationSeconds} s / ${accuracyLimitMeters} m)`);
+      }
+      return success;
+    }
+    else
+    {
+      console.error('No SignalR connection available');
+      return false;
+    }
+  }
+  catch (error)
+  {
+    console.error('Error starting survey-in:', error);
+    return false;
+  }
+}
+
+// Put the base on a known position. The height is the ellipsoidal height of the antenna
+// reference point, i.e. mark height plus antenna height
+export async function setFixedBasePosition(connection, { latitude, longitude, heightMeters, accuracyMeters })
+{
+  try
+  {
+    if (connection && connection.state === 'Connected')
+    {
+      const success = await connection.invoke('SetFixedBasePosition', latitude, longitude, heightMeters, accuracyMeters);
+      if (success)
+      {
+        baseStation.mode = 'FixedPosition';
+        baseStation.fixedPosition = { latitude, longitude, heightMeters, accuracyMeters };
+        logEvent('gnss', 'info', `Base set to known position ${latitude.toFixed(8)}, ${longitude.toFixed(8)}, ${heightMeters.toFixed(3)} m`);
+      }
+      return success;
+    }
+    else
+    {
+      console.error('No SignalR connection available');
+      return false;
+    }
+  }
+  catch (error)
+  {
+    console.error('Error setting fixed base position:', error);
+    return false;
+  }
+}
+
+// After a (re)connect, don't wait for the next periodic broadcast: fetch the corrections mode
+// and the survey-in settings, which may have changed while the link was down
+onHubConnected(async (connection) =>
+{
+  const mode = await connection.invoke('GetCurrentMode');
+  gnssData.corrections.mode = mode;
+  selectedMode.value = mode;
+
+  await fetchSettings(connection);
+});
+
 export function useGnssData()
 {
   return {
@@ -459,8 +714,13 @@ export function useGnssData()
     getModeConfig,
     handleModeChange,
     registerGnssEvents,
+    onPositionEpoch,
+    onSatelliteEpoch,
+    hasSurveyInMean,
     fetchSettings,
     updateSettings,
-    resetSurveyIn
+    resetSurveyIn,
+    startSurveyIn,
+    setFixedBasePosition
   };
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
 import { ref } from 'vue';
+import { onHubConnected } from './useHubLifecycle';
+import { logEvent } from './useEventJournal';
 
 const hardwareStatus = ref({
   gnssAvailable: false,
@@ -7,26 +9,57 @@ const hardwareStatus = ref({
   encoderAvailable: false
 });
 
-export function useHardwareStatus() {
-  const fetchHardwareStatus = async (connection) => {
-    if (!connection) return;
+const HARDWARE_LABELS = {
+  gnssAvailable: 'GNSS receiver',
+  imuAvailable: 'IMU',
+  cameraAvailable: 'Camera',
+  encoderAvailable: 'Encoder'
+};
 
-    try {
-      const status = await connection.invoke('GetHardwareStatus');
-      hardwareStatus.value = status;
-      console.log('Hardware status fetched:', status);
-    } catch (error) {
-      console.error('Failed to get hardware status:', error);
-    }
-  };
+// Until the first status arrives every device reads as absent, which is not a change worth logging
+let hardwareStatusKnown = false;
+
+const applyHardwareStatus = (status) =>
+{
+  if (hardwareStatusKnown)
+  {
+    Object.entries(HARDWARE_LABELS)
+      .filter(([key]) => Boolean(status[key]) !== Boolean(hardwareStatus.value[key]))
+      .forEach(([key, label]) => logEvent('hardware', status[key] ? 'info' : 'warning',
+        `${label} ${status[key] ? 'detected' : 'no longer available'}`));
+  }
+  hardwareStatusKnown = true;
+  hardwareStatus.value = status;
+};
+
+const fetchHardwareStatus = async (connection) => 
+{
+  if (!connection) return;
+
+  try 
+  {
+    const status = await connection.invoke('GetHardwareStatus');
+    applyHardwareStatus(status);
+  }
+  catch (error) 
+  {
+    console.error('Failed to get hardware status:', error);
+  }
+};
+
+// Hardware may have been plugged or unplugged while the link was down
+onHubConnected(fetchHardwareStatus, { duringReplay: true });
 
-  const setupHardwareStatusListener = (connection) => {
+export function useHardwareStatus() 
+{
+  const setupHardwareStatusListener = (connection) => 
+  {
     if (!connection) return;
 
     // Listen for hardware status updates from the server
-    connection.on('HardwareStatusUpdate', (status) => {
-      console.log('Received HardwareStatusUpdate:', status);
-      hardwareStatus.value = status;
+    connection.on('HardwareStatusUpdate', (status) => 
+    {
+      applyHardwareStatus(status);
     });
   };
 
@@ -35,4 +68,4 @@ export function useHardwareStatus() {
     fetchHardwareStatus,
     setupHardwareStatusListener
   };
-}
\ No newline at end of file
+}
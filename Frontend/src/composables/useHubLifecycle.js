@@ -0,0 +1,32 @@
+// Subscribers that reload the state the hub only provides on request (mode, settings, WiFi, ...).
+// They run every time a hub becomes connected: first connect, reconnect after a drop or a base
+// station reboot, and when the mock hub is swapped in. A replay hub only answers the few calls a
+// recording can, so only subscribers registered with duringReplay run against it.
+const connectedHandlers = new Map();
+
+// Returns a function that removes the subscription
+export const onHubConnected = (handler, { duringReplay = false } = {}) =>
+{
+  connectedHandlers.set(handler, { duringReplay });
+  return () => connectedHandlers.delete(handler);
+};
+
+// Run all subscribers against the connected hub; one failing reload does not block the others
+export const notifyHubConnected = async (hub, { replaying = false } = {}) =>
+{
+  const handlers = Array.from(connectedHandlers.entries())
+    .filter(([, options]) => !replaying || options.duringReplay)
+    .map(([handler]) => handler);
+  const results = await Promise.allSettled(handlers.map(handler => handler(hub)));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to reload state after connecting:', result.reason));
+};
+
+export function useHubLifecycle()
+{
+  return {
+    onHubConnected
+  };
+}
@@ -0,0 +1,220 @@
+import { reactive, ref } from 'vue';
+import { onImuSample } from './useSystemData';
+import { onHubConnected } from './useHubLifecycle';
+import { logEvent } from './useEventJournal';
+import {
+  applyCalibration,
+  averageVector,
+  fitMagnetometer,
+  fitAccelerometer,
+  magnetometerCoverage,
+  ACCELEROMETER_POSITIONS,
+  ACCELEROMETER_SAMPLES_PER_POSITION
+} from '@/utils/imuCalibration';
+
+// Upper bound for one magnetometer session, the stream runs at about 1 Hz
+const MAX_MAGNETOMETER_SAMPLES = 600;
+// A position capture is thrown away when a reading strays this far from the mean (fraction of gravity)
+const MAX_CAPTURE_DEVIATION = 0.02;
+
+// Calibrations stored on the device, null for a sensor that was never calibrated.
+// Each is { offset, matrix, residual, sampleCount, calibratedAt }.
+const calibration = reactive({
+  magnetometer: null,
+  accelerometer: null
+});
+
+// Calibrated copy of an IMU sample for everything derived from it (attitude, heading)
+const calibrateSample = (sample) => ({
+  ...sample,
+  acceleration: applyCalibration(sample.acceleration, calibration.accelerometer),
+  magnetometer: applyCalibration(sample.magnetometer, calibration.magnetometer)
+});
+
+const applyDeviceCalibration = (stored) =>
+{
+  calibration.magnetometer = stored?.magnetometer ?? null;
+  calibration.accelerometer = stored?.accelerometer ?? null;
+};
+
+const fetchCalibration = async (connection) =>
+{
+  try
+  {
+    applyDeviceCalibration(await connection.invoke('GetImuCalibration'));
+  }
+  catch (error)
+  {
+    console.error('Failed to load IMU calibration:', error);
+  }
+};
+
+// The calibration may have been redone from another client while the link was down
+onHubConnected(fetchCalibration);
+
+export const registerImuCalibrationEvents = (connection) =>
+{
+  connection.on('ImuCalibrationUpdated', applyDeviceCalibration);
+};
+
+// Magnetometer session: raw samples collected while the user turns the unit through all orientations.
+// The samples array is not reactive, magnetometerVersion ticks when it changes.
+const magnetometerSession = reactive({
+  collecting: false,
+  sampleCount: 0,
+  coverage: 0,
+  fit: null
+});
+const magnetometerVersion = ref(0);
+let magnetometerSamples = [];
+
+// Accelerometer session: one averaged raw reading per static position
+const accelerometerSession = reactive({
+  capturing: null,
+  captures: {},
+  rejected: null,
+  fit: null
+});
+let captureBuffer = [];
+
+onImuSample((sample) =>
+{
+  const { magnetometer, acceleration } = sample;
+
+  if (magnetometerSession.collecting && magnetometer && magnetometer.x !== null)
+  {
+    magnetometerSamples.push({ x: magnetometer.x, y: magnetometer.y, z: magnetometer.z });
+    magnetometerSession.sampleCount = magnetometerSamples.length;
+    magnetometerSession.coverage = magnetometerCoverage(magnetometerSamples);
+    magnetometerVersion.value++;
+
+    if (magnetometerSamples.length >= MAX_MAGNETOMETER_SAMPLES)
+    {
+      stopMagnetometer();
+    }
+  }
+
+  if (accelerometerSession.capturing && acceleration && acceleration.x !== null)
+  {
+    captureBuffer.push({ x: acceleration.x, y: acceleration.y, z: acceleration.z });
+    if (captureBuffer.length >= ACCELEROMETER_SAMPLES_PER_POSITION)
+    {
+      finishCapture();
+    }
+  }
+});
+
+const startMagnetometer = () =>
+{
+  magnetometerSamples = [];
+  magnetometerSession.sampleCount = 0;
+  magnetometerSession.coverage = 0;
+  magnetometerSession.fit = null;
+  magnetometerSession.collecting = true;
+  magnetometerVersion.value++;
+};
+
+const stopMagnetometer = () =>
+{
+  magnetometerSession.collecting = false;
+  magnetometerSession.fit = fitMagnetometer(magnetometerSamples);
+};
+
+const getMagnetometerSamples = () => magnetometerSamples;
+
+const capturePosition = (key) =>
+{
+  captureBuffer = [];
+  accelerometerSession.rejected = null;
+  accelerometerSession.capturing = key;
+};
+
+const finishCapture = () =>
+{
+  const key = accelerometerSession.capturing;
+  const mean = averageVector(captureBuffer);
+  const gravity = Math.hypot(mean.x, mean.y, mean.z);
+  const moved = captureBuffer.some(reading =>
+    Math.hypot(reading.x - mean.x, reading.y - mean.y, reading.z - mean.z) > MAX_CAPTURE_DEVIATION * gravity);
+
+  accelerometerSession.capturing = null;
+  if (moved)
+  {
+    accelerometerSession.rejected = key;
+    return;
+  }
+
+  accelerometerSession.captures = { ...accelerometerSession.captures, [key]: mean };
+  accelerometerSession.fit = fitAccelerometer(accelerometerSession.captures);
+};
+
+const resetAccelerometer = () =>
+{
+  captureBuffer = [];
+  accelerometerSession.capturing = null;
+  accelerometerSession.captures = {};
+  accelerometerSession.rejected = null;
+  accelerometerSession.fit = null;
+};
+
+const SENSOR_NAMES = { magnetometer: 'Magnetometer', accelerometer: 'Accelerometer' };
+
+// Store a fit on the device; sensor is 'magnetometer' or 'accelerometer'
+const saveCalibration = async (connection, sensor, fit) =>
+{
+  if (!connection || connection.state !== 'Connected' || !fit) return false;
+
+  try
+  {
+    const success = await connection.invoke('SetImuCalibration', SENSOR_NAMES[sensor], fit.offset, fit.matrix, fit.residual, fit.sampleCount);
+    if (success)
+    {
+      logEvent('system', 'info', `${SENSOR_NAMES[sensor]} calibration saved (residual ${(fit.residual * 100).toFixed(1)} %)`);
+    }
+    return success;
+  }
+  catch (error)
+  {
+    logEvent('system', 'error', `Saving the ${sensor} calibration failed: ${error?.message ?? error}`);
+    return false;
+  }
+};
+
+const clearCalibration = async (connection, sensor) =>
+{
+  if (!connection || connection.state !== 'Connected') return false;
+
+  try
+  {
+    const success = await connection.invoke('ClearImuCalibration', SENSOR_NAMES[sensor]);
+    if (success)
+    {
+      logEvent('system', 'info', `${SENSOR_NAMES[sensor]} calibration removed`);
+    }
+    return success;
+  }
+  catch (error)
+  {
+    logEvent('system', 'error', `Removing the ${sensor} calibration failed: ${error?.message ?? error}`);
+    return false;
+  }
+};
+
+export function useImuCalibration()
+{
+  return {
+    calibration,
+    calibrateSample,
+    magnetometerSession,
+    magnetometerVersion,
+    getMagnetometerSamples,
+    startMagnetometer,
+    stopMagnetometer,
+    accelerometerSession,
+    accelerometerPositions: ACCELEROMETER_POSITIONS,
+    capturePosition,
+    resetAccelerometer,
+    saveCalibration,
+    clearCalibration
+  };
+}
@@ -0,0 +1,171 @@
+import { reactive, ref } from 'vue';
+import { onImuSample, onImuFullRateSample, isImuFullRateActive } from './useSystemData';
+import { createPersistedState } from './usePersistedState';
+import { createScopedActivity } from './useScopedActivity';
+import { downloadFile } from '@/utils/exportFormats';
+
+// Hard cap on the buffer, five minutes at 50 Hz
+const MAX_SAMPLES = 15000;
+
+export const RECORDER_WINDOWS = [10, 30, 60, 120, 300];
+
+export const RECORDER_CHANNELS = {
+  acceleration: ['ax', 'ay', 'az'],
+  gyroscope: ['gx', 'gy', 'gz'],
+  magnetometer: ['mx', 'my', 'mz']
+};
+
+const recorderSettings = createPersistedState('imuRecorder', {
+  // Seconds of history kept in the rolling buffer
+  windowSeconds: 30
+});
+
+// Rolling buffer of { time (ms), ax, ay, az, gx, gy, gz, mx, my, mz } in raw sensor units.
+// Not reactive, recorderVersion ticks when it changes.
+let samples = [];
+const recorderVersion = ref(0);
+
+// fullRate: the buffer holds the batched full-rate stream rather than the 1 Hz updates.
+// sampleRate (Hz) is measured from the buffer.
+const recorder = reactive({
+  frozen: false,
+  fullRate: false,
+  sampleRate: null,
+  sampleCount: 0,
+  duration: 0
+});
+
+const toRow = (time, { acceleration, gyroscope, magnetometer }) => ({
+  time,
+  ax: acceleration.x,
+  ay: acceleration.y,
+  az: acceleration.z,
+  gx: gyroscope.x,
+  gy: gyroscope.y,
+  gz: gyroscope.z,
+  mx: magnetometer.x,
+  my: magnetometer.y,
+  mz: magnetometer.z
+});
+
+const measureSampleRate = () =>
+{
+  if (samples.length < 2) return null;
+  const span = samples[samples.length - 1].time - samples[0].time;
+  return span > 0 ? (samples.length - 1) * 1000 / span : null;
+};
+
+const append = (rows, fullRate) =>
+{
+  if (recorder.frozen || rows.length === 0) return;
+
+  // The two streams have different rates, a buffer mixing them can't be analysed; nor can one
+  // running backwards after the unit restarted
+  const last = samples[samples.length - 1];
+  if (fullRate !== recorder.fullRate || (last && rows[0].time <= last.time))
+  {
+    samples = [];
+    recorder.fullRate = fullRate;
+  }
+
+  samples.push(...rows);
+
+  const oldest = samples[samples.length - 1].time - recorderSettings.windowSeconds * 1000;
+  let start = samples.findIndex(row => row.time >= oldest);
+  start = Math.max(start, samples.length - MAX_SAMPLES);
+  if (start > 0)
+  {
+    samples.splice(0, start);
+  }
+
+  recorder.sampleCount = samples.length;
+  recorder.duration = (samples[samples.length - 1].time - samples[0].time) / 1000;
+  recorder.sampleRate = measureSampleRate();
+  recorderVersion.value++;
+};
+
+// Records while the recorder panel is open. The throttled stream keeps it going when the full-rate
+// one isn't available (replay, or an older backend).
+const retainRecording = createScopedActivity(() =>
+{
+  // Whatever was recorded before the panel closed ends in a gap, unless it was frozen to keep it
+  if (!recorder.frozen)
+  {
+    clearRecorder();
+  }
+
+  const stops = [
+    onImuFullRateSample((sample) =>
+    {
+      append([toRow(sample.time, sample)], true);
+    }),
+    onImuSample((sample) =>
+    {
+      if (isImuFullRateActive()) return;
+      append([toRow(sample.receivedAt, sample)], false);
+    })
+  ];
+
+  return () => stops.forEach(stop => stop());
+});
+
+const freezeRecorder = () =>
+{
+  recorder.frozen = true;
+};
+
+const resumeRecorder = () =>
+{
+  recorder.frozen = false;
+};
+
+const clearRecorder = () =>
+{
+  samples = [];
+  recorder.sampleCount = 0;
+  recorder.duration = 0;
+  recorder.sampleRate = null;
+  recorderVersion.value++;
+};
+
+const getRecorderSamples = () => samples;
+
+// One column per channel, time as ISO timestamp and seconds from the first sample
+const formatRecorderCsv = (rows) =>
+{
+  const start = rows.length > 0 ? rows[0].time : 0;
+  const channels = Object.values(RECORDER_CHANNELS).flat();
+  const lines = rows.map(row => [
+    new Date(row.time).toISOString(),
+    ((row.time - start) / 1000).toFixed(3),
+    ...channels.map(channel => row[channel] ?? '')
+  ].join(','));
+
+  return ['timestamp,seconds,' + channels.join(','), ...lines].join('\n') + '\n';
+};
+
+const exportRecorderCsv = (hostname) =>
+{
+  if (samples.length === 0) return false;
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  downloadFile(`imu-${hostname || 'device'}-${stamp}.csv`, formatRecorderCsv(samples), 'text/csv');
+  return true;
+};
+
+export function useImuRecorder()
+{
+  retainRecording();
+
+  return {
+    recorder,
+    recorderSettings,
+    recorderVersion,
+    getRecorderSamples,
+    freezeRecorder,
+    resumeRecorder,
+    clearRecorder,
+    formatRecorderCsv,
+    exportRecorderCsv
+  };
+}
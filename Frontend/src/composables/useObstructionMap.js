@@ -0,0 +1,79 @@
+import { ref, computed } from 'vue';
+import { onSatelliteEpoch } from './useGnssData';
+import { createPersistedState } from './usePersistedState';
+import { createSkyMap, addObservation, getExpectedCurve, getCellStats, getObstructedSectors } from '@/utils/skyMask';
+
+const obstructionSettings = createPersistedState('obstructionMap', {
+  // A cell counts as obstructed when most of its samples are this far below the expected C/N0
+  deficitDb: 6,
+  minSamples: 20
+});
+
+// The map belongs to one antenna location, so it is kept for the session and reset on a move
+let skyMap = createSkyMap();
+const mapVersion = ref(0);
+const recording = ref(true);
+const startedAt = ref(Date.now());
+
+onSatelliteEpoch(({ satellites }) =>
+{
+  if (!recording.value) return;
+
+  let added = 0;
+  satellites.forEach(satellite =>
+  {
+    if (addObservation(skyMap, satellite.azimuth, satellite.elevation, satellite.cn0)) added++;
+  });
+
+  if (added > 0)
+  {
+    mapVersion.value++;
+  }
+});
+
+const cells = computed(() =>
+{
+  void mapVersion.value;
+  return getCellStats(skyMap, { deficitDb: obstructionSettings.deficitDb, minSamples: obstructionSettings.minSamples });
+});
+
+const expectedCurve = computed(() =>
+{
+  void mapVersion.value;
+  return getExpectedCurve(skyMap);
+});
+
+const obstructedSectors = computed(() => getObstructedSectors(cells.value));
+
+const totalSamples = computed(() =>
+{
+  void mapVersion.value;
+  return skyMap.totalSamples;
+});
+
+const toggleRecording = () =>
+{
+  recording.value = !recording.value;
+};
+
+const resetMap = () =>
+{
+  skyMap = createSkyMap();
+  startedAt.value = Date.now();
+  mapVersion.value++;
+};
+
+export function useObstructionMap()
+{
+  return {
+    obstructionSettings,
+    recording,
+    startedAt,
+    cells,
+    expectedCurve,
+    obstructedSectors,
+    totalSamples,
+    toggleRecording,
+    resetMap
+  };
+}
@@ -0,0 +1,64 @@
+import { reactive } from 'vue';
+import { resolveBackendUrl } from '@/transports/signalrHub';
+
+// Raster tilesets the backend finds under Tiles/ on the logging drive
+const tiles = reactive({
+  tilesets: [],
+  selectedName: null,
+  loading: false,
+  error: null
+});
+
+const loadTilesets = async () =>
+{
+  tiles.loading = true;
+  tiles.error = null;
+
+  try
+  {
+    const response = await fetch(resolveBackendUrl('/tiles'));
+    if (!response.ok)
+    {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    tiles.tilesets = await response.json();
+
+    // Keep the current choice if the tileset is still on the drive
+    if (!tiles.tilesets.some(tileset => tileset.name === tiles.selectedName))
+    {
+      tiles.selectedName = tiles.tilesets.length > 0 ? tiles.tilesets[0].name : null;
+    }
+  }
+  catch (error)
+  {
+    console.error('Failed to load offline tilesets:', error);
+    tiles.tilesets = [];
+    tiles.selectedName = null;
+    tiles.error = 'Tile server not reachable';
+  }
+  finally
+  {
+    tiles.loading = false;
+  }
+};
+
+const getSelectedTileset = () =>
+{
+  return tiles.tilesets.find(tileset => tileset.name === tiles.selectedName) || null;
+};
+
+const getTileUrl = (tileset, z, x, y) =>
+{
+  return resolveBackendUrl(`/tiles/${encodeURIComponent(tileset.name)}/${z}/${x}/${y}`);
+};
+
+export function useOfflineTiles()
+{
+  return {
+    tiles,
+    loadTilesets,
+    getSelectedTileset,
+    getTileUrl
+  };
+}
@@ -0,0 +1,57 @@
+import { reactive, watch } from 'vue';
+
+const STORAGE_PREFIX = 'positioning.';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Reactive object saved to localStorage on every change, so field data survives page reloads.
+// Keys missing from the stored copy (saved by an older version) fall back to the defaults.
+export function createPersistedState(key, defaults)
+{
+  const storageKey = STORAGE_PREFIX + key;
+  let stored = {};
+
+  try
+  {
+    stored = JSON.parse(localStorage.getItem(storageKey)) || {};
+  }
+  catch (error)
+  {
+    console.error(`Failed to read ${storageKey} from local storage:`, error);
+  }
+
+  // Settings objects are merged one level deep so newly added settings get their defaults
+  const initial = structuredClone(defaults);
+  Object.entries(stored).forEach(([name, value]) =>
+  {
+    initial[name] = isPlainObject(initial[name]) && isPlainObject(value) ? { ...initial[name], ...value } : value;
+  });
+
+  const state = reactive(initial);
+
+  watch(state, () =>
+  {
+    try
+    {
+      localStorage.setItem(storageKey, JSON.stringify(state));
+    }
+    catch (error)
+    {
+      console.error(`Failed to save ${storageKey} to local storage:`, error);
+    }
+  }, { deep: true });
+
+  return state;
+}
+
+// Id for records kept in persisted lists. crypto.randomUUID needs a secure context,
+// which the device's plain HTTP page is not.
+export const createRecordId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function usePersistedState()
+{
+  return {
+    createPersistedState,
+    createRecordId
+  };
+}
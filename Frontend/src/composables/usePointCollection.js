@@ -0,0 +1,263 @@
+import { reactive, computed } from 'vue';
+import { onPositionEpoch, receiverNow } from './useGnssData';
+import { createPersistedState, createRecordId } from './usePersistedState';
+import { useTiltCompensation } from './useTiltCompensation';
+import { geodeticToEnu } from '@/utils/geodesy';
+import { classifyFixType } from '@/utils/fixQuality';
+
+const { tiltViolation, compensateEpoch } = useTiltCompensation();
+
+// Stored points and occupation settings survive page reloads
+const collection = createPersistedState('points', {
+  points: [],
+  settings: {
+    // 'duration' averages for durationSeconds, 'count' until epochCount epochs are in
+    mode: 'duration',
+    durationSeconds: 10,
+    epochCount: 10,
+    requireFixed: true,
+    maxHAcc: 0.03,
+    maxPdop: 3.0,
+    // 'refuse' aborts the occupation on the first bad epoch, 'warn' keeps it and flags the point
+    gateAction: 'refuse',
+    antennaHeight: 0
+  }
+});
+
+// The occupation in progress (not persisted, a reload abandons it)
+const occupation = reactive({
+  active: false,
+  name: '',
+  code: '',
+  antennaHeight: 0,
+  startedAt: null,
+  lastEpochAt: null,
+  epochs: [],
+  warnings: [],
+  // Result of the last occupation: { stored: true, point } or { stored: false, reason }
+  result: null
+});
+
+// P7 -> P8, STN-09 -> STN-10; names without a trailing number get one appended
+const nextPointName = () =>
+{
+  const last = collection.points[collection.points.length - 1]?.name;
+  if (!last) return 'P1';
+
+  const match = last.match(/^(.*?)(\d+)$/);
+  if (!match) return `${last}1`;
+
+  const next = String(Number(match[2]) + 1).padStart(match[2].length, '0');
+  return match[1] + next;
+};
+
+// Quality gate violations of one epoch against the current settings
+const checkEpoch = (epoch) =>
+{
+  const { requireFixed, maxHAcc, maxPdop } = collection.settings;
+  const violations = [];
+
+  if (requireFixed && classifyFixType(epoch.fixType) !== 'fixed')
+  {
+    violations.push(`Fix dropped to ${epoch.fixType || 'No Fix'}`);
+  }
+  if (epoch.hAcc !== null && epoch.hAcc > maxHAcc)
+  {
+    violations.push(`hAcc ${(epoch.hAcc * 100).toFixed(1)} cm above ${(maxHAcc * 100).toFixed(1)} cm`);
+  }
+  if (epoch.pdop !== null && epoch.pdop > maxPdop)
+  {
+    violations.push(`PDOP ${epoch.pdop.toFixed(1)} above ${maxPdop.toFixed(1)}`);
+  }
+  if (tiltViolation.value)
+  {
+    violations.push(tiltViolation.value);
+  }
+
+  return violations;
+};
+
+// Mean position and per-axis sample standard deviations (meters) of the occupation epochs
+const averageEpochs = (epochs) =>
+{
+  const count = epochs.length;
+  const mean = {
+    latitude: epochs.reduce((sum, epoch) => sum + epoch.latitude, 0) / count,
+    longitude: epochs.reduce((sum, epoch) => sum + epoch.longitude, 0) / count,
+    height: epochs.reduce((sum, epoch) => sum + epoch.altitude, 0) / count,
+    // Only when every epoch carried one, older backends send MSL heights only
+    ellipsoidalHeight: epochs.every(epoch => epoch.ellipsoidalHeight !== null && epoch.ellipsoidalHeight !== undefined)
+      ? epochs.reduce((sum, epoch) => sum + epoch.ellipsoidalHeight, 0) / count
+      : null
+  };
+
+  const offsets = epochs.map(epoch => geodeticToEnu(
+    { latitude: epoch.latitude, longitude: epoch.longitude, height: epoch.altitude },
+    mean
+  ));
+  const std = (axis) => count > 1
+    ? Math.sqrt(offsets.reduce((sum, offset) => sum + offset[axis] ** 2, 0) / (count - 1))
+    : 0;
+
+  return { ...mean, stdEast: std('east'), stdNorth: std('north'), stdUp: std('up') };
+};
+
+const finishOccupation = (result) =>
+{
+  occupation.active = false;
+  occupation.result = result;
+};
+
+const storeOccupation = () =>
+{
+  const average = averageEpochs(occupation.epochs);
+  const hAccValues = occupation.epochs.map(epoch => epoch.hAcc).filter(value => value !== null);
+  const pdopValues = occupation.epochs.map(epoch => epoch.pdop).filter(value => value !== null);
+  const tiltValues = occupation.epochs.map(epoch => epoch.tiltAngle).filter(value => value !== undefined);
+
+  const point = {
+    id: createRecordId(),
+    name: occupation.name,
+    code: occupation.code,
+    antennaHeight: occupation.antennaHeight,
+    latitude: average.latitude,
+    longitude: average.longitude,
+    // Ground mark height: averaged antenna MSL height minus the antenna height
+    height: average.height - occupation.antennaHeight,
+    ellipsoidalHeight: average.ellipsoidalHeight !== null ? average.ellipsoidalHeight - occupation.antennaHeight : null,
+    stdEast: average.stdEast,
+    stdNorth: average.stdNorth,
+    stdUp: average.stdUp,
+    epochs: occupation.epochs.length,
+    fixType: occupation.epochs[occupation.epochs.length - 1].fixType,
+    maxHAcc: hAccValues.length > 0 ? Math.max(...hAccValues) : null,
+    maxPdop: pdopValues.length > 0 ? Math.max(...pdopValues) : null,
+    // Largest pole tilt corrected for, null when the point was taken without tilt compensation
+    maxTilt: tiltValues.length > 0 ? Math.max(...tiltValues) : null,
+    warnings: [...new Set(occupation.warnings)],
+    startedAt: occupation.startedAt,
+    endedAt: occupation.lastEpochAt
+  };
+
+  collection.points.push(point);
+  finishOccupation({ stored: true, point });
+};
+
+const isOccupationComplete = () =>
+{
+  const { mode, durationSeconds, epochCount } = collection.settings;
+  if (mode === 'count') return occupation.epochs.length >= epochCount;
+  return occupation.lastEpochAt - occupation.startedAt >= durationSeconds * 1000;
+};
+
+onPositionEpoch((antennaEpoch) =>
+{
+  if (!occupation.active) return;
+
+  // With tilt compensation on, average the antenna positions as if the pole had been plumb,
+  // on the same pole the stored heights are reduced by
+  const epoch = compensateEpoch(antennaEpoch, occupation.antennaHeight);
+
+  const violations = checkEpoch(epoch);
+  if (violations.length > 0 && collection.settings.gateAction === 'refuse')
+  {
+    finishOccupation({ stored: false, reason: `${violations.join(', ')} - point not stored` });
+    return;
+  }
+
+  occupation.warnings.push(...violations);
+  occupation.epochs.push(epoch);
+  occupation.lastEpochAt = epoch.timestamp;
+
+  if (isOccupationComplete())
+  {
+    storeOccupation();
+  }
+});
+
+const startOccupation = ({ name, code, antennaHeight }) =>
+{
+  if (occupation.active) return;
+
+  occupation.active = true;
+  occupation.name = name || nextPointName();
+  occupation.code = code || '';
+  occupation.antennaHeight = Number.isFinite(antennaHeight) ? antennaHeight : collection.settings.antennaHeight;
+  // On the receiver clock the epochs are stamped with
+  occupation.startedAt = receiverNow();
+  occupation.lastEpochAt = occupation.startedAt;
+  occupation.epochs = [];
+  occupation.warnings = [];
+  occupation.result = null;
+
+  // Remember the pole height for the next occupation
+  collection.settings.antennaHeight = occupation.antennaHeight;
+};
+
+const cancelOccupation = () =>
+{
+  if (!occupation.active) return;
+  finishOccupation({ stored: false, reason: 'Occupation cancelled' });
+};
+
+// 0..1 towards the configured duration or epoch count
+const occupationProgress = computed(() =>
+{
+  if (!occupation.active) return 0;
+
+  const { mode, durationSeconds, epochCount } = collection.settings;
+  const progress = mode === 'count'
+    ? occupation.epochs.length / epochCount
+    : (occupation.lastEpochAt - occupation.startedAt) / (durationSeconds * 1000);
+  return Math.min(1, progress);
+});
+
+// Running average while occupying, so the user can watch it settle
+const liveAverage = computed(() =>
+{
+  return occupation.epochs.length > 0 ? averageEpochs(occupation.epochs) : null;
+});
+
+// Only descriptive fields are editable; a changed antenna height moves the ground mark height
+const updatePoint = (id, changes) =>
+{
+  const point = collection.points.find(candidate => candidate.id === id);
+  if (!point) return;
+
+  if (Number.isFinite(changes.antennaHeight) && changes.antennaHeight !== point.antennaHeight)
+  {
+    point.height += point.antennaHeight - changes.antennaHeight;
+    if (point.ellipsoidalHeight !== null && point.ellipsoidalHeight !== undefined)
+    {
+      point.ellipsoidalHeight += point.antennaHeight - changes.antennaHeight;
+    }
+    point.antennaHeight = changes.antennaHeight;
+  }
+  if (changes.name !== undefined) point.name = changes.name;
+  if (changes.code !== undefined) point.code = changes.code;
+};
+
+const deletePoint = (id) =>
+{
+  const index = collection.points.findIndex(point => point.id === id);
+  if (index !== -1)
+  {
+    collection.points.splice(index, 1);
+  }
+};
+
+export function usePointCollection()
+{
+  return {
+    collection,
+    occupation,
+    occupationProgress,
+    liveAverage,
+    nextPointName,
+    checkEpoch,
+    startOccupation,
+    cancelOccupation,
+    updatePoint,
+    deletePoint
+  };
+}
@@ -0,0 +1,233 @@
+import { reactive, ref } from 'vue';
+import { onPositionEpoch, receiverNow, toReceiverTime } from './useGnssData';
+import { onImuSample, onImuFullRateSample, isImuFullRateActive } from './useSystemData';
+import { useAttitude } from './useAttitude';
+import { useImuCalibration } from './useImuCalibration';
+import { createScopedActivity } from './useScopedActivity';
+import { createPositionFilter, accelerationInNavigationFrame } from '@/utils/positionFusion';
+import { geodeticToEnu, enuToGeodetic } from '@/utils/geodesy';
+
+// Fused position published at this rate, well above the GNSS dashboard rate
+const OUTPUT_RATE_HZ = 5;
+// Fixes further than this (m) from the local frame's origin move the origin
+const MAX_ORIGIN_DISTANCE = 2000;
+// Assumed accuracy (m) of a fix that does not report one
+const DEFAULT_FIX_ACCURACY = 5;
+// Interval between fixes (s) until one has been measured; longer gaps are outages, not the navigation rate
+const DEFAULT_FIX_INTERVAL = 1;
+const MAX_FIX_INTERVAL = 5;
+// The position counts as carried forward once this many fix intervals went by without one
+const COASTING_INTERVALS = 1.5;
+const MAX_TRACK_POINTS = 5000;
+
+const { attitude } = useAttitude();
+const { calibrateSample } = useImuCalibration();
+
+const filter = createPositionFilter();
+
+// Origin of the local east/north/up frame the filter works in
+let origin = null;
+
+// Smoothed interval between position epochs (s), measured from the epochs themselves
+let fixInterval = null;
+let lastFixAt = null;
+// A fix or IMU input arrived since the last track point
+let hasNewInput = false;
+
+// Latest fused solution. mode is 'gnss-imu' or 'gnss' while fixes arrive, 'coasting' while they
+// are missing and the position is carried forward, 'idle' without a solution.
+const fusedPosition = reactive({
+  valid: false,
+  mode: 'idle',
+  latitude: null,
+  longitude: null,
+  altitude: null,
+  velocity: { east: 0, north: 0, up: 0 },
+  // Horizontal speed (m/s) and course over ground (0-360°, null while standing still)
+  speed: 0,
+  course: null,
+  // Estimated 1σ uncertainty (m)
+  sigma: { east: null, north: null, up: null },
+  // Seconds since the last fix that went into the solution
+  fixAge: null,
+  updatedAt: null
+});
+
+// Every published solution; not reactive, fusedTrackVersion ticks when it changes
+let fusedTrack = [];
+const fusedTrackVersion = ref(0);
+
+// Everything runs on the receiver clock the position epochs are stamped with, so a replay at any
+// speed looks to the filter like the live session did. IMU samples are put on it by arrival.
+const toSeconds = (timestamp) => timestamp / 1000;
+
+const measureFixInterval = (time) =>
+{
+  const interval = lastFixAt !== null ? time - lastFixAt : null;
+  lastFixAt = time;
+  if (interval === null || interval <= 0 || interval > MAX_FIX_INTERVAL) return;
+
+  fixInterval = fixInterval === null ? interval : fixInterval + (interval - fixInterval) * 0.2;
+};
+
+const addFix = (epoch) =>
+{
+  if (epoch.latitude === null || epoch.longitude === null) return;
+
+  // The receiver clock went backwards (a rewound replay): start over from this fix
+  const time = toSeconds(epoch.timestamp);
+  if (lastFixAt !== null && time < lastFixAt)
+  {
+    filter.reset();
+    lastFixAt = null;
+  }
+  measureFixInterval(time);
+  hasNewInput = true;
+
+  const height = epoch.ellipsoidalHeight ?? epoch.altitude ?? 0;
+  let offset = origin ? geodeticToEnu({ latitude: epoch.latitude, longitude: epoch.longitude, height }, origin) : null;
+
+  if (!offset || Math.hypot(offset.east, offset.north) > MAX_ORIGIN_DISTANCE)
+  {
+    // MSL altitude follows from the ellipsoidal height with the geoid separation at the origin
+    origin = {
+      latitude: epoch.latitude,
+      longitude: epoch.longitude,
+      height,
+      altitudeOffset: (epoch.altitude ?? height) - height
+    };
+    filter.reset();
+    offset = { east: 0, north: 0, up: 0 };
+  }
+
+  filter.updateFix({
+    ...offset,
+    hAcc: epoch.hAcc ?? DEFAULT_FIX_ACCURACY,
+    vAcc: epoch.vAcc ?? DEFAULT_FIX_ACCURACY
+  }, time);
+};
+
+// The accelerometer only helps with an attitude to take gravity out. While the unit accelerates
+// the attitude filter holds tilt on the gyroscope, which is exactly when this input matters.
+const feedAcceleration = (sample, time) =>
+{
+  const acceleration = attitude.valid ? accelerationInNavigationFrame(calibrateSample(sample).acceleration, attitude.quaternion) : null;
+  filter.updateAcceleration(acceleration, toSeconds(toReceiverTime(time)));
+  hasNewInput = true;
+};
+
+const publish = () =>
+{
+  const now = receiverNow();
+  const estimate = origin ? filter.estimate(toSeconds(now)) : null;
+
+  if (!estimate)
+  {
+    fusedPosition.valid = false;
+    fusedPosition.mode = 'idle';
+    return;
+  }
+
+  const position = enuToGeodetic({ east: estimate.east, north: estimate.north, up: estimate.up }, origin);
+  const speed = Math.hypot(estimate.velocity.east, estimate.velocity.north);
+  const course = speed > 0.2 ? (Math.atan2(estimate.velocity.east, estimate.velocity.north) * 180 / Math.PI + 360) % 360 : null;
+  // Well past the receiver's navigation interval the position is being carried forward
+  const coasting = estimate.fixAge > COASTING_INTERVALS * (fixInterval ?? DEFAULT_FIX_INTERVAL);
+
+  Object.assign(fusedPosition, {
+    valid: true,
+    mode: coasting ? 'coasting' : estimate.usingImu ? 'gnss-imu' : 'gnss',
+    latitude: position.latitude,
+    longitude: position.longitude,
+    altitude: position.height + origin.altitudeOffset,
+    velocity: estimate.velocity,
+    speed,
+    course,
+    sigma: estimate.sigma,
+    fixAge: estimate.fixAge,
+    updatedAt: now
+  });
+
+  // Standing still without anything new, the track would only repeat itself
+  if (!hasNewInput) return;
+  hasNewInput = false;
+
+  fusedTrack.push({
+    timestamp: now,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    altitude: fusedPosition.altitude,
+    mode: fusedPosition.mode
+  });
+  if (fusedTrack.length > MAX_TRACK_POINTS)
+  {
+    fusedTrack.splice(0, fusedTrack.length - MAX_TRACK_POINTS);
+  }
+  fusedTrackVersion.value++;
+};
+
+// The filter runs while a component shows the fused solution. Every sample of the full-rate
+// stream drives the prediction between fixes and through outages; without it (replay, older
+// backend) the 1 Hz updates are all there is.
+const retainFusion = createScopedActivity(() =>
+{
+  const stops = [
+    onPositionEpoch(addFix),
+    onImuFullRateSample((sample) =>
+    {
+      feedAcceleration(sample, sample.time);
+    }),
+    onImuSample((sample) =>
+    {
+      if (isImuFullRateActive()) return;
+      feedAcceleration(sample, sample.receivedAt);
+    })
+  ];
+  const timer = setInterval(publish, 1000 / OUTPUT_RATE_HZ);
+
+  return () =>
+  {
+    clearInterval(timer);
+    stops.forEach(stop => stop());
+    resetSolution();
+  };
+});
+
+const getFusedTrack = () => fusedTrack;
+
+const clearFusedTrack = () =>
+{
+  fusedTrack = [];
+  fusedTrackVersion.value++;
+};
+
+const resetSolution = () =>
+{
+  filter.reset();
+  origin = null;
+  lastFixAt = null;
+  hasNewInput = false;
+  publish();
+};
+
+// Drop the solution and start over from the next fix
+const resetFusion = () =>
+{
+  clearFusedTrack();
+  resetSolution();
+};
+
+export function usePositionFusion()
+{
+  // The attitude filter first, its IMU handlers have to run before the ones here
+  useAttitude();
+  retainFusion();
+
+  return {
+    fusedPosition,
+    fusedTrackVersion,
+    getFusedTrack,
+    clearFusedTrack,
+    resetFusion
+  };
+}
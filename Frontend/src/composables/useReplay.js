@@ -0,0 +1,139 @@
+import { reactive } from 'vue';
+import { loadSessionFiles } from '@/utils/sessionLog';
+import { createReplayHub } from '@/transports/replayHub';
+import { useSignalR } from './useSignalR';
+
+// Global reactive state for recorded session replay
+const replayState = reactive({
+  active: false,
+  loading: false,
+  error: null,
+  sessionName: null,
+  duration: 0,
+  currentTime: 0,
+  playing: false,
+  speed: 1,
+  utcAtZero: null,
+  eventCount: 0,
+  hasGnss: false,
+  hasImu: false
+});
+
+const speedOptions = [0.5, 1, 2, 5, 10, 30];
+
+let replayHub = null;
+
+// Best guess of the operating mode the session was recorded in, since mode changes are not logged
+const inferMode = (session) =>
+{
+  if (session.hasSurveyIn) return 'SEND';
+  if (session.hasRelativePosition) return 'RECEIVE';
+  return 'DISABLED';
+};
+
+const loadSession = async (files) =>
+{
+  if (replayState.loading) return;
+
+  replayState.loading = true;
+  replayState.error = null;
+
+  try
+  {
+    const session = await loadSessionFiles(files);
+    if (session.events.length === 0)
+    {
+      throw new Error('The selected files contain no replayable data');
+    }
+
+    const mode = inferMode(session);
+
+    // The backend broadcasts the corrections mode periodically; seed it so position handlers
+    // pick PVT (base) or HPPOSLLH (rover) positions the same way they did live
+    session.events.unshift({ t: 0, name: 'CorrectionsStatusUpdate', data: { mode } });
+
+    const { startReplay } = useSignalR();
+    replayHub = createReplayHub(session, {
+      invokeHandlers: {
+        GetCurrentMode: () => mode,
+        GetHardwareStatus: () => ({
+          gnssAvailable: session.hasGnss,
+          imuAvailable: session.hasImu,
+          cameraAvailable: false,
+          encoderAvailable: false
+        })
+      },
+      onProgress: ({ currentTime, playing, speed }) =>
+      {
+        replayState.currentTime = currentTime;
+        replayState.playing = playing;
+        replayState.speed = speed;
+      }
+    });
+
+    replayState.sessionName = session.sessionName;
+    replayState.duration = session.duration;
+    replayState.utcAtZero = session.utcAtZero;
+    replayState.eventCount = session.events.length;
+    replayState.hasGnss = session.hasGnss;
+    replayState.hasImu = session.hasImu;
+
+    // Replaces a session already being replayed without reconnecting to the device in between
+    await startReplay(replayHub);
+    replayState.active = true;
+  }
+  catch (error)
+  {
+    console.error('Failed to load recorded session:', error);
+    replayState.error = error.message;
+  }
+  finally
+  {
+    replayState.loading = false;
+  }
+};
+
+const play = () => replayHub?.play();
+const pause = () => replayHub?.pause();
+const seek = (time) => replayHub?.seek(time);
+const setSpeed = (speed) => replayHub?.setSpeed(speed);
+
+const exitReplay = async () =>
+{
+  const { stopReplay } = useSignalR();
+
+  replayHub = null;
+  replayState.active = false;
+  replayState.playing = false;
+  replayState.currentTime = 0;
+
+  await stopReplay();
+};
+
+// Format milliseconds as h:mm:ss (or m:ss for short sessions)
+const formatReplayTime = (ms) =>
+{
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+export function useReplay()
+{
+  return {
+    replayState,
+    speedOptions,
+    loadSession,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    exitReplay,
+    formatReplayTime
+  };
+}
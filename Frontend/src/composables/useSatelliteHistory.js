@@ -0,0 +1,127 @@
+import { ref, reactive } from 'vue';
+import { onSatelliteEpoch } from './useGnssData';
+import { CONSTELLATIONS, getSatelliteKey } from '@/utils/constellations';
+
+// Recorded from app start. At 2 Hz and ~40 satellites this keeps roughly 150k samples, so the
+// samples themselves are not reactive. The getters read historyVersion, which makes a computed or
+// watcher that calls them re-run on every update.
+export const HISTORY_WINDOWS = [5, 15, 30];
+const MAX_HISTORY_MS = Math.max(...HISTORY_WINDOWS) * 60 * 1000;
+
+// key -> { key, constellation, svid, samples: [{ time, cn0, elevation, residual, used }] }
+const satelliteHistory = new Map();
+
+// [{ time, constellation, used, tracked }], one row per constellation and update
+const countHistory = [];
+
+const historyVersion = ref(0);
+
+// Satellite picked for the drill-down, e.g. "GPS-12"
+const selection = reactive({
+  key: null
+});
+
+const pruneBefore = (samples, cutoff) =>
+{
+  const firstKept = samples.findIndex(sample => sample.time >= cutoff);
+  samples.splice(0, firstKept === -1 ? samples.length : firstKept);
+};
+
+onSatelliteEpoch(({ satellites, timestamp }) =>
+{
+  const counts = Object.fromEntries(CONSTELLATIONS.map(({ name }) => [name, { used: 0, tracked: 0 }]));
+
+  satellites.forEach(satellite =>
+  {
+    const key = getSatelliteKey(satellite);
+    let entry = satelliteHistory.get(key);
+    if (!entry)
+    {
+      entry = { key, constellation: satellite.constellation, svid: satellite.svid, samples: [] };
+      satelliteHistory.set(key, entry);
+    }
+
+    entry.samples.push({
+      time: timestamp,
+      cn0: satellite.cn0,
+      elevation: satellite.elevation,
+      // The receiver reports 0 for satellites outside the solution, which is not a residual
+      residual: satellite.used ? satellite.pseudorangeResidual : null,
+      used: satellite.used
+    });
+
+    const count = counts[satellite.constellation];
+    if (count)
+    {
+      count.tracked++;
+      if (satellite.used) count.used++;
+    }
+  });
+
+  Object.entries(counts).forEach(([constellation, count]) =>
+  {
+    countHistory.push({ time: timestamp, constellation, ...count });
+  });
+
+  const cutoff = timestamp - MAX_HISTORY_MS;
+  pruneBefore(countHistory, cutoff);
+  satelliteHistory.forEach((entry, key) =>
+  {
+    pruneBefore(entry.samples, cutoff);
+    if (entry.samples.length === 0)
+    {
+      satelliteHistory.delete(key);
+    }
+  });
+
+  historyVersion.value++;
+});
+
+// Satellites with any history, in constellation order then by SV id
+const getHistorySatellites = () =>
+{
+  void historyVersion.value;
+  const order = CONSTELLATIONS.map(({ name }) => name);
+  return [...satelliteHistory.values()]
+    .map(({ key, constellation, svid }) => ({ key, constellation, svid }))
+    .sort((a, b) => (order.indexOf(a.constellation) - order.indexOf(b.constellation)) || (a.svid - b.svid));
+};
+
+// Samples of one satellite since the given time. Epochs where it was not tracked have no sample.
+const getSatelliteSamples = (key, since = 0) =>
+{
+  void historyVersion.value;
+  const entry = satelliteHistory.get(key);
+  return entry ? entry.samples.filter(sample => sample.time >= since) : [];
+};
+
+const getCountHistory = (since = 0) =>
+{
+  void historyVersion.value;
+  return countHistory.filter(row => row.time >= since);
+};
+
+const selectSatellite = (satellite) =>
+{
+  selection.key = satellite ? getSatelliteKey(satellite) : null;
+};
+
+const clearHistory = () =>
+{
+  satelliteHistory.clear();
+  countHistory.splice(0);
+  historyVersion.value++;
+};
+
+export function useSatelliteHistory()
+{
+  return {
+    historyVersion,
+    selection,
+    getHistorySatellites,
+    getSatelliteSamples,
+    getCountHistory,
+    selectSatellite,
+    clearHistory
+  };
+}
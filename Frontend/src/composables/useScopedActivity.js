@@ -0,0 +1,34 @@
+import { getCurrentScope, onScopeDispose } from 'vue';
+
+// Background work (a timer, a stream subscription) that only runs while a component uses it.
+// start() sets the work up and returns the function that tears it down. The returned retain()
+// is called from a composable: the first component calling it starts the work, the work stops
+// when the last of them is unmounted. Outside a component (module scope) retain() does nothing.
+export function createScopedActivity(start)
+{
+  let users = 0;
+  let stop = null;
+
+  const release = () =>
+  {
+    users--;
+    if (users > 0) return;
+
+    stop();
+    stop = null;
+  };
+
+  const retain = () =>
+  {
+    if (!getCurrentScope()) return;
+
+    users++;
+    if (users === 1)
+    {
+      stop = start();
+    }
+    onScopeDispose(release);
+  };
+
+  return retain;
+}
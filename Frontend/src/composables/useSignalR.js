@@ -1,9 +1,15 @@
 import { ref } from 'vue';
-import { HubConnectionBuilder, HubConnectionState } from '@microsoft/signalr';
-import { registerGnssEvents } from './useGnssData';
+import { HubConnectionState } from '@microsoft/signalr';
+import { createTransport, resolveTransportKind } from '@/transports';
+import { registerGnssEvents, resetReceiverClock } from './useGnssData';
 import { registerSystemEvents } from './useSystemData';
 import { registerConnectionEvents } from './useConnectionData';
 import { useHardwareStatus } from './useHardwareStatus';
+import { registerImuCalibrationEvents } from './useImuCalibration';
+import { setStalenessSuspended } from './useStreamFreshness';
+import { onHubConnected, notifyHubConnected } from './useHubLifecycle';
+import { logEvent } from './useEventJournal';
+import { useFixTimeline } from './useFixTimeline';
 
 // SignalR connection state
 let connection = null;
@@ -16,9 +22,26 @@ const nextRetryIn = ref(0);
 let retryTimer = null;
 let retryCountdown = null;
 
+// Reconnect backoff: the delay grows by `multiplier` per failed attempt up to `maxDelayMs`,
+// randomized by ±`jitter` so several tablets dropping off the same access point don't retry in lockstep
+const reconnectPolicy = {
+  initialDelayMs: 1000,
+  maxDelayMs: 15000,
+  multiplier: 2,
+  jitter: 0.25
+};
+
 // Current mode tracking
 const currentMode = ref('DISABLED');
 
+// Recorded session replay tracking
+const isReplaying = ref(false);
+
+const { resetSession: resetFixSession } = useFixTimeline();
+
+// Live transport in use ('signalr' or 'mock'), see src/transports
+const transportKind = ref(resolveTransportKind());
+
 // Connection management functions
 const updateConnectionStatus = () => 
 {
@@ -28,15 +51,27 @@ const updateConnectionStatus = () =>
     return;
   }
 
+  const wasConnected = connectionStatus.value === 'Connected';
+
   switch (connection.state) 
   {
     case HubConnectionState.Connected:
+      if (!wasConnected)
+      {
+        logEvent('connection', 'info', retryAttempt.value > 0
+          ? `Reconnected to the device after ${retryAttempt.value} attempt(s)`
+          : `Connected to the device (${transportKind.value} transport)`);
+      }
       connectionStatus.value = 'Connected';
       retryAttempt.value = 0;
       clearRetryTimer();
       break;
     case HubConnectionState.Connecting:
     case HubConnectionState.Disconnected:
+      if (wasConnected)
+      {
+        logEvent('connection', 'warning', 'Connection to the device lost');
+      }
       connectionStatus.value = 'Reconnecting';
       // Only start our custom retry after SignalR has given up
       if (connection.state === HubConnectionState.Disconnected) 
@@ -62,15 +97,29 @@ const clearRetryTimer = () =>
   nextRetryIn.value = 0;
 };
 
+const configureReconnect = (options) =>
+{
+  Object.assign(reconnectPolicy, options);
+};
+
+const getRetryDelay = (attempt) =>
+{
+  const { initialDelayMs, maxDelayMs, multiplier, jitter } = reconnectPolicy;
+  const baseDelay = Math.min(maxDelayMs, initialDelayMs * Math.pow(multiplier, attempt - 1));
+  const randomized = baseDelay * (1 + jitter * (Math.random() * 2 - 1));
+  return Math.round(Math.min(maxDelayMs, Math.max(initialDelayMs, randomized)));
+};
+
 const scheduleRetry = () => 
 {
   if (retryTimer) return; // Already scheduled
 
   retryAttempt.value++;
-  const delay = 2000; // Fixed 2 second retry interval
+  const delay = getRetryDelay(retryAttempt.value);
   nextRetryIn.value = Math.ceil(delay / 1000);
 
   // Countdown timer
+  if (retryCountdown) clearInterval(retryCountdown);
   retryCountdown = setInterval(() => 
   {
     nextRetryIn.value--;
@@ -82,24 +131,37 @@ const scheduleRetry = () =>
   }, 1000);
 
   // Actual retry
-  retryTimer = setTimeout(async () => 
+  retryTimer = setTimeout(() => 
   {
     retryTimer = null;
-    if (connection && connection.state === HubConnectionState.Disconnected) 
+    attemptReconnect();
+  }, delay);
+};
+
+const attemptReconnect = async () =>
+{
+  if (connection && connection.state === HubConnectionState.Disconnected) 
+  {
+    try 
     {
-      try 
-      {
-        connectionStatus.value = 'Reconnecting';
-        await connection.start();
-        updateConnectionStatus(); // Update status after successful connection
-      }
-      catch (err) 
-      {
-        console.error(`SignalR Retry attempt ${retryAttempt.value} failed:`, err);
-        updateConnectionStatus();
-      }
+      connectionStatus.value = 'Reconnecting';
+      await connection.start();
+      await notifyHubConnected(connection);
+      updateConnectionStatus(); // Update status after successful connection
     }
-  }, delay);
+    catch (err) 
+    {
+      console.error(`SignalR Retry attempt ${retryAttempt.value} failed:`, err);
+      updateConnectionStatus();
+    }
+  }
+};
+
+// Skip the remaining backoff wait, e.g. when the user is back in WiFi range
+const retryNow = () =>
+{
+  clearRetryTimer();
+  attemptReconnect();
 };
 
 // Mode change handler
@@ -110,45 +172,56 @@ const handleModeChanged = (newMode) =>
   currentMode.value = newMode;
 };
 
+// Register all event handlers from different composables against a hub (live or replay)
+const registerHubEvents = (hub) =>
+{
+  registerGnssEvents(hub);
+  registerSystemEvents(hub);
+  registerConnectionEvents(hub);
+  registerImuCalibrationEvents(hub);
+
+  // Setup hardware status listener
+  const { setupHardwareStatusListener } = useHardwareStatus();
+  setupHardwareStatusListener(hub);
+
+  // Mode change event handler
+  hub.on("ModeChanged", (data) =>
+  {
+    if (data.mode !== currentMode.value)
+    {
+      logEvent('mode', 'info', `Operating mode changed from ${currentMode.value} to ${data.mode}`);
+    }
+    currentMode.value = data.mode;
+  });
+};
+
+// Reload the operating mode whenever a hub (re)connects
+onHubConnected(async (hub) =>
+{
+  console.log('Requesting current mode from server...');
+  const mode = await hub.invoke('GetCurrentMode');
+  console.log(`Current mode retrieved: ${mode}`);
+  currentMode.value = mode;
+}, { duringReplay: true });
+
 // Initialize SignalR connection
 const initializeConnection = async () => 
 {
-  // Dynamic URL resolution based on environment
-  const hubUrl = import.meta.env.DEV
-    ? "http://base.local/datahub"  // Development mode: use hardcoded localhost
-    : `${window.location.protocol}//${window.location.hostname}/datahub`;  // Production: use same host as frontend
-
   console.log(`Environment: ${import.meta.env.DEV ? 'Development' : 'Production'}`);
-  console.log(`SignalR Hub URL: ${hubUrl}`);
+  console.log(`Transport: ${transportKind.value}`);
 
-  connection = new HubConnectionBuilder()
-    .withUrl(hubUrl)
-    // Remove automatic reconnect - we'll handle it ourselves with 5s intervals
-    .build();
+  connection = createTransport(transportKind.value);
 
   // Connection state change handlers
   connection.onclose((error) => 
   {
-    console.log('SignalR connection closed', error);
+    console.log('Hub connection closed', error);
+    // The live connection is stopped on purpose while a recorded session is replayed
+    if (isReplaying.value) return;
     updateConnectionStatus();
   });
 
-  // Register all event handlers from different composables
-  registerGnssEvents(connection);
-  registerSystemEvents(connection);
-  registerConnectionEvents(connection);
-
-  // Setup hardware status listener
-  const { setupHardwareStatusListener } = useHardwareStatus();
-  setupHardwareStatusListener(connection);
-
-  // Mode change event handler
-  connection.on("ModeChanged", (data) =>
-  {
-    console.log(`SignalR ModeChanged event received:`, data);
-    console.log(`Setting current mode from ${currentMode.value} to: ${data.Mode}`);
-    currentMode.value = data.Mode;
-  });
+  registerHubEvents(connection);
 
   // Set the connection ref for child components immediately
   signalrConnection.value = connection;
@@ -160,33 +233,72 @@ const initializeConnection = async () =>
     await connection.start();
     console.log("SignalR Connected successfully!");
 
-    // Get initial mode
-    try
-    {
-      console.log('Requesting initial mode from server...');
-      const initialMode = await connection.invoke('GetCurrentMode');
-      console.log(`Initial mode retrieved: ${initialMode}`);
-      currentMode.value = initialMode;
-      console.log(`Current mode state updated to: ${currentMode.value}`);
-    }
-    catch (error)
-    {
-      console.error('Failed to get initial mode:', error);
-    }
-
-    // Get hardware status
-    const { fetchHardwareStatus } = useHardwareStatus();
-    await fetchHardwareStatus(connection);
+    await notifyHubConnected(connection);
 
     updateConnectionStatus();
   }
   catch (err) 
   {
-    console.error("SignalR Connection Error: ", err);
+    logEvent('connection', 'error', `Could not connect to the device: ${err?.message ?? err}`);
     updateConnectionStatus();
   }
 };
 
+// The recording and the live receiver each have their own clock and their own time to fix
+const startNewGnssSession = () =>
+{
+  resetReceiverClock();
+  resetFixSession();
+};
+
+// Swap the live hub, or the session being replayed, for a replay source; every composable
+// re-registers against it. Switching sessions does not touch the live connection.
+const startReplay = async (replayHub) =>
+{
+  clearRetryTimer();
+
+  const previousConnection = connection;
+  const switchingSession = isReplaying.value;
+  isReplaying.value = true;
+  setStalenessSuspended(true);
+
+  logEvent('connection', 'info', switchingSession
+    ? 'Switched to another recorded session'
+    : 'Live connection paused to replay a recorded session');
+  startNewGnssSession();
+  registerHubEvents(replayHub);
+  await replayHub.start();
+
+  connection = replayHub;
+  signalrConnection.value = replayHub;
+  connectionStatus.value = 'Connected';
+  retryAttempt.value = 0;
+
+  if (previousConnection)
+  {
+    await previousConnection.stop();
+  }
+
+  await notifyHubConnected(replayHub, { replaying: true });
+};
+
+// Leave replay mode and reconnect to the live hub
+const stopReplay = async () =>
+{
+  if (!isReplaying.value) return;
+
+  if (connection)
+  {
+    await connection.stop();
+  }
+  isReplaying.value = false;
+  setStalenessSuspended(false);
+  logEvent('connection', 'info', 'Replay ended, reconnecting to the device');
+  startNewGnssSession();
+
+  await initializeConnection();
+};
+
 const cleanup = async () => 
 {
   clearRetryTimer();
@@ -204,7 +316,13 @@ export function useSignalR()
     retryAttempt,
     nextRetryIn,
     currentMode,
+    isReplaying,
+    transportKind,
     initializeConnection,
+    retryNow,
+    configureReconnect,
+    startReplay,
+    stopReplay,
     cleanup,
     handleModeChanged
   };
@@ -0,0 +1,79 @@
+import { reactive } from 'vue';
+import { onSatelliteEpoch } from './useGnssData';
+import { createPersistedState } from './usePersistedState';
+import { getSatelliteKey } from '@/utils/constellations';
+
+// Trails are kept for the longest selectable window, the plot shows the chosen part of it
+export const TRAIL_OPTIONS = [0, 5, 15, 30, 60];
+const MAX_TRAIL_MS = Math.max(...TRAIL_OPTIONS) * 60 * 1000;
+
+const skyPlotSettings = createPersistedState('skyPlot', {
+  // Satellites below this elevation (degrees) are drawn faded, like the receiver ignores them
+  elevationMask: 10,
+  trailMinutes: 15
+});
+
+// Recorded from app start, keyed by satellite: { constellation, svid, points: [{ azimuth, elevation, time }] }
+const trails = reactive({});
+
+// NAV-SAT reports whole degrees, so a point is only added once a satellite has actually moved
+onSatelliteEpoch(({ satellites, timestamp }) =>
+{
+  satellites.forEach(satellite =>
+  {
+    if (satellite.elevation === null || satellite.azimuth === null) return;
+
+    const key = getSatelliteKey(satellite);
+    const trail = trails[key] ?? (trails[key] = { constellation: satellite.constellation, svid: satellite.svid, points: [] });
+    const last = trail.points[trail.points.length - 1];
+    if (!last || last.azimuth !== satellite.azimuth || last.elevation !== satellite.elevation)
+    {
+      trail.points.push({ azimuth: satellite.azimuth, elevation: satellite.elevation, time: timestamp });
+    }
+  });
+
+  const cutoff = timestamp - MAX_TRAIL_MS;
+  Object.entries(trails).forEach(([key, trail]) =>
+  {
+    const firstKept = trail.points.findIndex(point => point.time >= cutoff);
+    if (firstKept === -1)
+    {
+      delete trails[key];
+    }
+    else if (firstKept > 0)
+    {
+      trail.points.splice(0, firstKept);
+    }
+  });
+});
+
+// Trails within the selected window, including satellites that have set or are lost behind an obstruction
+const getTrails = (now = Date.now()) =>
+{
+  if (skyPlotSettings.trailMinutes === 0) return [];
+
+  const cutoff = now - skyPlotSettings.trailMinutes * 60 * 1000;
+  return Object.entries(trails)
+    .map(([key, trail]) => ({
+      key,
+      constellation: trail.constellation,
+      svid: trail.svid,
+      points: trail.points.filter(point => point.time >= cutoff)
+    }))
+    .filter(trail => trail.points.length > 1);
+};
+
+const clearTrails = () =>
+{
+  Object.keys(trails).forEach(key => delete trails[key]);
+};
+
+export function useSkyPlot()
+{
+  return {
+    skyPlotSettings,
+    trails,
+    getTrails,
+    clearTrails
+  };
+}
@@ -0,0 +1,177 @@
+import { computed } from 'vue';
+import { useGnssData, receiverNow } from './useGnssData';
+import { useSystemData } from './useSystemData';
+import { useTrackHistory } from './useTrackHistory';
+import { useAttitude } from './useAttitude';
+import { createPersistedState, createRecordId } from './usePersistedState';
+import { geodeticToEnu } from '@/utils/geodesy';
+
+// Walking pace below which the course over ground is too noisy to steer by
+const MIN_COURSE_SPEED = 0.3;
+const COURSE_WINDOW_MS = 3000;
+
+const { state: gnssState } = useGnssData();
+const { state: systemState } = useSystemData();
+const { track } = useTrackHistory();
+const { attitude } = useAttitude();
+
+const stakeout = createPersistedState('stakeout', {
+  targets: [],
+  selectedId: null,
+  toleranceMeters: 0.05,
+  antennaHeight: 0
+});
+
+const isValidPosition = (position) =>
+{
+  if (!position) return false;
+
+  const { latitude, longitude } = position;
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+};
+
+const addTarget = ({ name, latitude, longitude, height }) =>
+{
+  const target = {
+    id: createRecordId(),
+    name: name || `T${stakeout.targets.length + 1}`,
+    latitude,
+    longitude,
+    height: Number.isFinite(height) ? height : null
+  };
+
+  stakeout.targets.push(target);
+  stakeout.selectedId = target.id;
+  return target;
+};
+
+// One target per line: name, first, second[, height] with the pair in the entry's coordinate system.
+// toGeodetic(first, second) places the pair, returning null when it cannot.
+// Comma, semicolon or tab separated; header and malformed lines are skipped and counted.
+const importTargets = (text, toGeodetic) =>
+{
+  let imported = 0;
+  let skipped = 0;
+
+  text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .forEach(line =>
+    {
+      const [name, first, second, height] = line.split(/[,;\t]/).map(field => field.trim());
+      const position = toGeodetic(parseFloat(first), parseFloat(second));
+
+      if (!isValidPosition(position))
+      {
+        skipped++;
+        return;
+      }
+
+      addTarget({ name, ...position, height: parseFloat(height) });
+      imported++;
+    });
+
+  return { imported, skipped };
+};
+
+const removeTarget = (id) =>
+{
+  const index = stakeout.targets.findIndex(target => target.id === id);
+  if (index === -1) return;
+
+  stakeout.targets.splice(index, 1);
+  if (stakeout.selectedId === id)
+  {
+    stakeout.selectedId = stakeout.targets[0]?.id ?? null;
+  }
+};
+
+const selectedTarget = computed(() => stakeout.targets.find(target => target.id === stakeout.selectedId) || null);
+
+// Direction of travel from the last few seconds of track, null when standing still
+const courseOverGround = computed(() =>
+{
+  const now = receiverNow();
+  const recent = track.points.filter(point => now - point.timestamp <= COURSE_WINDOW_MS);
+  if (recent.length < 2) return null;
+
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  const offset = geodeticToEnu(last, first);
+  const distance = Math.hypot(offset.east, offset.north);
+  const seconds = (last.timestamp - first.timestamp) / 1000;
+
+  // Movement must stand out from the position noise as well as exceed walking pace
+  if (seconds <= 0 || distance / seconds < MIN_COURSE_SPEED || distance < 2 * (last.hAcc ?? 0)) return null;
+
+  const course = Math.atan2(offset.east, offset.north) * 180 / Math.PI;
+  return course < 0 ? course + 360 : course;
+});
+
+// Course over ground while walking, the tilt-compensated compass when stationary
+const heading = computed(() =>
+{
+  if (courseOverGround.value !== null)
+  {
+    return { value: courseOverGround.value, source: 'Course' };
+  }
+
+  if (attitude.valid && !systemState.stale.imu)
+  {
+    return { value: attitude.yaw, source: 'Compass' };
+  }
+
+  return null;
+});
+
+const guidance = computed(() =>
+{
+  const target = selectedTarget.value;
+  const { latitude, longitude, altitude, hAcc } = gnssState.gnssData;
+  if (!target || latitude === null || longitude === null) return null;
+
+  // Horizontal offsets only; heights are compared separately against the ground under the pole
+  const offset = geodeticToEnu(
+    { latitude: target.latitude, longitude: target.longitude },
+    { latitude, longitude }
+  );
+  const distance = Math.hypot(offset.east, offset.north);
+  let bearing = Math.atan2(offset.east, offset.north) * 180 / Math.PI;
+  if (bearing < 0) bearing += 360;
+
+  // Positive: ground is above the design height and must be cut
+  const groundHeight = altitude !== null ? altitude - stakeout.antennaHeight : null;
+  const cutFill = groundHeight !== null && target.height !== null ? groundHeight - target.height : null;
+
+  // The whole horizontal accuracy circle must fall within the tolerance
+  const accuracyTooLow = hAcc === null || hAcc >= stakeout.toleranceMeters;
+  const arrived = !accuracyTooLow && distance + hAcc <= stakeout.toleranceMeters;
+
+  return {
+    distance,
+    bearing,
+    east: offset.east,
+    north: offset.north,
+    cutFill,
+    arrived,
+    accuracyTooLow,
+    relativeBearing: heading.value !== null ? (bearing - heading.value.value + 360) % 360 : null
+  };
+});
+
+export function useStakeout()
+{
+  // The compass heading comes from the attitude filter, which runs while a panel uses it
+  useAttitude();
+
+  return {
+    stakeout,
+    selectedTarget,
+    heading,
+    guidance,
+    addTarget,
+    importTargets,
+    removeTarget
+  };
+}
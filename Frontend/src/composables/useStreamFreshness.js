@@ -0,0 +1,62 @@
+import { reactive, ref, computed } from 'vue';
+
+// Shared 1 Hz clock so stale flags flip even when no new data arrives
+const now = ref(Date.now());
+let clockTimer = null;
+
+// While a recorded session is replayed, paused or scrubbed data is expected to sit still
+const suspended = ref(false);
+
+const startClock = () =>
+{
+  if (clockTimer) return;
+  clockTimer = setInterval(() =>
+  {
+    now.value = Date.now();
+  }, 1000);
+};
+
+// Track when each named stream last delivered data.
+// thresholds maps a stream name to the age (ms) after which its data is considered stale.
+export function createStreamFreshness(thresholds)
+{
+  startClock();
+
+  const streams = Object.keys(thresholds);
+  const lastReceived = reactive(Object.fromEntries(streams.map(stream => [stream, null])));
+
+  // Data that never arrived is empty rather than stale
+  const stale = reactive(Object.fromEntries(streams.map(stream => [
+    stream,
+    computed(() => !suspended.value &&
+      lastReceived[stream] !== null &&
+      now.value - lastReceived[stream] > thresholds[stream])
+  ])));
+
+  const markReceived = (stream) =>
+  {
+    lastReceived[stream] = Date.now();
+  };
+
+  return { lastReceived, stale, markReceived };
+}
+
+// Whole seconds since a lastReceived timestamp, driven by the shared clock
+export const getDataAgeSeconds = (timestamp) =>
+{
+  if (timestamp === null) return null;
+  return Math.max(0, Math.floor((now.value - timestamp) / 1000));
+};
+
+export const setStalenessSuspended = (value) =>
+{
+  suspended.value = value;
+};
+
+export function useStreamFreshness()
+{
+  return {
+    getDataAgeSeconds,
+    setStalenessSuspended
+  };
+}
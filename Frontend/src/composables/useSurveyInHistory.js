@@ -0,0 +1,94 @@
+import { ref, computed, watch } from 'vue';
+import { useGnssData, hasSurveyInMean } from './useGnssData';
+import { ecefToGeodetic, geodeticToEnu } from '@/utils/geodesy';
+import { fitConvergence, predictCompletion } from '@/utils/surveyInPrediction';
+
+// NAV-SVIN arrives at 1 Hz; the longest configurable survey is an hour, plus margin
+const MAX_SAMPLES = 4 * 3600;
+
+const { state: gnssState } = useGnssData();
+
+// Samples of the running survey-in { duration, observations, accuracyMm, x, y, z }. duration, the
+// receiver's own survey clock in seconds, is their time axis, so a replay at any speed draws the same.
+// Kept out of Vue's reactivity; historyVersion is bumped on every change instead.
+let samples = [];
+const historyVersion = ref(0);
+
+const clearHistory = () =>
+{
+  samples = [];
+  historyVersion.value++;
+};
+
+// A survey-in restarts from zero after a reset, a settings change or a receiver restart
+watch(() => gnssState.gnssData.surveyIn.duration, (duration) =>
+{
+  const { surveyIn, corrections } = gnssState.gnssData;
+  if (corrections.mode !== 'SEND' || gnssState.baseStation.mode !== 'SurveyIn' || duration === null) return;
+
+  const last = samples[samples.length - 1];
+  if (last && duration < last.duration)
+  {
+    samples = [];
+  }
+  if (!hasSurveyInMean(surveyIn.position)) return;
+
+  samples.push({
+    duration,
+    observations: surveyIn.observations,
+    accuracyMm: surveyIn.accuracyMm,
+    x: surveyIn.position.x,
+    y: surveyIn.position.y,
+    z: surveyIn.position.z
+  });
+  if (samples.length > MAX_SAMPLES)
+  {
+    samples.splice(0, samples.length - MAX_SAMPLES);
+  }
+  historyVersion.value++;
+});
+
+watch(() => [gnssState.gnssData.corrections.mode, gnssState.baseStation.mode], clearHistory);
+
+const getSamples = () =>
+{
+  void historyVersion.value;
+  return samples;
+};
+
+const fit = computed(() => fitConvergence(getSamples()));
+
+const prediction = computed(() => predictCompletion(getSamples(), fit.value, {
+  minDurationSeconds: gnssState.surveySettings.durationSeconds ?? 0,
+  accuracyLimitMeters: gnssState.surveySettings.accuracyLimitMeters ?? 0
+}));
+
+// Wander of the running mean in meters, relative to the latest mean (the best estimate so far)
+const getWander = () =>
+{
+  const current = getSamples();
+  if (current.length === 0) return [];
+
+  const last = current[current.length - 1];
+  const origin = ecefToGeodetic(last.x, last.y, last.z);
+
+  return current.map(sample =>
+  {
+    return {
+      ...geodeticToEnu(ecefToGeodetic(sample.x, sample.y, sample.z), origin),
+      duration: sample.duration
+    };
+  });
+};
+
+export function useSurveyInHistory()
+{
+  return {
+    historyVersion,
+    fit,
+    prediction,
+    getSamples,
+    getWander,
+    clearHistory
+  };
+}
@@ -1,4 +1,8 @@
 import { reactive, ref, computed, watch } from 'vue';
+import { createStreamFreshness } from './useStreamFreshness';
+import { logEvent } from './useEventJournal';
+import { onHubConnected } from './useHubLifecycle';
+import { createHubEmitter } from '@/transports/hubEmitter';
 
 // Global reactive state for system and IMU data
 const systemHealth = reactive({
@@ -64,6 +68,137 @@ const encoderData = reactive({
   pulsesPerSecond: null
 });
 
+// Last received time and stale flag per stream. IMU, health, camera and data rates are sent
+// at about 1 Hz, logging status every 2 s.
+const freshness = createStreamFreshness({
+  imu: 5000,
+  systemHealth: 5000,
+  dataRates: 6000,
+  fileLogging: 6000,
+  camera: 5000
+});
+
+// Subscribers that need every IMU sample, e.g. to integrate the gyroscope (a watch on imuData
+// would coalesce samples arriving in the same tick): 'sample' for the 1 Hz updates, 'fullRate'
+// for the full-rate stream (ImuBatch, every sample the device reads). Full-rate samples carry
+// deviceTime, the device's uptime in ms, so the spacing between them is the sensor's, not the
+// network's, and time, the same moment on the browser clock that position epochs are stamped with.
+const imuEvents = createHubEmitter('IMU');
+
+// Returns a function that removes the subscription
+export const onImuSample = (handler) => imuEvents.on('sample', handler);
+
+// Without a batch for this long (ms) the full-rate stream is gone (replay, older backend)
+const FULL_RATE_TIMEOUT_MS = 2000;
+// Network delay only ever adds to a batch's arrival time, so the lowest arrival time minus uptime
+// seen is the closest to the true clock offset. It may rise this fast (ms per s) to follow the two
+// crystals drifting apart, and the offset the samples are stamped with moves this fraction of the
+// way towards it per batch, so neither delay jitter nor drift makes the filters' dt jump.
+const CLOCK_OFFSET_RISE_RATE = 1;
+const CLOCK_OFFSET_SLEW = 0.05;
+let lastImuBatchAt = 0;
+let lastImuUptime = null;
+// Browser time minus device uptime: the floor it follows, and the slewed value samples are stamped with
+let imuClockFloor = null;
+let imuClockOffset = null;
+// Hub the full-rate stream is joined on, the last one that connected
+let imuHub = null;
+
+// Join or leave the group that receives every sample; a backend without the stream leaves the 1 Hz updates
+const setFullRateSubscription = async (subscribed) =>
+{
+  if (!imuHub || imuHub.state !== 'Connected') return;
+
+  try
+  {
+    await imuHub.invoke(subscribed ? 'SubscribeImuFullRate' : 'UnsubscribeImuFullRate');
+  }
+  catch (error)
+  {
+    if (subscribed)
+    {
+      console.warn('Full-rate IMU stream not available, using the 1 Hz updates:', error?.message ?? error);
+    }
+  }
+};
+
+// The device only sends the full-rate stream while there is a subscriber: the first one joins the
+// group, removing the last one leaves it. Returns a function that removes the subscription.
+export const onImuFullRateSample = (handler) =>
+{
+  const off = imuEvents.on('fullRate', handler);
+  if (imuEvents.count('fullRate') === 1)
+  {
+    setFullRateSubscription(true);
+  }
+
+  let removed = false;
+  return () =>
+  {
+    if (removed) return;
+    removed = true;
+
+    off();
+    if (imuEvents.count('fullRate') === 0)
+    {
+      setFullRateSubscription(false);
+    }
+  };
+};
+
+// Whether full-rate samples are arriving; subscribers that also take the 1 Hz samples skip them meanwhile
+export const isImuFullRateActive = () => Date.now() - lastImuBatchAt < FULL_RATE_TIMEOUT_MS;
+
+const notifyImuBatch = (batch) =>
+{
+  const samples = batch?.samples ?? [];
+  if (samples.length === 0) return;
+
+  const receivedAt = Date.now();
+  const elapsedSeconds = (receivedAt - lastImuBatchAt) / 1000;
+  lastImuBatchAt = receivedAt;
+
+  // Uptime going backwards means the unit restarted, the old offset means nothing any more
+  const latestUptime = samples[samples.length - 1].uptimeMs;
+  const measuredOffset = receivedAt - latestUptime;
+  if (imuClockOffset === null || latestUptime < lastImuUptime)
+  {
+    imuClockFloor = measuredOffset;
+    imuClockOffset = measuredOffset;
+  }
+  else
+  {
+    imuClockFloor = Math.min(measuredOffset, imuClockFloor + elapsedSeconds * CLOCK_OFFSET_RISE_RATE);
+    imuClockOffset += (imuClockFloor - imuClockOffset) * CLOCK_OFFSET_SLEW;
+  }
+  lastImuUptime = latestUptime;
+
+  samples.forEach(sample =>
+  {
+    imuEvents.emit('fullRate', {
+      deviceTime: sample.uptimeMs,
+      time: sample.uptimeMs + imuClockOffset,
+      receivedAt,
+      acceleration: sample.acceleration,
+      gyroscope: sample.gyroscope,
+      magnetometer: sample.magnetometer
+    });
+  });
+};
+
+// Group membership does not survive a reconnect, so join again while there are subscribers
+onHubConnected(async (connection) =>
+{
+  imuHub = connection;
+  lastImuBatchAt = 0;
+  // The device may have restarted while the link was down
+  imuClockOffset = null;
+  if (imuEvents.count('fullRate') > 0)
+  {
+    await setFullRateSubscription(true);
+  }
+});
+
 // Hostname management
 const editedHostname = ref('');
 const originalHostname = ref('');
@@ -278,6 +413,8 @@ export function registerSystemEvents(connection)
 {
   connection.on("ImuUpdate", (data) => 
   {
+    freshness.markReceived('imu');
+
     imuData.acceleration.x = data.acceleration.x;
     imuData.acceleration.y = data.acceleration.y;
     imuData.acceleration.z = data.acceleration.z;
@@ -288,10 +425,27 @@ export function registerSystemEvents(connection)
     imuData.magnetometer.y = data.magnetometer.y;
     imuData.magnetometer.z = data.magnetometer.z;
     dataRates.kbpsImu = data.kbps;
+
+    imuEvents.emit('sample', {
+      receivedAt: Date.now(),
+      acceleration: data.acceleration,
+      gyroscope: data.gyroscope,
+      magnetometer: data.magnetometer
+    });
   });
 
+  connection.on("ImuBatch", notifyImuBatch);
+
   connection.on("SystemHealthUpdate", (data) => 
   {
+    // The first update only establishes the power state, it is not a change
+    if (freshness.lastReceived.systemHealth !== null && data.isExternalPowerConnected !== systemHealth.isExternalPowerConnected)
+    {
+      logEvent('system', data.isExternalPowerConnected ? 'info' : 'warning',
+        data.isExternalPowerConnected ? 'External power connected' : `External power removed, running on battery (${data.batteryLevel ?? '--'} %)`);
+    }
+    freshness.markReceived('systemHealth');
+
     systemHealth.cpuUsage = data.cpuUsage;
     systemHealth.memoryUsage = data.memoryUsage;
     systemHealth.temperature = data.temperature;
@@ -308,6 +462,8 @@ export function registerSystemEvents(connection)
 
   connection.on("DataRatesUpdate", (data) => 
   {
+    freshness.markReceived('dataRates');
+
     dataRates.kbpsGnssIn = data.kbpsGnssIn;
     dataRates.kbpsGnssOut = data.kbpsGnssOut;
     dataRates.kbpsLoRaIn = data.kbpsLoRaIn;
@@ -316,6 +472,13 @@ export function registerSystemEvents(connection)
 
   connection.on("FileLoggingStatusUpdate", (data) => 
   {
+    if (freshness.lastReceived.fileLogging !== null && data.driveAvailable !== fileLoggingStatus.driveAvailable)
+    {
+      logEvent('system', data.driveAvailable ? 'info' : 'warning',
+        data.driveAvailable ? `USB drive mounted at ${data.drivePath}` : 'USB drive removed');
+    }
+    freshness.markReceived('fileLogging');
+
     fileLoggingStatus.driveAvailable = data.driveAvailable;
     fileLoggingStatus.drivePath = data.drivePath;
     fileLoggingStatus.currentSession = data.currentSession;
@@ -327,6 +490,13 @@ export function registerSystemEvents(connection)
 
   connection.on("CameraUpdate", (data) => 
   {
+    // A camera seen for the first time is only worth a line when it is missing
+    if (freshness.lastReceived.camera === null ? !data.isConnected : data.isConnected !== cameraData.isConnected)
+    {
+      logEvent('system', data.isConnected ? 'info' : 'warning', data.isConnected ? 'Camera connected' : 'Camera disconnected');
+    }
+    freshness.markReceived('camera');
+
     cameraData.timestamp = data.timestamp;
     cameraData.imageBase64 = data.imageBase64;
     cameraData.imageSizeBytes = data.imageSizeBytes;
@@ -343,19 +513,12 @@ export function registerSystemEvents(connection)
       const sizeKb = (data.imageSizeBytes / 1024).toFixed(1);
       console.log(`Camera frame received: ${data.imageWidth}x${data.imageHeight}, ${sizeKb} KB (${data.format})`);
     }
-    else if (!data.isConnected) 
-    {
-      console.log('Camera disconnected');
-    }
   });
 
   connection.on("HostnameUpdated", (data) => 
   {
-    console.log(`Hostname updated to: ${data.hostname}`);
+    logEvent('system', 'info', `Hostname changed to ${data.hostname}${data.message ? ` (${data.message})` : ''}`);
     systemHealth.hostname = data.hostname;
-
-    // Optional: Show a toast or notification
-    console.log(`Hostname update message: ${data.message}`);
   });
 }
 
@@ -377,7 +540,9 @@ const state = reactive({
   hostnameValidationError,
   isHostnameValid,
   batteryHistory,
-  dischargeRate
+  dischargeRate,
+  lastReceived: freshness.lastReceived,
+  stale: freshness.stale
 });
 
 export function useSystemData() 
@@ -394,6 +559,9 @@ export function useSystemData()
     validateHostname,
     saveHostname,
     cancelHostnameEdit,
-    registerSystemEvents
+    registerSystemEvents,
+    onImuSample,
+    onImuFullRateSample,
+    isImuFullRateActive
   };
 }
\ No newline at end of file
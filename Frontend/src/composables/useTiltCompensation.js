@@ -0,0 +1,115 @@
+import { computed } from 'vue';
+import { useGnssData } from './useGnssData';
+import { useSystemData } from './useSystemData';
+import { useAttitude } from './useAttitude';
+import { createPersistedState } from './usePersistedState';
+import { enuToGeodetic } from '@/utils/geodesy';
+import { poleTiltAngle, poleTipOffset, plumbAntennaOffset } from '@/utils/tiltCompensation';
+
+const { state: gnssState } = useGnssData();
+const { state: systemState } = useSystemData();
+const { attitude } = useAttitude();
+
+const tiltSettings = createPersistedState('tiltCompensation', {
+  enabled: false,
+  // From the pole tip to the antenna reference point (m)
+  poleHeight: 2.0,
+  // Beyond this (degrees) the heading error dominates and points are flagged
+  maxTiltDegrees: 15,
+  // Magnetic declination (degrees, east positive), turns the compass heading into a true heading
+  magneticDeclination: 0
+});
+
+const isAttitudeAvailable = () => attitude.valid && !systemState.stale.imu;
+
+// Current lean of the pole, null without a live attitude
+const poleTilt = computed(() =>
+{
+  if (!isAttitudeAvailable()) return null;
+
+  const angle = poleTiltAngle(attitude.roll, attitude.pitch);
+  const heading = (attitude.yaw + tiltSettings.magneticDeclination + 360) % 360;
+  const tip = poleTipOffset(attitude.roll, attitude.pitch, heading, tiltSettings.poleHeight);
+  const horizontalOffset = Math.hypot(tip.east, tip.north);
+  // Direction the antenna leans towards, seen from the tip
+  const leanAzimuth = horizontalOffset > 0 ? (Math.atan2(-tip.east, -tip.north) / Math.PI * 180 + 360) % 360 : null;
+
+  return {
+    angle,
+    heading,
+    leanAzimuth,
+    horizontalOffset,
+    exceedsLimit: angle > tiltSettings.maxTiltDegrees
+  };
+});
+
+// Why the current attitude can't be used for a compensated point, null when it can
+const tiltViolation = computed(() =>
+{
+  if (!tiltSettings.enabled) return null;
+  if (!poleTilt.value) return 'No IMU attitude for tilt compensation';
+  if (poleTilt.value.exceedsLimit)
+  {
+    return `Tilt ${poleTilt.value.angle.toFixed(1)}° above ${tiltSettings.maxTiltDegrees}°`;
+  }
+  return null;
+});
+
+// A position epoch moved to where the antenna would be on a plumb pole over the same tip.
+// Callers that reduce the result to the ground pass the antenna height they subtract, so both
+// corrections use the same pole. Epochs are left as they are while compensation is off or no
+// attitude is available; tiltViolation tells whether the result can be trusted.
+const compensateEpoch = (epoch, poleHeight = tiltSettings.poleHeight) =>
+{
+  if (!tiltSettings.enabled || !poleTilt.value || epoch.latitude === null || epoch.longitude === null) return epoch;
+
+  const offset = plumbAntennaOffset(attitude.roll, attitude.pitch, poleTilt.value.heading, poleHeight);
+  const plumb = enuToGeodetic({ east: offset.east, north: offset.north }, { latitude: epoch.latitude, longitude: epoch.longitude });
+
+  return {
+    ...epoch,
+    latitude: plumb.latitude,
+    longitude: plumb.longitude,
+    altitude: epoch.altitude !== null ? epoch.altitude + offset.up : null,
+    ellipsoidalHeight: epoch.ellipsoidalHeight !== null && epoch.ellipsoidalHeight !== undefined
+      ? epoch.ellipsoidalHeight + offset.up
+      : null,
+    tiltAngle: poleTilt.value.angle
+  };
+};
+
+// Live antenna position and the ground point under the pole tip
+const groundPoint = computed(() =>
+{
+  const { latitude, longitude, altitude, ellipsoidalHeight } = gnssState.gnssData;
+  if (!tiltSettings.enabled || latitude === null || longitude === null) return null;
+
+  const antenna = { latitude, longitude, altitude, ellipsoidalHeight };
+  const plumb = compensateEpoch(antenna);
+  if (plumb === antenna) return { antenna, ground: null };
+
+  const { poleHeight } = tiltSettings;
+  return {
+    antenna,
+    ground: {
+      latitude: plumb.latitude,
+      longitude: plumb.longitude,
+      altitude: plumb.altitude !== null ? plumb.altitude - poleHeight : null,
+      ellipsoidalHeight: plumb.ellipsoidalHeight !== null ? plumb.ellipsoidalHeight - poleHeight : null
+    }
+  };
+});
+
+export function useTiltCompensation()
+{
+  // The attitude filter runs while a panel uses the tilt correction
+  useAttitude();
+
+  return {
+    tiltSettings,
+    poleTilt,
+    tiltViolation,
+    groundPoint,
+    compensateEpoch
+  };
+}
@@ -0,0 +1,59 @@
+import { reactive } from 'vue';
+import { onPositionEpoch } from './useGnssData';
+import { classifyFixType } from '@/utils/fixQuality';
+
+// Recorded from app start, not only while a view that draws it is open
+const MAX_TRACK_POINTS = 5000;
+
+const track = reactive({
+  points: [],
+  maxPoints: MAX_TRACK_POINTS
+});
+
+// Every position epoch becomes a track point tagged with its fix category
+onPositionEpoch((epoch) =>
+{
+  track.points.push({ ...epoch, category: classifyFixType(epoch.fixType) });
+
+  if (track.points.length > track.maxPoints)
+  {
+    track.points.splice(0, track.points.length - track.maxPoints);
+  }
+});
+
+// Split the track into runs of the same fix category. Each run starts at the last point of
+// the previous one so the drawn line stays continuous across quality changes.
+const getTrackSegments = () =>
+{
+  const segments = [];
+  let current = null;
+
+  track.points.forEach((point, index) =>
+  {
+    if (!current || current.category !== point.category)
+    {
+      current = {
+        category: point.category,
+        points: index > 0 ? [track.points[index - 1]] : []
+      };
+      segments.push(current);
+    }
+    current.points.push(point);
+  });
+
+  return segments;
+};
+
+const clearTrack = () =>
+{
+  track.points.splice(0);
+};
+
+export function useTrackHistory()
+{
+  return {
+    track,
+    getTrackSegments,
+    clearTrack
+  };
+}
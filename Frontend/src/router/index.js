@@ -1,10 +1,13 @@
 import { createRouter, createWebHashHistory } from 'vue-router';
 import GnssView from '@/views/GnssView.vue';
+import MapView from '@/views/MapView.vue';
+import PointsView from '@/views/PointsView.vue';
 import CameraView from '@/views/CameraView.vue';
 import ImuView from '@/views/ImuView.vue';
 import EncoderView from '@/views/EncoderView.vue';
 import WiFiView from '@/views/WiFiView.vue';
 import LoggingView from '@/views/LoggingView.vue';
+import JournalView from '@/views/JournalView.vue';
 import SystemView from '@/views/SystemView.vue';
 
 const router = createRouter({
@@ -19,6 +22,16 @@ const router = createRouter({
       name: 'gnss',
       component: GnssView
     },
+    {
+      path: '/map',
+      name: 'map',
+      component: MapView
+    },
+    {
+      path: '/points',
+      name: 'points',
+      component: PointsView
+    },
     {
       path: '/camera',
       name: 'camera',
@@ -44,6 +57,11 @@ const router = createRouter({
       name: 'logging',
       component: LoggingView
     },
+    {
+      path: '/journal',
+      name: 'journal',
+      component: JournalView
+    },
     {
       path: '/system',
       name: 'system',
@@ -0,0 +1,43 @@
+// Handler registry shared by the in-browser hubs and the composables' epoch and sample
+// subscriptions. Mirrors HubConnection.on/off semantics: several callbacks per event, off(name)
+// without a callback drops them all. on() also returns a function that removes the callback.
+export function createHubEmitter(label)
+{
+  const handlers = new Map();
+
+  const on = (name, callback) =>
+  {
+    if (!handlers.has(name)) handlers.set(name, new Set());
+    handlers.get(name).add(callback);
+    return () => off(name, callback);
+  };
+
+  const off = (name, callback) =>
+  {
+    if (!handlers.has(name)) return;
+    if (callback) handlers.get(name).delete(callback);
+    else handlers.delete(name);
+  };
+
+  const count = (name) => handlers.get(name)?.size ?? 0;
+
+  const emit = (name, data) =>
+  {
+    const callbacks = handlers.get(name);
+    if (!callbacks) return;
+
+    callbacks.forEach(callback =>
+    {
+      try
+      {
+        callback(data);
+      }
+      catch (error)
+      {
+        console.error(`${label} handler for ${name} failed:`, error);
+      }
+    });
+  };
+
+  return { on, off, emit, count };
+}
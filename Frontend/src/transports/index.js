@@ -0,0 +1,43 @@
+import { createSignalRHub } from './signalrHub';
+import { createMockHub } from './mockHub';
+
+export const TRANSPORT_KINDS = ['signalr', 'mock'];
+
+// ?transport=mock works both before the hash and inside it (#/gnss?transport=mock)
+const readTransportParam = () =>
+{
+  if (typeof window === 'undefined') return null;
+
+  const fromSearch = new URLSearchParams(window.location.search).get('transport');
+  if (fromSearch) return fromSearch;
+
+  const hashQuery = window.location.hash.split('?')[1];
+  return hashQuery ? new URLSearchParams(hashQuery).get('transport') : null;
+};
+
+// URL parameter wins over VITE_TRANSPORT so a deployed build can still be switched to the mock
+export const resolveTransportKind = () =>
+{
+  const requested = (readTransportParam() || import.meta.env.VITE_TRANSPORT || 'signalr').toLowerCase();
+
+  if (!TRANSPORT_KINDS.includes(requested))
+  {
+    console.warn(`Unknown transport '${requested}', falling back to signalr`);
+    return 'signalr';
+  }
+  return requested;
+};
+
+// Every transport returns an object with the HubConnection subset the composables rely on:
+// state, on, off, onclose, invoke, start, stop
+export function createTransport(kind = resolveTransportKind())
+{
+  switch (kind)
+  {
+    case 'mock':
+      return createMockHub();
+    case 'signalr':
+    default:
+      return createSignalRHub();
+  }
+}
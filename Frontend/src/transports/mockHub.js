@@ -0,0 +1,874 @@
+import { HubConnectionState } from '@microsoft/signalr';
+import { createHubEmitter } from './hubEmitter';
+import { geodeticToEcef } from '@/utils/geodesy';
+
+// Emission intervals follow the backend defaults: GNSS at the 2 Hz dashboard rate,
+// IMU (throttled) and system health at 1 Hz
+const GNSS_INTERVAL_MS = 500;
+const SYSTEM_INTERVAL_MS = 1000;
+// Full-rate IMU stream: the MEMS rate, batched like ImuService does
+const IMU_SAMPLE_RATE_HZ = 50;
+const IMU_BATCH_INTERVAL_MS = 200;
+const REFERENCE_STATION_INTERVAL_MS = 5000;
+
+const WEEK_MS = 604800000;
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+const GPS_LEAP_SECONDS = 18;
+
+const DEG = Math.PI / 180;
+
+// Simulated site. The unit sits on the base mark in SEND mode and on the rover point otherwise.
+const BASE_POSITION = { latitude: 46.51973, longitude: 6.63225, heightEllipsoid: 421.63 };
+const ROVER_OFFSET = { north: -612.48, east: 845.17, up: 6.92 };
+const GEOID_SEPARATION = 49.71;
+
+const CONSTELLATIONS = [
+  { gnssId: 0, gnssName: 'GPS', svIds: [2, 5, 7, 12, 13, 15, 18, 20, 25, 29] },
+  { gnssId: 2, gnssName: 'Galileo', svIds: [1, 4, 9, 11, 19, 24, 26, 31] },
+  { gnssId: 3, gnssName: 'BeiDou', svIds: [6, 14, 21, 27, 33, 39, 42] },
+  { gnssId: 6, gnssName: 'GLONASS', svIds: [3, 8, 10, 17, 22, 23] },
+  { gnssId: 1, gnssName: 'SBAS', svIds: [123, 127] }
+];
+
+// Satellites move across the sky about 20x faster than real orbits so changes are visible in a demo
+const PASS_DURATION_MS = 40 * 60 * 1000;
+
+// Building to the east-north-east that blocks and reflects low satellites
+const OBSTRUCTION = { fromAzimuth: 60, toAzimuth: 110, maxElevation: 35, attenuation: 12 };
+
+// Receiver solutions; wander is the 1-sigma random walk of the reported position in meters
+const SOLUTIONS = {
+  single: { fixType: 3, diffSoln: false, carrSoln: 0, hAcc: 1.6, vAcc: 2.8, wander: 0.6 },
+  dgps: { fixType: 3, diffSoln: true, carrSoln: 0, hAcc: 0.55, vAcc: 0.9, wander: 0.25 },
+  float: { fixType: 3, diffSoln: true, carrSoln: 1, hAcc: 0.18, vAcc: 0.3, wander: 0.06 },
+  fixed: { fixType: 3, diffSoln: true, carrSoln: 2, hAcc: 0.012, vAcc: 0.019, wander: 0.004 }
+};
+
+// Rover convergence after corrections start flowing (seconds)
+const DGPS_AFTER_S = 4;
+const FLOAT_AFTER_S = 10;
+const FIXED_AFTER_S = 25;
+
+// The correction link drops out periodically so fix loss and recovery can be exercised
+const LINK_CYCLE_S = 240;
+const LINK_OUTAGE_S = 15;
+
+// Mirrors PositionVelocityTimeParser.GetEnhancedFixTypeLabel for the solutions simulated here
+const getFixTypeString = ({ diffSoln, carrSoln }) =>
+{
+  if (carrSoln === 2) return 'RTK Fix';
+  if (carrSoln === 1) return 'RTK Float';
+  return diffSoln ? 'DGPS' : 'Single 3D';
+};
+
+const gaussian = () =>
+{
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const round = (value, decimals) =>
+{
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Small-offset local tangent plane to geodetic, accurate to well below a millimeter over a few km
+const offsetPosition = (origin, north, east, up) =>
+{
+  const metersPerDegreeLat = 111132.954 - 559.822 * Math.cos(2 * origin.latitude * DEG);
+  const metersPerDegreeLon = 111412.84 * Math.cos(origin.latitude * DEG);
+
+  return {
+    latitude: origin.latitude + north / metersPerDegreeLat,
+    longitude: origin.longitude + east / metersPerDegreeLon,
+    heightEllipsoid: origin.heightEllipsoid + up
+  };
+};
+
+const ROVER_POSITION = offsetPosition(BASE_POSITION, ROVER_OFFSET.north, ROVER_OFFSET.east, ROVER_OFFSET.up);
+
+const createSatellites = () =>
+{
+  const satellites = [];
+
+  CONSTELLATIONS.forEach(({ gnssId, gnssName, svIds }) =>
+  {
+    svIds.forEach(svId =>
+    {
+      satellites.push({
+        gnssId,
+        gnssName,
+        svId,
+        // SBAS satellites are geostationary
+        geostationary: gnssId === 1,
+        azimuth0: gnssId === 1 ? 190 + Math.random() * 40 : Math.random() * 360,
+        peakElevation: gnssId === 1 ? 32 : 25 + Math.random() * 60,
+        phase: Math.random() * Math.PI
+      });
+    });
+  });
+
+  return satellites;
+};
+
+// Simple DOP estimate from the number of satellites in the solution
+const estimateDop = (numUsed) =>
+{
+  const scale = Math.sqrt(8 / Math.max(4, numUsed));
+  const horizontalDop = 0.75 * scale;
+  const verticalDop = 1.25 * scale;
+  const timeDop = 0.7 * scale;
+  const positionDop = Math.hypot(horizontalDop, verticalDop);
+
+  return {
+    geometricDop: round(Math.hypot(positionDop, timeDop), 2),
+    positionDop: round(positionDop, 2),
+    timeDop: round(timeDop, 2),
+    verticalDop: round(verticalDop, 2),
+    horizontalDop: round(horizontalDop, 2),
+    northingDop: round(horizontalDop * 0.72, 2),
+    eastingDop: round(horizontalDop * 0.69, 2)
+  };
+};
+
+// Draw a camera test card; returns null outside a browser
+const renderCameraFrame = (width, height, text) =>
+{
+  if (typeof document === 'undefined') return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  const bars = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+  bars.forEach((color, index) =>
+  {
+    context.fillStyle = color;
+    context.fillRect(index * width / bars.length, 0, width / bars.length + 1, height);
+  });
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  context.fillRect(0, height - 28, width, 28);
+  context.fillStyle = '#ffffff';
+  context.font = '14px monospace';
+  context.fillText(text, 8, height - 9);
+
+  return canvas.toDataURL('image/jpeg', 0.7).split(',')[1];
+};
+
+// A simulated data hub implementing the subset of the HubConnection API the composables use.
+// It emits backend-shaped events at realistic rates and answers the hub methods the UI invokes,
+// so the dashboard can be developed and demoed without a device.
+export function createMockHub()
+{
+  const { on, off, emit } = createHubEmitter('Mock hub');
+  const closeCallbacks = [];
+  const timers = [];
+  const satellites = createSatellites();
+
+  const device = {
+    mode: 'DISABLED',
+    modeChangedAt: Date.now(),
+    startedAt: Date.now(),
+    hostname: 'base',
+    settings: { surveyInDurationSeconds: 10, surveyInAccuracyLimitMeters: 100.0, baseStationMode: 'SurveyIn', fixedBasePosition: null },
+    surveyInStartedAt: Date.now(),
+    surveyInBias: { north: 0, east: 0, up: 0 },
+    // Corrections flowing since (null while the link is down)
+    correctionsSince: null,
+    lastCorrectionAt: null,
+    lastReferenceStationAt: 0,
+    positionError: { north: 0, east: 0, up: 0 },
+    loggedBytes: { gnss: 0, imu: 0, battery: 0 },
+    imuCalibration: { magnetometer: null, accelerometer: null },
+    // A client joined the full-rate IMU group
+    imuFullRate: false
+  };
+
+  const wifi = {
+    status: {
+      currentMode: 'Client',
+      connectedNetworkSSID: 'FieldOffice',
+      signalStrength: -58,
+      isConnected: true,
+      lastUpdated: new Date().toISOString()
+    },
+    knownNetworks: [
+      { ssid: 'FieldOffice', lastConnected: new Date().toISOString() },
+      { ssid: 'Site-Hotspot', lastConnected: new Date(Date.now() - 3 * 86400000).toISOString() }
+    ],
+    preferredMode: 'Client',
+    apConfig: { ssid: 'positioning-base', password: 'basestation', ipAddress: '10.42.0.1', subnet: '255.255.255.0' }
+  };
+
+  let state = HubConnectionState.Disconnected;
+
+  const secondsSince = (time) => (Date.now() - time) / 1000;
+
+  const stationPosition = () => device.mode === 'SEND' ? BASE_POSITION : ROVER_POSITION;
+
+  const correctionLinkUp = () =>
+  {
+    const cycle = secondsSince(device.modeChangedAt) % LINK_CYCLE_S;
+    return cycle < LINK_CYCLE_S - LINK_OUTAGE_S;
+  };
+
+  const updateCorrections = () =>
+  {
+    if (device.mode !== 'RECEIVE' || !correctionLinkUp())
+    {
+      // Receiver keeps its solution for a few seconds before dropping back
+      if (device.correctionsSince !== null && secondsSince(device.lastCorrectionAt) > 12)
+      {
+        device.correctionsSince = null;
+      }
+      return;
+    }
+
+    device.lastCorrectionAt = Date.now();
+    if (device.correctionsSince === null)
+    {
+      device.correctionsSince = Date.now();
+    }
+  };
+
+  const currentSolution = () =>
+  {
+    if (device.mode !== 'RECEIVE' || device.correctionsSince === null) return SOLUTIONS.single;
+
+    const correctionAge = secondsSince(device.lastCorrectionAt);
+    if (correctionAge > 5) return SOLUTIONS.float;
+
+    const converged = secondsSince(device.correctionsSince);
+    if (converged >= FIXED_AFTER_S) return SOLUTIONS.fixed;
+    if (converged >= FLOAT_AFTER_S) return SOLUTIONS.float;
+    if (converged >= DGPS_AFTER_S) return SOLUTIONS.dgps;
+    return SOLUTIONS.single;
+  };
+
+  // First-order Gauss-Markov wander, so the error settles when the solution improves
+  const updatePositionError = (solution) =>
+  {
+    const alpha = 0.95;
+    const drive = solution.wander * Math.sqrt(1 - alpha * alpha);
+    device.positionError.north = alpha * device.positionError.north + drive * gaussian();
+    device.positionError.east = alpha * device.positionError.east + drive * gaussian();
+    device.positionError.up = alpha * device.positionError.up + 1.6 * drive * gaussian();
+  };
+
+  const satelliteSnapshot = (now, solution) =>
+  {
+    const elapsed = now - device.startedAt;
+
+    return satellites
+      .map(sat =>
+      {
+        let elevation = sat.peakElevation;
+        let azimuth = sat.azimuth0;
+        if (!sat.geostationary)
+        {
+          const angle = sat.phase + Math.PI * elapsed / PASS_DURATION_MS;
+          elevation = sat.peakElevation * Math.sin(angle);
+          azimuth = (sat.azimuth0 + 120 * elapsed / PASS_DURATION_MS) % 360;
+        }
+
+        let cno = 26 + 22 * Math.sin(Math.max(0, elevation) * DEG) + 1.5 * gaussian();
+        if (azimuth >= OBSTRUCTION.fromAzimuth && azimuth <= OBSTRUCTION.toAzimuth && elevation < OBSTRUCTION.maxElevation)
+        {
+          cno -= OBSTRUCTION.attenuation;
+        }
+        cno = Math.round(clamp(cno, 12, 52));
+
+        const svUsed = sat.gnssId !== 1 && elevation >= 10 && cno >= 30;
+
+        return {
+          gnssId: sat.gnssId,
+          gnssName: sat.gnssName,
+          svId: sat.svId,
+          cno,
+          elevation: Math.round(elevation),
+          azimuth: Math.round(azimuth),
+          pseudorangeResidual: svUsed ? round(gaussian() * (48 - cno) / 12, 1) : 0,
+          qualityIndicator: svUsed ? 7 : (cno >= 25 ? 4 : 1),
+          svUsed,
+          health: 1,
+          differentialCorrection: svUsed && solution.diffSoln,
+          smoothed: svUsed && solution.carrSoln > 0
+        };
+      })
+      .filter(sat => sat.elevation > 0);
+  };
+
+  const emitSurveyIn = () =>
+  {
+    const duration = Math.floor(secondsSince(device.surveyInStartedAt));
+    const accuracyMm = 2500 / Math.sqrt(1 + duration / 4);
+    const valid = duration >= device.settings.surveyInDurationSeconds &&
+      accuracyMm / 1000 <= device.settings.surveyInAccuracyLimitMeters;
+
+    // The mean converges on the mark as observations accumulate
+    const shrink = accuracyMm / 2500;
+    const bias = device.surveyInBias;
+    const meanPosition = offsetPosition(BASE_POSITION, bias.north * shrink, bias.east * shrink, bias.up * shrink);
+    const ecef = geodeticToEcef(meanPosition.latitude, meanPosition.longitude, meanPosition.heightEllipsoid);
+
+    emit('SurveyInStatus', {
+      active: !valid,
+      valid,
+      duration,
+      observations: duration,
+      accuracyMm: round(accuracyMm, 1),
+      position: { x: ecef.x, y: ecef.y, z: ecef.z },
+      timestamp: new Date().toISOString()
+    });
+
+    return valid ? { ...meanPosition, ecef } : null;
+  };
+
+  const emitReferenceStation = (position, ecef) =>
+  {
+    if (Date.now() - device.lastReferenceStationAt < REFERENCE_STATION_INTERVAL_MS) return;
+    device.lastReferenceStationAt = Date.now();
+
+    emit('ReferenceStationPosition', {
+      stationId: 0,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      altitude: position.heightEllipsoid,
+      ecefX: ecef.x,
+      ecefY: ecef.y,
+      ecefZ: ecef.z,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const gnssTick = () =>
+  {
+    const now = Date.now();
+    const iTow = Math.round(((now - GPS_EPOCH_MS + GPS_LEAP_SECONDS * 1000) % WEEK_MS) / GNSS_INTERVAL_MS) * GNSS_INTERVAL_MS;
+
+    updateCorrections();
+    const solution = currentSolution();
+    updatePositionError(solution);
+
+    const sats = satelliteSnapshot(now, solution);
+    const numUsed = sats.filter(sat => sat.svUsed).length;
+
+    const { north, east, up } = device.positionError;
+    const position = offsetPosition(stationPosition(), north, east, up);
+    const heightMSL = position.heightEllipsoid - GEOID_SEPARATION;
+    const hAcc = solution.hAcc * (0.85 + 0.3 * Math.random());
+    const vAcc = solution.vAcc * (0.85 + 0.3 * Math.random());
+    const correctionAge = solution.diffSoln ? now - device.lastCorrectionAt + 400 + Math.round(Math.random() * 600) : null;
+
+    const time = new Date(Math.floor(now / 1000) * 1000);
+
+    emit('SatelliteUpdate', { iTow, numSatellites: sats.length, satellites: sats });
+
+    emit('PvtUpdate', {
+      iTow,
+      year: time.getUTCFullYear(),
+      month: time.getUTCMonth() + 1,
+      day: time.getUTCDate(),
+      hour: time.getUTCHours(),
+      minute: time.getUTCMinutes(),
+      second: time.getUTCSeconds(),
+      timeValid: 0x07,
+      gnssTimestamp: time.getTime(),
+      fixType: solution.fixType,
+      fixTypeString: getFixTypeString(solution),
+      gnssFixOk: true,
+      differentialSolution: solution.diffSoln,
+      numSatellites: numUsed,
+      longitude: round(position.longitude, 7),
+      latitude: round(position.latitude, 7),
+      heightEllipsoid: Math.round(position.heightEllipsoid * 1000),
+      heightMSL: Math.round(heightMSL * 1000),
+      horizontalAccuracy: round(hAcc, 3),
+      verticalAccuracy: round(vAcc, 3),
+      carrierSolution: solution.carrSoln,
+      diffAge: correctionAge
+    });
+
+    emit('HpPositionUpdate', {
+      iTow,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      heightEllipsoid: round(position.heightEllipsoid, 4),
+      heightMSL: round(heightMSL, 4),
+      horizontalAccuracy: round(hAcc, 4),
+      verticalAccuracy: round(vAcc, 4)
+    });
+
+    emit('DopUpdate', { iTow, ...estimateDop(numUsed) });
+
+    if (device.mode === 'RECEIVE')
+    {
+      const relPosN = ROVER_OFFSET.north + north;
+      const relPosE = ROVER_OFFSET.east + east;
+      const relPosD = -(ROVER_OFFSET.up + up);
+      const relPosLength = Math.sqrt(relPosN * relPosN + relPosE * relPosE + relPosD * relPosD);
+      const accN = hAcc / Math.SQRT2;
+      const accE = hAcc / Math.SQRT2;
+      let relPosHeading = Math.atan2(relPosE, relPosN) / DEG;
+      if (relPosHeading < 0) relPosHeading += 360;
+
+      emit('RelativePositionUpdate', {
+        iTow,
+        relPosN,
+        relPosE,
+        relPosD,
+        relPosLength,
+        relPosHeading,
+        accN,
+        accE,
+        accD: vAcc,
+        accLength: Math.sqrt(accN * accN + accE * accE + vAcc * vAcc),
+        accHeading: Math.atan2(Math.hypot(accN, accE), relPosLength) / DEG,
+        relPosValid: solution.diffSoln,
+        relPosNormalized: false,
+        carrSoln: solution.carrSoln,
+        isMoving: false,
+        refPosMiss: false,
+        refObsMiss: !correctionLinkUp(),
+        relPosHeadingValid: false
+      });
+
+      if (correctionLinkUp())
+      {
+        const base = BASE_POSITION;
+        emitReferenceStation(base, geodeticToEcef(base.latitude, base.longitude, base.heightEllipsoid));
+      }
+    }
+  };
+
+  // Slower receiver status: survey-in, correction status and message rates (1 Hz on the device)
+  const receiverStatusTick = () =>
+  {
+    const solution = currentSolution();
+
+    if (device.mode === 'SEND' && device.settings.baseStationMode === 'FixedPosition')
+    {
+      // A fixed base broadcasts the configured position from the start; NAV-SVIN keeps coming, inactive
+      emit('SurveyInStatus', {
+        active: false,
+        valid: false,
+        duration: 0,
+        observations: 0,
+        accuracyMm: 0,
+        position: { x: 0, y: 0, z: 0 },
+        timestamp: new Date().toISOString()
+      });
+
+      const { latitude, longitude, heightMeters } = device.settings.fixedBasePosition;
+      const fixed = { latitude, longitude, heightEllipsoid: heightMeters };
+      emitReferenceStation(fixed, geodeticToEcef(latitude, longitude, heightMeters));
+    }
+    else if (device.mode === 'SEND')
+    {
+      const surveyedPosition = emitSurveyIn();
+      if (surveyedPosition)
+      {
+        emitReferenceStation(surveyedPosition, surveyedPosition.ecef);
+      }
+    }
+
+    if (solution.diffSoln)
+    {
+      emit('CorrectionStatusUpdate', {
+        correctionSource: solution.carrSoln > 0 ? 'RTCM' : 'DGPS',
+        correctionStatus: 'Valid (PVT)',
+        correctionAge: Date.now() - device.lastCorrectionAt + 400 + Math.round(Math.random() * 600),
+        correctionValid: true,
+        correctionStale: false,
+        sbasCorrections: false,
+        rtcmCorrections: true,
+        spartnCorrections: false,
+        numMessages: 0
+      });
+    }
+    else
+    {
+      emit('CorrectionStatusUpdate', {
+        correctionSource: 'None',
+        correctionStatus: 'No corrections',
+        correctionAge: null,
+        correctionValid: false,
+        correctionStale: false,
+        sbasCorrections: false,
+        rtcmCorrections: false,
+        spartnCorrections: false,
+        numMessages: 0
+      });
+    }
+
+    const messageRates = {
+      'NAV-PVT': 2.0,
+      'NAV-SAT': 2.0,
+      'NAV-HPPOSLLH': 2.0,
+      'NAV-DOP': 2.0,
+      'RXM-COR': device.mode === 'RECEIVE' && correctionLinkUp() ? 1.0 : 0
+    };
+    if (device.mode === 'RECEIVE') messageRates['NAV-RELPOSNED'] = 2.0;
+    if (device.mode === 'SEND') messageRates['NAV-SVIN'] = 1.0;
+
+    emit('MessageRatesUpdate', { messageRates, timestamp: new Date().toISOString() });
+  };
+
+  // One IMU reading at time (ms). The unit is held on a pole: slight tilt, slow sway, facing
+  // roughly north-east, with a 23 Hz mounting vibration (and its 2nd harmonic) on top.
+  const imuReading = (time) =>
+  {
+    const roll = 1.5 + 0.4 * Math.sin(time / 7000);
+    const pitch = -0.8 + 0.3 * Math.cos(time / 9000);
+    const heading = 35 * DEG;
+    const gravity = 9.80665;
+    const r = roll * DEG;
+    const p = pitch * DEG;
+    const phase = 2 * Math.PI * 23 * time / 1000;
+    const vibration = Math.sin(phase) + 0.3 * Math.sin(2 * phase + 0.7);
+
+    return {
+      acceleration: {
+        x: -gravity * Math.sin(p) + 0.05 * vibration + 0.02 * gaussian(),
+        y: gravity * Math.cos(p) * Math.sin(r) + 0.08 * vibration + 0.02 * gaussian(),
+        z: gravity * Math.cos(p) * Math.cos(r) + 0.25 * vibration + 0.02 * gaussian()
+      },
+      gyroscope: {
+        x: 0.01 * Math.cos(phase) + 0.004 * gaussian(),
+        y: 0.006 * Math.cos(phase) + 0.004 * gaussian(),
+        z: 0.004 * gaussian()
+      },
+      magnetometer: {
+        x: 21.5 * Math.cos(heading) + 0.3 * gaussian(),
+        y: -21.5 * Math.sin(heading) + 0.3 * gaussian(),
+        z: 42.8 + 0.3 * gaussian()
+      }
+    };
+  };
+
+  const imuBatchTick = () =>
+  {
+    if (!device.imuFullRate) return;
+
+    const now = Date.now();
+    const count = IMU_SAMPLE_RATE_HZ * IMU_BATCH_INTERVAL_MS / 1000;
+    const samples = Array.from({ length: count }, (_, index) =>
+    {
+      const time = now - (count - 1 - index) * 1000 / IMU_SAMPLE_RATE_HZ;
+      return { uptimeMs: Math.round(time - device.startedAt), ...imuReading(time) };
+    });
+
+    emit('ImuBatch', { samples });
+  };
+
+  const systemTick = () =>
+  {
+    const uptimeMinutes = secondsSince(device.startedAt) / 60;
+    const batteryLevel = clamp(92 - uptimeMinutes * 0.2, 5, 100);
+    const linkUp = correctionLinkUp();
+
+    emit('ImuUpdate', {
+      timestamp: secondsSince(device.startedAt),
+      ...imuReading(Date.now()),
+      kbps: 3.5
+    });
+
+    emit('SystemHealthUpdate', {
+      cpuUsage: round(18 + 8 * Math.random(), 1),
+      memoryUsage: round(37 + 2 * Math.random(), 1),
+      temperature: round(51 + 4 * Math.sin(uptimeMinutes / 10) + Math.random(), 1),
+      batteryLevel: round(batteryLevel, 1),
+      batteryVoltage: round(6.6 + 1.8 * batteryLevel / 100, 2),
+      isExternalPowerConnected: false,
+      hostname: device.hostname
+    });
+
+    emit('CorrectionsStatusUpdate', { mode: device.mode });
+
+    emit('DataRatesUpdate', {
+      kbpsGnssIn: round(5.8 + Math.random(), 2),
+      kbpsGnssOut: device.mode === 'RECEIVE' && linkUp ? round(1.1 + 0.2 * Math.random(), 2) : 0.05,
+      kbpsLoRaIn: device.mode === 'RECEIVE' && linkUp ? round(1.1 + 0.2 * Math.random(), 2) : 0,
+      kbpsLoRaOut: device.mode === 'SEND' ? round(1.1 + 0.2 * Math.random(), 2) : 0
+    });
+
+    // Logging drive fills at the rates the session files grow on the device
+    device.loggedBytes.gnss += 800;
+    device.loggedBytes.imu += 3200;
+    device.loggedBytes.battery += 60;
+    const usedSpaceBytes = 8.2e9 + device.loggedBytes.gnss + device.loggedBytes.imu + device.loggedBytes.battery;
+    const lastModified = new Date().toISOString();
+
+    emit('FileLoggingStatusUpdate', {
+      driveAvailable: true,
+      drivePath: '/media/usb',
+      currentSession: 'session_00042',
+      totalSpaceBytes: 31.9e9,
+      availableSpaceBytes: 31.9e9 - usedSpaceBytes,
+      usedSpaceBytes,
+      activeFiles: [
+        { fileName: 'GNSS.raw', filePath: '/media/usb/Logging/session_00042/GNSS.raw', fileSizeBytes: device.loggedBytes.gnss, lastModified },
+        { fileName: 'IMU.txt', filePath: '/media/usb/Logging/session_00042/IMU.txt', fileSizeBytes: device.loggedBytes.imu, lastModified },
+        { fileName: 'Battery.txt', filePath: '/media/usb/Logging/session_00042/Battery.txt', fileSizeBytes: device.loggedBytes.battery, lastModified }
+      ]
+    });
+
+    const imageBase64 = renderCameraFrame(320, 180, `SIMULATED  ${new Date().toISOString().substring(11, 19)} UTC`);
+    if (imageBase64)
+    {
+      emit('CameraUpdate', {
+        timestamp: new Date().toISOString(),
+        imageBase64,
+        imageSizeBytes: Math.round(imageBase64.length * 3 / 4),
+        imageWidth: 320,
+        imageHeight: 180,
+        format: 'JPEG',
+        captureTimeMs: 12,
+        encodingTimeMs: 4,
+        isConnected: true
+      });
+    }
+  };
+
+  const emitWiFiStatus = () =>
+  {
+    wifi.status.lastUpdated = new Date().toISOString();
+    emit('WiFiStatusUpdate', { ...wifi.status });
+  };
+
+  const emitKnownNetworks = () =>
+  {
+    emit('WiFiKnownNetworksUpdate', { networks: wifi.knownNetworks.map(network => ({ ...network })) });
+  };
+
+  const setMode = (mode) =>
+  {
+    device.mode = mode;
+    device.modeChangedAt = Date.now();
+    device.correctionsSince = null;
+    device.lastCorrectionAt = null;
+    device.lastReferenceStationAt = 0;
+
+    if (mode === 'SEND')
+    {
+      device.surveyInStartedAt = Date.now();
+      device.surveyInBias = { north: 1.2 * gaussian(), east: 1.2 * gaussian(), up: 2 * gaussian() };
+    }
+
+    emit('ModeChanged', { mode, timestamp: new Date().toISOString() });
+    emit('CorrectionsStatusUpdate', { mode });
+  };
+
+  // Hub methods, returning what Backend/Hubs/DataHub.cs returns
+  const methods = {
+    GetCurrentMode: () => device.mode,
+
+    SetOperatingMode: (mode) =>
+    {
+      if (!['DISABLED', 'RECEIVE', 'SEND'].includes(mode)) return false;
+      setMode(mode);
+      return true;
+    },
+
+    GetSettings: () => ({ ...device.settings }),
+
+    UpdateSettings: (surveyInDurationSeconds, surveyInAccuracyLimitMeters) =>
+    {
+      device.settings = { ...device.settings, surveyInDurationSeconds, surveyInAccuracyLimitMeters };
+      return true;
+    },
+
+    StartSurveyIn: (surveyInDurationSeconds, surveyInAccuracyLimitMeters) =>
+    {
+      device.settings = { ...device.settings, surveyInDurationSeconds, surveyInAccuracyLimitMeters, baseStationMode: 'SurveyIn' };
+      if (device.mode === 'SEND') setMode('SEND');
+      return true;
+    },
+
+    SetFixedBasePosition: (latitude, longitude, heightMeters, accuracyMeters) =>
+    {
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || accuracyMeters <= 0) return false;
+      device.settings = {
+        ...device.settings,
+        baseStationMode: 'FixedPosition',
+        fixedBasePosition: { latitude, longitude, heightMeters, accuracyMeters }
+      };
+      if (device.mode === 'SEND') setMode('SEND');
+      return true;
+    },
+
+    ResetSurveyIn: () =>
+    {
+      if (device.mode !== 'SEND') return false;
+      setMode('SEND');
+      return true;
+    },
+
+    GetHardwareStatus: () => ({
+      gnssAvailable: true,
+      imuAvailable: true,
+      cameraAvailable: true,
+      encoderAvailable: false
+    }),
+
+    GetImuCalibration: () => ({ ...device.imuCalibration }),
+
+    SetImuCalibration: (sensor, offset, matrix, residual, sampleCount) =>
+    {
+      const key = sensor.toLowerCase();
+      if (!(key in device.imuCalibration) || offset.length !== 3 || matrix.length !== 9) return false;
+      device.imuCalibration = {
+        ...device.imuCalibration,
+        [key]: { offset, matrix, residual, sampleCount, calibratedAt: new Date().toISOString() }
+      };
+      emit('ImuCalibrationUpdated', { ...device.imuCalibration });
+      return true;
+    },
+
+    ClearImuCalibration: (sensor) =>
+    {
+      const key = sensor.toLowerCase();
+      if (!(key in device.imuCalibration)) return false;
+      device.imuCalibration = { ...device.imuCalibration, [key]: null };
+      emit('ImuCalibrationUpdated', { ...device.imuCalibration });
+      return true;
+    },
+
+    SubscribeImuFullRate: () =>
+    {
+      device.imuFullRate = true;
+    },
+
+    UnsubscribeImuFullRate: () =>
+    {
+      device.imuFullRate = false;
+    },
+
+    GetWiFiStatus: () => ({ ...wifi.status }),
+
+    GetKnownNetworks: () => wifi.knownNetworks.map(network => ({ ...network })),
+
+    GetWiFiPreferredMode: () => wifi.preferredMode,
+
+    SetWiFiPreferredMode: (mode) =>
+    {
+      if (!['AP', 'Client'].includes(mode)) return false;
+      wifi.preferredMode = mode;
+      return true;
+    },
+
+    GetAPConfiguration: () => ({ ...wifi.apConfig }),
+
+    SetAPConfiguration: (ssid, password) =>
+    {
+      wifi.apConfig = { ...wifi.apConfig, ssid, password };
+      return true;
+    },
+
+    ConnectToWiFi: (ssid) =>
+    {
+      const lastConnected = new Date().toISOString();
+      wifi.knownNetworks = [{ ssid, lastConnected }, ...wifi.knownNetworks.filter(network => network.ssid !== ssid)];
+      wifi.status = { ...wifi.status, currentMode: 'Client', connectedNetworkSSID: ssid, isConnected: true, signalStrength: -61 };
+      emitWiFiStatus();
+      emitKnownNetworks();
+      return true;
+    },
+
+    RemoveKnownNetwork: (ssid) =>
+    {
+      wifi.knownNetworks = wifi.knownNetworks.filter(network => network.ssid !== ssid);
+      emitKnownNetworks();
+      return true;
+    },
+
+    GetCurrentHostname: () => device.hostname,
+
+    UpdateHostname: (newHostname) =>
+    {
+      if (!/^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/.test(newHostname))
+      {
+        return { success: false, message: 'Invalid hostname format', currentHostname: device.hostname };
+      }
+
+      device.hostname = newHostname;
+      const message = `Hostname updated to ${newHostname}`;
+      emit('HostnameUpdated', { hostname: newHostname, message });
+      return { success: true, message, currentHostname: newHostname };
+    }
+  };
+
+  const startTimers = () =>
+  {
+    timers.push(setInterval(gnssTick, GNSS_INTERVAL_MS));
+    timers.push(setInterval(receiverStatusTick, SYSTEM_INTERVAL_MS));
+    timers.push(setInterval(systemTick, SYSTEM_INTERVAL_MS));
+    timers.push(setInterval(imuBatchTick, IMU_BATCH_INTERVAL_MS));
+    timers.push(setInterval(() =>
+    {
+      wifi.status.signalStrength = Math.round(clamp(wifi.status.signalStrength + gaussian() * 2, -80, -45));
+      emitWiFiStatus();
+    }, 10000));
+  };
+
+  return {
+    get state()
+    {
+      return state;
+    },
+
+    on,
+    off,
+
+    onclose(callback)
+    {
+      closeCallbacks.push(callback);
+    },
+
+    async invoke(method, ...args)
+    {
+      if (state !== HubConnectionState.Connected)
+      {
+        throw new Error(`Cannot invoke ${method}: the mock hub is not connected`);
+      }
+
+      const handler = methods[method];
+      if (!handler)
+      {
+        throw new Error(`${method} is not implemented by the mock hub`);
+      }
+      return handler(...args);
+    },
+
+    async start()
+    {
+      if (state === HubConnectionState.Connected) return;
+
+      state = HubConnectionState.Connected;
+      startTimers();
+
+      // Push an initial snapshot right away instead of waiting for the first interval
+      emit('CorrectionsStatusUpdate', { mode: device.mode });
+      gnssTick();
+      receiverStatusTick();
+      systemTick();
+      emitWiFiStatus();
+    },
+
+    async stop()
+    {
+      if (state === HubConnectionState.Disconnected) return;
+
+      timers.forEach(timer => clearInterval(timer));
+      timers.length = 0;
+      state = HubConnectionState.Disconnected;
+      closeCallbacks.forEach(callback => callback());
+    }
+  };
+}
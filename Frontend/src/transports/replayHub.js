@@ -0,0 +1,165 @@
+import { HubConnectionState } from '@microsoft/signalr';
+import { createHubEmitter } from './hubEmitter';
+
+// Playback tick, roughly the dashboard rate the backend throttles live updates to
+const TICK_INTERVAL_MS = 100;
+
+// A stand-in for a SignalR HubConnection that plays back a recorded session timeline.
+// It exposes the subset of the HubConnection API the composables use (on/off/invoke/start/stop/
+// onclose/state) plus playback controls, so every registerXxxEvents handler works unchanged.
+export function createReplayHub(session, { invokeHandlers = {}, onProgress = () => {} } = {})
+{
+  const { events, duration } = session;
+  const { on, off, emit } = createHubEmitter('Replay');
+  const closeCallbacks = [];
+  const eventNames = new Set(events.map(event => event.name));
+
+  let state = HubConnectionState.Disconnected;
+  let cursor = 0;
+  let currentTime = 0;
+  let speed = 1;
+  let playing = false;
+  let timer = null;
+  let lastTick = 0;
+
+  const reportProgress = () =>
+  {
+    onProgress({ currentTime, playing, speed });
+  };
+
+  // Emit everything due up to currentTime, keeping only the latest event of each type per tick
+  const emitDueEvents = () =>
+  {
+    const latest = new Map();
+    while (cursor < events.length && events[cursor].t <= currentTime)
+    {
+      latest.set(events[cursor].name, events[cursor].data);
+      cursor++;
+    }
+    latest.forEach((data, name) => emit(name, data));
+  };
+
+  const tick = () =>
+  {
+    const now = performance.now();
+    currentTime = Math.min(duration, currentTime + (now - lastTick) * speed);
+    lastTick = now;
+
+    emitDueEvents();
+
+    if (cursor >= events.length)
+    {
+      pause();
+      return;
+    }
+    reportProgress();
+  };
+
+  const play = () =>
+  {
+    if (playing || state !== HubConnectionState.Connected) return;
+
+    // Restart from the beginning when play is pressed at the end of the session
+    if (cursor >= events.length)
+    {
+      seek(0);
+    }
+
+    playing = true;
+    lastTick = performance.now();
+    timer = setInterval(tick, TICK_INTERVAL_MS);
+    reportProgress();
+  };
+
+  const pause = () =>
+  {
+    playing = false;
+    if (timer)
+    {
+      clearInterval(timer);
+      timer = null;
+    }
+    reportProgress();
+  };
+
+  // Jump to a point in the session and push the most recent value of every event type,
+  // so all stores reflect the state at that moment rather than waiting for the next epoch
+  const seek = (time) =>
+  {
+    currentTime = Math.max(0, Math.min(duration, time));
+
+    // First event strictly after the target time
+    let low = 0;
+    let high = events.length;
+    while (low < high)
+    {
+      const mid = (low + high) >> 1;
+      if (events[mid].t <= currentTime) low = mid + 1;
+      else high = mid;
+    }
+    cursor = low;
+
+    const snapshot = new Map();
+    for (let i = cursor - 1; i >= 0 && snapshot.size < eventNames.size; i--)
+    {
+      if (!snapshot.has(events[i].name))
+      {
+        snapshot.set(events[i].name, events[i].data);
+      }
+    }
+    // Emit in chronological order so dependent handlers (e.g. corrections mode) run first
+    Array.from(snapshot.entries()).reverse().forEach(([name, data]) => emit(name, data));
+
+    lastTick = performance.now();
+    reportProgress();
+  };
+
+  const setSpeed = (newSpeed) =>
+  {
+    speed = newSpeed;
+    reportProgress();
+  };
+
+  return {
+    get state()
+    {
+      return state;
+    },
+
+    on,
+    off,
+
+    onclose(callback)
+    {
+      closeCallbacks.push(callback);
+    },
+
+    async invoke(method, ...args)
+    {
+      const handler = invokeHandlers[method];
+      if (!handler)
+      {
+        throw new Error(`${method} is not available while replaying a recorded session`);
+      }
+      return handler(...args);
+    },
+
+    async start()
+    {
+      state = HubConnectionState.Connected;
+      seek(0);
+    },
+
+    async stop()
+    {
+      pause();
+      state = HubConnectionState.Disconnected;
+      closeCallbacks.forEach(callback => callback());
+    },
+
+    play,
+    pause,
+    seek,
+    setSpeed
+  };
+}
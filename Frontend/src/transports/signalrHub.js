@@ -0,0 +1,30 @@
+import { HubConnectionBuilder } from '@microsoft/signalr';
+
+// Hub URL: VITE_HUB_URL overrides, otherwise the Pi in development and the serving host in production
+export const resolveHubUrl = () =>
+{
+  if (import.meta.env.VITE_HUB_URL)
+  {
+    return import.meta.env.VITE_HUB_URL;
+  }
+
+  return import.meta.env.DEV
+    ? "http://base.local/datahub"  // Development mode: use the device on the local network
+    : `${window.location.protocol}//${window.location.hostname}/datahub`;  // Production: use same host as frontend
+};
+
+// Plain HTTP endpoints (map tiles, ...) live on the same server as the hub
+export const resolveBackendUrl = (path) =>
+{
+  return new URL(path, new URL(resolveHubUrl(), window.location.href)).href;
+};
+
+export function createSignalRHub(hubUrl = resolveHubUrl())
+{
+  console.log(`SignalR Hub URL: ${hubUrl}`);
+
+  return new HubConnectionBuilder()
+    .withUrl(hubUrl)
+    // No automatic reconnect - useSignalR schedules its own retries
+    .build();
+}
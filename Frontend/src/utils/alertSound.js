@@ -0,0 +1,57 @@
+// Short alert tones generated with Web Audio, so no sound files have to be shipped.
+// Browsers keep the audio context suspended until the page has seen a user gesture;
+// tones requested before that are silently dropped.
+
+// Tone frequency (Hz) and number of beeps per severity
+const TONES = {
+  info: { frequency: 660, beeps: 1 },
+  warning: { frequency: 880, beeps: 2 },
+  critical: { frequency: 1040, beeps: 3 }
+};
+
+const BEEP_SECONDS = 0.15;
+const GAP_SECONDS = 0.1;
+
+let audioContext = null;
+
+const getAudioContext = () =>
+{
+  if (!audioContext)
+  {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+};
+
+export const playAlertSound = (severity) =>
+{
+  const context = getAudioContext();
+  if (!context) return;
+  if (context.state === 'suspended')
+  {
+    context.resume().catch(() => {});
+  }
+
+  const { frequency, beeps } = TONES[severity] ?? TONES.info;
+  const start = context.currentTime;
+
+  for (let beep = 0; beep < beeps; beep++)
+  {
+    const at = start + beep * (BEEP_SECONDS + GAP_SECONDS);
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    // Short ramps avoid clicks at the start and end of each beep
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(0.2, at + 0.01);
+    gain.gain.linearRampToValueAtTime(0, at + BEEP_SECONDS);
+
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(at);
+    oscillator.stop(at + BEEP_SECONDS);
+  }
+};
@@ -0,0 +1,40 @@
+const DEG = Math.PI / 180;
+
+const hasVector = (vector) => vector && vector.x !== null && vector.y !== null && vector.z !== null;
+
+// Roll and pitch (degrees) from the gravity direction seen by the accelerometer
+export const rollPitchFromAcceleration = (acc) =>
+{
+  if (!hasVector(acc)) return null;
+
+  return {
+    roll: Math.atan2(acc.y, acc.z) / DEG,
+    pitch: Math.atan2(-acc.x, Math.sqrt(acc.y * acc.y + acc.z * acc.z)) / DEG
+  };
+};
+
+// Magnetic heading (0-360°, clockwise from north) with the magnetometer rotated back to the
+// horizontal plane. Body axes x forward, y right, z down, as for the accelerometer above.
+export const tiltCompensatedHeading = (mag, roll, pitch) =>
+{
+  if (!hasVector(mag)) return null;
+
+  const rollRad = roll * DEG;
+  const pitchRad = pitch * DEG;
+
+  const magXComp = mag.x * Math.cos(pitchRad) +
+    mag.y * Math.sin(pitchRad) * Math.sin(rollRad) +
+    mag.z * Math.sin(pitchRad) * Math.cos(rollRad);
+  const magYComp = mag.z * Math.sin(rollRad) - mag.y * Math.cos(rollRad);
+
+  const heading = Math.atan2(magYComp, magXComp) / DEG;
+  return heading < 0 ? heading + 360 : heading;
+};
+
+// Heading straight from raw IMU samples, null until both sensors have reported
+export const headingFromImu = (acc, mag) =>
+{
+  const attitude = rollPitchFromAcceleration(acc);
+  if (!attitude) return null;
+  return tiltCompensatedHeading(mag, attitude.roll, attitude.pitch);
+};
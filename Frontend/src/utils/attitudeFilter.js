@@ -0,0 +1,236 @@
+import { rollPitchFromAcceleration, tiltCompensatedHeading } from './attitude';
+
+// Quaternion complementary filter (Mahony style) fusing gyroscope, accelerometer and magnetometer.
+//
+// Axes follow the accelerometer convention of utils/attitude: body x forward, y right, z down,
+// gravity read as +z when level, gyro rates right-handed about the same axes. The quaternion
+// rotates body vectors into the local north-east-down frame, so yaw is the compass heading.
+//
+// Each update the gyroscope predicts the rotation since the previous sample, then the estimate
+// is pulled towards the attitude measured by accelerometer (roll, pitch) and magnetometer
+// (heading). The gains set how fast: an error shrinks by gain × dt per update, so 0.2/s takes
+// out a fifth of it per second. The error left over is also integrated into a gyro bias.
+
+const DEG = Math.PI / 180;
+
+// Samples further apart than this restart the filter from the accelerometer and magnetometer
+const MAX_GAP_SECONDS = 5;
+// Accelerometer readings whose magnitude is this far from gravity (vehicle accelerating,
+// braking, cornering) don't measure the tilt and are skipped for the tilt correction
+const ACCELERATION_TOLERANCE = 0.1;
+// Bias estimates beyond this (rad/s) mean the filter is diverging rather than learning
+const MAX_BIAS = 0.1;
+
+export const GYRO_UNITS = [
+  { value: 'rad/s', label: 'rad/s', scale: 1 },
+  { value: 'deg/s', label: '°/s', scale: DEG }
+];
+
+export const DEFAULT_FILTER_SETTINGS = {
+  // Tilt correction from the accelerometer (1/s)
+  tiltGain: 0.2,
+  // Heading correction from the magnetometer (1/s)
+  headingGain: 0.1,
+  // Gyro bias learning rate (1/s²), 0 turns the estimation off
+  biasGain: 0.02,
+  gyroUnit: 'rad/s'
+};
+
+const hasVector = (vector) => vector && vector.x !== null && vector.y !== null && vector.z !== null;
+
+const norm = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+const multiply = (a, b) => ({
+  w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+  y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+  z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
+});
+
+const conjugate = (q) => ({ w: q.w, x: -q.x, y: -q.y, z: -q.z });
+
+const normalize = (q) =>
+{
+  const length = Math.sqrt(q.w * q.w + q.x * q.x + q.y * q.y + q.z * q.z);
+  return { w: q.w / length, x: q.x / length, y: q.y / length, z: q.z / length };
+};
+
+// Rotation by |v| radians about v
+const fromRotationVector = (v) =>
+{
+  const angle = norm(v);
+  if (angle < 1e-12) return { w: 1, x: 0, y: 0, z: 0 };
+
+  const s = Math.sin(angle / 2) / angle;
+  return { w: Math.cos(angle / 2), x: v.x * s, y: v.y * s, z: v.z * s };
+};
+
+// Inverse of fromRotationVector, taking the short way round
+const toRotationVector = (q) =>
+{
+  const sign = q.w < 0 ? -1 : 1;
+  const sinHalf = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+  if (sinHalf < 1e-12) return { x: 0, y: 0, z: 0 };
+
+  const angle = 2 * Math.atan2(sinHalf, sign * q.w);
+  const s = sign * angle / sinHalf;
+  return { x: q.x * s, y: q.y * s, z: q.z * s };
+};
+
+const rotate = (q, v) =>
+{
+  const rotated = multiply(multiply(q, { w: 0, ...v }), conjugate(q));
+  return { x: rotated.x, y: rotated.y, z: rotated.z };
+};
+
+// Yaw-pitch-roll (degrees, aerospace ZYX order) to quaternion
+export const quaternionFromEuler = (roll, pitch, yaw) =>
+{
+  const cr = Math.cos(roll * DEG / 2), sr = Math.sin(roll * DEG / 2);
+  const cp = Math.cos(pitch * DEG / 2), sp = Math.sin(pitch * DEG / 2);
+  const cy = Math.cos(yaw * DEG / 2), sy = Math.sin(yaw * DEG / 2);
+
+  return {
+    w: cr * cp * cy + sr * sp * sy,
+    x: sr * cp * cy - cr * sp * sy,
+    y: cr * sp * cy + sr * cp * sy,
+    z: cr * cp * sy - sr * sp * cy
+  };
+};
+
+// Quaternion to roll, pitch (degrees) and yaw (0-360°)
+export const eulerFromQuaternion = (q) =>
+{
+  const roll = Math.atan2(2 * (q.w * q.x + q.y * q.z), 1 - 2 * (q.x * q.x + q.y * q.y)) / DEG;
+  const pitch = Math.asin(Math.max(-1, Math.min(1, 2 * (q.w * q.y - q.z * q.x)))) / DEG;
+  const yaw = Math.atan2(2 * (q.w * q.z + q.x * q.y), 1 - 2 * (q.y * q.y + q.z * q.z)) / DEG;
+
+  return { roll, pitch, yaw: yaw < 0 ? yaw + 360 : yaw };
+};
+
+export function createAttitudeFilter(initialSettings = {})
+{
+  const settings = { ...DEFAULT_FILTER_SETTINGS, ...initialSettings };
+
+  let quaternion = null;
+  let bias = { x: 0, y: 0, z: 0 };
+  let lastTime = null;
+  // Running estimate of |gravity| in the accelerometer's own units
+  let gravity = null;
+
+  const reset = () =>
+  {
+    quaternion = null;
+    bias = { x: 0, y: 0, z: 0 };
+    lastTime = null;
+    gravity = null;
+  };
+
+  const configure = (changes) =>
+  {
+    Object.assign(settings, changes);
+  };
+
+  const gyroScale = () => (GYRO_UNITS.find(unit => unit.value === settings.gyroUnit) ?? GYRO_UNITS[0]).scale;
+
+  // Attitude measured by accelerometer and magnetometer alone. The heading is tilt-compensated
+  // with the filtered roll and pitch once available, which are far steadier than a single sample.
+  const measure = (acceleration, magnetometer) =>
+  {
+    const tilt = rollPitchFromAcceleration(acceleration);
+    if (!tilt) return null;
+
+    const reference = quaternion ? eulerFromQuaternion(quaternion) : tilt;
+    const heading = tiltCompensatedHeading(magnetometer, reference.roll, reference.pitch);
+    return { ...tilt, heading };
+  };
+
+  const snapshot = (accelerationRejected) =>
+  {
+    const { roll, pitch, yaw } = eulerFromQuaternion(quaternion);
+    return {
+      roll,
+      pitch,
+      yaw,
+      quaternion: { ...quaternion },
+      // Reported in the gyroscope's own units
+      gyroBias: {
+        x: bias.x / gyroScale(),
+        y: bias.y / gyroScale(),
+        z: bias.z / gyroScale()
+      },
+      accelerationRejected
+    };
+  };
+
+  // Feed one IMU sample; timeSeconds is when it was taken. Returns the attitude, or null while
+  // the accelerometer has not reported yet.
+  const update = ({ acceleration, gyroscope, magnetometer }, timeSeconds) =>
+  {
+    const measured = measure(acceleration, magnetometer);
+    if (!measured) return null;
+
+    const accelerationNorm = norm(acceleration);
+    gravity = gravity === null ? accelerationNorm : gravity;
+    const accelerationRejected = Math.abs(accelerationNorm - gravity) > ACCELERATION_TOLERANCE * gravity;
+    // Only learn the gravity magnitude from samples that look static
+    if (!accelerationRejected)
+    {
+      gravity += 0.05 * (accelerationNorm - gravity);
+    }
+
+    const dt = lastTime === null ? null : timeSeconds - lastTime;
+    lastTime = timeSeconds;
+
+    // First sample, or the stream stalled: start over from the measurement
+    if (!quaternion || dt === null || dt <= 0 || dt > MAX_GAP_SECONDS)
+    {
+      quaternion = quaternionFromEuler(measured.roll, measured.pitch, measured.heading ?? 0);
+      return snapshot(false);
+    }
+
+    // Predict with the bias-corrected gyroscope
+    if (hasVector(gyroscope))
+    {
+      const scale = gyroScale();
+      const rate = {
+        x: gyroscope.x * scale - bias.x,
+        y: gyroscope.y * scale - bias.y,
+        z: gyroscope.z * scale - bias.z
+      };
+      quaternion = normalize(multiply(quaternion, fromRotationVector({ x: rate.x * dt, y: rate.y * dt, z: rate.z * dt })));
+    }
+
+    // Error between measurement and prediction as a rotation in the NED frame: x/y are tilt, z is heading
+    const predicted = eulerFromQuaternion(quaternion);
+    const target = quaternionFromEuler(measured.roll, measured.pitch, measured.heading ?? predicted.yaw);
+    const error = toRotationVector(multiply(target, conjugate(quaternion)));
+
+    const tiltStep = accelerationRejected ? 0 : Math.min(1, settings.tiltGain * dt);
+    const headingStep = measured.heading === null ? 0 : Math.min(1, settings.headingGain * dt);
+    const correction = { x: error.x * tiltStep, y: error.y * tiltStep, z: error.z * headingStep };
+    quaternion = normalize(multiply(fromRotationVector(correction), quaternion));
+
+    // Whatever error the gyroscope keeps producing is put down to its bias
+    if (settings.biasGain > 0 && hasVector(gyroscope))
+    {
+      const observed = {
+        x: accelerationRejected ? 0 : error.x,
+        y: accelerationRejected ? 0 : error.y,
+        z: measured.heading === null ? 0 : error.z
+      };
+      const bodyError = rotate(conjugate(quaternion), observed);
+      const step = settings.biasGain * dt;
+      const clampBias = (value) => Math.max(-MAX_BIAS, Math.min(MAX_BIAS, value));
+      bias = {
+        x: clampBias(bias.x - step * bodyError.x),
+        y: clampBias(bias.y - step * bodyError.y),
+        z: clampBias(bias.z - step * bodyError.z)
+      };
+    }
+
+    return snapshot(accelerationRejected);
+  };
+
+  return { update, reset, configure };
+}
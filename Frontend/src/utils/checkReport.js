@@ -0,0 +1,117 @@
+// Printable known-point check report. The report is a standalone HTML page printed from a hidden
+// frame, so it does not inherit the app layout and prints the same from any view.
+
+// Published control heights come in any of these references; the observed height is formed the same way
+export const CONTROL_HEIGHT_REFERENCES = [
+  { value: 'ellipsoidal', label: 'Ellipsoidal (WGS84)' },
+  { value: 'msl', label: 'MSL (receiver geoid)' },
+  { value: 'orthometric', label: 'Orthometric (uploaded geoid model)' }
+];
+
+const escapeHtml = (text) =>
+{
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const formatMeters = (value, digits = 3) => value !== null && value !== undefined ? `${value.toFixed(digits)} m` : '—';
+const formatSigned = (value) => value !== null && value !== undefined ? `${value >= 0 ? '+' : ''}${value.toFixed(3)} m` : '—';
+const formatDegrees = (value) => value !== null && value !== undefined ? `${value.toFixed(9)}°` : '—';
+const formatVerdict = (passed) =>
+{
+  if (passed === null) return '<span class="na">n/a</span>';
+  return passed ? '<span class="pass">PASS</span>' : '<span class="fail">FAIL</span>';
+};
+
+const heightReferenceLabel = (value) => CONTROL_HEIGHT_REFERENCES.find(reference => reference.value === value)?.label ?? value;
+
+const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`;
+
+export const buildCheckReport = (check) =>
+{
+  const { control, observed, residual, std, tolerances } = check;
+  const started = new Date(check.startedAt);
+  const durationSeconds = Math.round((check.endedAt - check.startedAt) / 1000);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Control check ${escapeHtml(control.name)} ${started.toISOString().slice(0, 10)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; margin: 24px; font-size: 12px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 20px 0 6px; border-bottom: 1px solid #d1d5db; padding-bottom: 2px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #f3f4f6; }
+  th { width: 40%; font-weight: 500; color: #4b5563; }
+  .verdict { font-size: 16px; margin-top: 8px; }
+  .pass { color: #047857; font-weight: 700; }
+  .fail { color: #b91c1c; font-weight: 700; }
+  .na { color: #6b7280; }
+  .muted { color: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Known-Point Accuracy Check</h1>
+<div class="muted">${escapeHtml(started.toLocaleString())}${check.hostname ? ` · ${escapeHtml(check.hostname)}` : ''}</div>
+<div class="verdict">Result: ${formatVerdict(check.passed)}</div>
+
+<h2>Control Point</h2>
+<table>
+${row('Name', escapeHtml(control.name))}
+${row('Latitude', formatDegrees(control.latitude))}
+${row('Longitude', formatDegrees(control.longitude))}
+${row('Height', formatMeters(control.height))}
+${row('Height reference', escapeHtml(heightReferenceLabel(control.heightReference)))}
+</table>
+
+<h2>Observation</h2>
+<table>
+${row('Mean latitude', formatDegrees(observed.latitude))}
+${row('Mean longitude', formatDegrees(observed.longitude))}
+${row('Mean height', formatMeters(observed.height))}
+${row('Antenna height', formatMeters(check.antennaHeight))}
+${row('Epochs used', `${check.epochs}${check.rejected > 0 ? ` (${check.rejected} rejected${check.fixedOnly ? ', not RTK Fixed' : ''})` : ''}`)}
+${row('Duration', `${durationSeconds} s`)}
+${row('Last fix type', escapeHtml(check.fixType ?? '—'))}
+${row('Max hAcc / vAcc', `${formatMeters(check.maxHAcc)} / ${formatMeters(check.maxVAcc)}`)}
+${row('σ East / North / Up', `${formatMeters(std.east)} / ${formatMeters(std.north)} / ${formatMeters(std.up)}`)}
+</table>
+
+<h2>Residuals (observed − control)</h2>
+<table>
+${row('dE', formatSigned(residual.dE))}
+${row('dN', formatSigned(residual.dN))}
+${row('dU', formatSigned(residual.dU))}
+${row('Horizontal', `${formatMeters(residual.horizontal)} (tolerance ${formatMeters(tolerances.horizontal)}) ${formatVerdict(check.passHorizontal)}`)}
+${row('Vertical', `${formatMeters(residual.dU !== null ? Math.abs(residual.dU) : null)} (tolerance ${formatMeters(tolerances.vertical)}) ${formatVerdict(check.passVertical)}`)}
+${row('3D', formatMeters(residual.threeD))}
+</table>
+</body>
+</html>`;
+};
+
+export const printReport = (html) =>
+{
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  const frameDocument = frame.contentWindow.document;
+  frameDocument.open();
+  frameDocument.write(html);
+  frameDocument.close();
+
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+
+  // print() blocks until the dialog closes in most browsers; the delay covers those where it does not
+  setTimeout(() => frame.remove(), 1000);
+};
@@ -0,0 +1,17 @@
+// Constellations as named by the backend NAV-SAT parser (gnssName), in display order. The colors
+// match the bars in SatelliteHealthChart so a satellite looks the same in every chart.
+export const CONSTELLATIONS = [
+  { name: 'GPS', color: '#3b82f6' },
+  { name: 'GLONASS', color: '#ef4444' },
+  { name: 'Galileo', color: '#a855f7' },
+  { name: 'BeiDou', color: '#eab308' },
+  { name: 'SBAS', color: '#6b7280' }
+];
+
+const OTHER_COLOR = '#9ca3af';
+
+export const getConstellationColor = (name) =>
+  CONSTELLATIONS.find(constellation => constellation.name === name)?.color ?? OTHER_COLOR;
+
+// Stable key for one satellite across updates, e.g. "GPS-12"
+export const getSatelliteKey = (satellite) => `${satellite.constellation}-${satellite.svid}`;
@@ -0,0 +1,175 @@
+// Conversion of WGS84 positions into the coordinate systems offered for display. Every converter
+// returns { title, axes } where an axis is { label, value, unit, digits } and value is null when the
+// input needed for it (e.g. an ellipsoidal height or an ENU origin) is not available.
+import {
+  geodeticToEcef,
+  geodeticToEnu,
+  enuToGeodetic,
+  geodeticToTransverseMercator,
+  transverseMercatorToGeodetic,
+  getUtmZone,
+  getUtmParams
+} from './geodesy';
+
+export const COORDINATE_SYSTEMS = [
+  { value: 'geographic', label: 'WGS84 Lat/Lon', description: 'Latitude and longitude in decimal degrees' },
+  { value: 'utm', label: 'UTM', description: 'Universal Transverse Mercator easting and northing' },
+  { value: 'ecef', label: 'ECEF', description: 'Earth-centered X/Y/Z, as reported by the survey-in' },
+  { value: 'enu', label: 'Local ENU', description: 'East/North/Up offsets from the base station' },
+  { value: 'tm', label: 'Custom TM', description: 'User-defined Transverse Mercator grid' }
+];
+
+export const HEIGHT_REFERENCES = [
+  { value: 'msl', label: 'MSL', description: 'Above mean sea level, using the receiver geoid model' },
+  { value: 'ellipsoidal', label: 'Ellipsoidal', description: 'Above the WGS84 ellipsoid' },
+  { value: 'orthometric', label: 'Geoid Model', description: 'Orthometric, from the geoid grid uploaded to the unit' }
+];
+
+export const DEFAULT_TM_PARAMS = {
+  name: 'Custom TM',
+  centralMeridian: 0,
+  latitudeOfOrigin: 0,
+  scaleFactor: 1,
+  falseEasting: 0,
+  falseNorthing: 0
+};
+
+const axis = (label, value, unit, digits) => ({ label, value: value ?? null, unit, digits });
+
+const heightAxis = (position, settings) =>
+{
+  if (settings.heightReference === 'ellipsoidal') return axis('Ellipsoidal Height', position.ellipsoidalHeight, 'm', 3);
+  if (settings.heightReference === 'orthometric') return axis('Orthometric Height', position.orthometricHeight, 'm', 3);
+  return axis('MSL Height', position.mslHeight, 'm', 3);
+};
+
+const toGeographic = (position, settings) => ({
+  title: 'WGS84',
+  axes: [
+    axis('Latitude', position.latitude, '°', 9),
+    axis('Longitude', position.longitude, '°', 9),
+    heightAxis(position, settings)
+  ]
+});
+
+// Zone and hemisphere follow the position unless a zone is fixed in the settings
+const toUtm = (position, settings) =>
+{
+  const zone = settings.utm.zone ?? getUtmZone(position.longitude);
+  const southern = settings.utm.zone !== null ? settings.utm.southern : position.latitude < 0;
+  const grid = geodeticToTransverseMercator(position.latitude, position.longitude, getUtmParams(zone, southern));
+
+  return {
+    title: `UTM ${zone}${southern ? 'S' : 'N'}`,
+    axes: [
+      axis('Easting', grid.easting, 'm', 3),
+      axis('Northing', grid.northing, 'm', 3),
+      heightAxis(position, settings)
+    ]
+  };
+};
+
+// ECEF is defined on the ellipsoid, so it cannot be formed from an MSL height
+const toEcef = (position) =>
+{
+  const ecef = position.ellipsoidalHeight !== null
+    ? geodeticToEcef(position.latitude, position.longitude, position.ellipsoidalHeight)
+    : {};
+
+  return {
+    title: 'ECEF',
+    axes: [
+      axis('X', ecef.x, 'm', 3),
+      axis('Y', ecef.y, 'm', 3),
+      axis('Z', ecef.z, 'm', 3)
+    ]
+  };
+};
+
+// origin: { latitude, longitude, height } with an ellipsoidal height, null when no base is known
+const toEnu = (position, settings, origin) =>
+{
+  let enu = {};
+  if (origin)
+  {
+    enu = geodeticToEnu(
+      { latitude: position.latitude, longitude: position.longitude, height: position.ellipsoidalHeight ?? origin.height },
+      origin
+    );
+    if (position.ellipsoidalHeight === null)
+    {
+      enu.up = null;
+    }
+  }
+
+  return {
+    title: 'ENU from base',
+    axes: [
+      axis('East', enu.east, 'm', 3),
+      axis('North', enu.north, 'm', 3),
+      axis('Up', enu.up, 'm', 3)
+    ]
+  };
+};
+
+const toCustomTm = (position, settings) =>
+{
+  const grid = geodeticToTransverseMercator(position.latitude, position.longitude, settings.tm);
+
+  return {
+    title: settings.tm.name || DEFAULT_TM_PARAMS.name,
+    axes: [
+      axis('Easting', grid.easting, 'm', 3),
+      axis('Northing', grid.northing, 'm', 3),
+      heightAxis(position, settings)
+    ]
+  };
+};
+
+const CONVERTERS = {
+  geographic: toGeographic,
+  utm: toUtm,
+  ecef: toEcef,
+  enu: toEnu,
+  tm: toCustomTm
+};
+
+// position: { latitude, longitude, mslHeight, ellipsoidalHeight, orthometricHeight } with null for unknown heights
+export const convertPosition = (position, settings, origin = null) =>
+{
+  const converter = CONVERTERS[settings.system] ?? toGeographic;
+  return converter(position, settings, origin);
+};
+
+export const formatAxisValue = (value, unit, digits) =>
+{
+  if (value === null || !Number.isFinite(value)) return '—';
+  return unit === '°' ? `${value.toFixed(digits)}°` : `${value.toFixed(digits)} ${unit}`;
+};
+
+// Marks are entered as a horizontal pair in the selected system. ECEF has no such pair, so
+// latitude/longitude are entered while it is selected.
+export const entrySystemOf = (system) => (CONVERTERS[system] && system !== 'ecef' ? system : 'geographic');
+
+// settings as for convertPosition with a resolved utm zone; null when the pair cannot be placed
+export const entryToGeodetic = (first, second, settings, origin = null) =>
+{
+  if (!Number.isFinite(first) || !Number.isFinite(second)) return null;
+
+  const system = entrySystemOf(settings.system);
+  if (system === 'utm')
+  {
+    return transverseMercatorToGeodetic(first, second, getUtmParams(settings.utm.zone, settings.utm.southern));
+  }
+  if (system === 'tm')
+  {
+    return transverseMercatorToGeodetic(first, second, settings.tm);
+  }
+  if (system === 'enu')
+  {
+    if (!origin) return null;
+    const { latitude, longitude } = enuToGeodetic({ east: first, north: second }, origin);
+    return { latitude, longitude };
+  }
+  return { latitude: first, longitude: second };
+};
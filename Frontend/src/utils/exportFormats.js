@@ -0,0 +1,265 @@
+// Writers for the exported position datasets. A dataset is { name, kind, records } where kind is
+// 'points' (waypoints) or 'track' (ordered epochs) and each record is a flat object keyed by the
+// column keys below. Missing values are left empty rather than written as zero.
+import { classifyFixType } from './fixQuality';
+
+export const EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'code', label: 'Code' },
+  { key: 'latitude', label: 'Latitude', digits: 9 },
+  { key: 'longitude', label: 'Longitude', digits: 9 },
+  { key: 'height', label: 'MSL Height (m)', digits: 4 },
+  { key: 'ellipsoidalHeight', label: 'Ellipsoidal Height (m)', digits: 4 },
+  { key: 'antennaHeight', label: 'Antenna Height (m)', digits: 3 },
+  { key: 'hAcc', label: 'hAcc (m)', digits: 4 },
+  { key: 'vAcc', label: 'vAcc (m)', digits: 4 },
+  { key: 'stdEast', label: 'Std East (m)', digits: 4 },
+  { key: 'stdNorth', label: 'Std North (m)', digits: 4 },
+  { key: 'stdUp', label: 'Std Up (m)', digits: 4 },
+  { key: 'fixType', label: 'Fix Type' },
+  { key: 'satellites', label: 'Satellites' },
+  { key: 'hdop', label: 'HDOP', digits: 2 },
+  { key: 'vdop', label: 'VDOP', digits: 2 },
+  { key: 'pdop', label: 'PDOP', digits: 2 },
+  { key: 'epochs', label: 'Epochs' },
+  { key: 'timestamp', label: 'Timestamp (UTC)' }
+];
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  { value: 'geojson', label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  { value: 'kml', label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  { value: 'gpx', label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' }
+];
+
+const getColumn = (key) => EXPORT_COLUMNS.find(column => column.key === key);
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '' && !Number.isNaN(value);
+
+const formatValue = (key, value) =>
+{
+  if (!hasValue(value)) return '';
+  if (key === 'timestamp') return new Date(value).toISOString();
+
+  const column = getColumn(key);
+  return column?.digits !== undefined && typeof value === 'number' ? value.toFixed(column.digits) : String(value);
+};
+
+const escapeXml = (text) =>
+{
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const escapeCsv = (text) =>
+{
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (dataset, columns) =>
+{
+  const header = columns.map(key => escapeCsv(getColumn(key).label)).join(',');
+  const rows = dataset.records.map(record => columns.map(key => escapeCsv(formatValue(key, record[key]))).join(','));
+  return [header, ...rows].join('\r\n') + '\r\n';
+};
+
+// Numbers stay numbers in GeoJSON properties, rounded like the CSV
+const toProperties = (record, columns) =>
+{
+  const properties = {};
+  columns
+    .filter(key => !['latitude', 'longitude'].includes(key))
+    .forEach(key =>
+    {
+      const value = record[key];
+      if (!hasValue(value))
+      {
+        properties[key] = null;
+      }
+      else if (typeof value === 'number' && key !== 'timestamp')
+      {
+        properties[key] = Number(formatValue(key, value));
+      }
+      else
+      {
+        properties[key] = formatValue(key, value);
+      }
+    });
+  return properties;
+};
+
+const toCoordinates = (record, columns) =>
+{
+  const coordinates = [Number(record.longitude.toFixed(9)), Number(record.latitude.toFixed(9))];
+  if (columns.includes('height') && hasValue(record.height))
+  {
+    coordinates.push(Number(record.height.toFixed(4)));
+  }
+  return coordinates;
+};
+
+// One Point feature per record, so per-epoch attributes survive for tracks too
+const toGeoJson = (dataset, columns) =>
+{
+  const collection = {
+    type: 'FeatureCollection',
+    name: dataset.name,
+    features: dataset.records.map(record => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: toCoordinates(record, columns) },
+      properties: toProperties(record, columns)
+    }))
+  };
+  return JSON.stringify(collection, null, 2);
+};
+
+const toKmlExtendedData = (record, columns) =>
+{
+  const fields = columns
+    .filter(key => !['name', 'latitude', 'longitude'].includes(key) && hasValue(record[key]))
+    .map(key => `        <Data name="${key}"><value>${escapeXml(formatValue(key, record[key]))}</value></Data>`);
+
+  return fields.length > 0 ? `      <ExtendedData>\n${fields.join('\n')}\n      </ExtendedData>\n` : '';
+};
+
+const toKmlCoordinate = (record, columns) => toCoordinates(record, columns).join(',');
+
+// Tracks become a LineString plus a folder of epoch placemarks carrying the attributes
+const toKml = (dataset, columns) =>
+{
+  const placemarks = dataset.records.map((record, index) =>
+  {
+    const name = hasValue(record.name) ? record.name : `${index + 1}`;
+    return '    <Placemark>\n' +
+      `      <name>${escapeXml(name)}</name>\n` +
+      toKmlExtendedData(record, columns) +
+      `      <Point><coordinates>${toKmlCoordinate(record, columns)}</coordinates></Point>\n` +
+      '    </Placemark>';
+  });
+
+  let line = '';
+  if (dataset.kind === 'track' && dataset.records.length > 1)
+  {
+    const coordinates = dataset.records.map(record => toKmlCoordinate(record, columns)).join(' ');
+    line = '    <Placemark>\n' +
+      `      <name>${escapeXml(dataset.name)}</name>\n` +
+      '      <LineString>\n' +
+      `        <coordinates>${coordinates}</coordinates>\n` +
+      '      </LineString>\n' +
+      '    </Placemark>\n';
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    '  <Document>\n' +
+    `    <name>${escapeXml(dataset.name)}</name>\n` +
+    line +
+    '    <Folder>\n' +
+    `      <name>${dataset.kind === 'track' ? 'Epochs' : 'Points'}</name>\n` +
+    placemarks.join('\n') + '\n' +
+    '    </Folder>\n' +
+    '  </Document>\n' +
+    '</kml>\n';
+};
+
+// GPX only knows none/2d/3d/dgps/pps; RTK solutions are differential
+const toGpxFix = (fixType) =>
+{
+  const category = classifyFixType(fixType);
+  if (category === 'none') return 'none';
+  if (category === 'single') return fixType.includes('2D') ? '2d' : '3d';
+  return 'dgps';
+};
+
+// Child elements in the order the GPX 1.1 schema requires
+const toGpxPoint = (tag, record, columns, indent) =>
+{
+  const has = (key) => columns.includes(key) && hasValue(record[key]);
+  const children = [];
+
+  if (has('height')) children.push(`<ele>${formatValue('height', record.height)}</ele>`);
+  if (has('timestamp')) children.push(`<time>${formatValue('timestamp', record.timestamp)}</time>`);
+  if (has('name')) children.push(`<name>${escapeXml(record.name)}</name>`);
+  if (has('code')) children.push(`<sym>${escapeXml(record.code)}</sym>`);
+  if (has('fixType'))
+  {
+    children.push(`<type>${escapeXml(record.fixType)}</type>`);
+    children.push(`<fix>${toGpxFix(record.fixType)}</fix>`);
+  }
+  if (has('satellites')) children.push(`<sat>${record.satellites}</sat>`);
+  if (has('hdop')) children.push(`<hdop>${formatValue('hdop', record.hdop)}</hdop>`);
+  if (has('vdop')) children.push(`<vdop>${formatValue('vdop', record.vdop)}</vdop>`);
+  if (has('pdop')) children.push(`<pdop>${formatValue('pdop', record.pdop)}</pdop>`);
+
+  const attributes = `lat="${record.latitude.toFixed(9)}" lon="${record.longitude.toFixed(9)}"`;
+  if (children.length === 0) return `${indent}<${tag} ${attributes} />`;
+
+  return `${indent}<${tag} ${attributes}>\n` +
+    children.map(child => `${indent}  ${child}`).join('\n') + '\n' +
+    `${indent}</${tag}>`;
+};
+
+const toGpx = (dataset, columns) =>
+{
+  let body;
+  if (dataset.kind === 'track')
+  {
+    body = '  <trk>\n' +
+      `    <name>${escapeXml(dataset.name)}</name>\n` +
+      '    <trkseg>\n' +
+      dataset.records.map(record => toGpxPoint('trkpt', record, columns, '      ')).join('\n') + '\n' +
+      '    </trkseg>\n' +
+      '  </trk>\n';
+  }
+  else
+  {
+    body = dataset.records.map(record => toGpxPoint('wpt', record, columns, '  ')).join('\n') + '\n';
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Positioning System" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    body +
+    '</gpx>\n';
+};
+
+const WRITERS = {
+  csv: toCsv,
+  geojson: toGeoJson,
+  kml: toKml,
+  gpx: toGpx
+};
+
+// Latitude and longitude are always written; the other columns follow the selection order of EXPORT_COLUMNS
+export const buildExport = (dataset, format, selectedColumns) =>
+{
+  const columns = EXPORT_COLUMNS
+    .map(column => column.key)
+    .filter(key => key === 'latitude' || key === 'longitude' || selectedColumns.includes(key));
+
+  const formatConfig = EXPORT_FORMATS.find(candidate => candidate.value === format);
+  return {
+    content: WRITERS[format](dataset, columns),
+    mime: formatConfig.mime,
+    extension: formatConfig.extension
+  };
+};
+
+export const downloadFile = (filename, content, mime) =>
+{
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
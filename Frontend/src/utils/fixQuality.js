@@ -0,0 +1,25 @@
+// Solution quality classes derived from the fix type label (see GetEnhancedFixTypeLabel in the
+// backend PVT parser), ordered best first
+export const FIX_CATEGORIES = [
+  { key: 'fixed', label: 'RTK Fixed', color: '#10b981' },
+  { key: 'float', label: 'RTK Float', color: '#f59e0b' },
+  { key: 'dgps', label: 'DGPS', color: '#a855f7' },
+  { key: 'single', label: 'Single / 3D', color: '#3b82f6' },
+  { key: 'none', label: 'No Fix / Other', color: '#6b7280' }
+];
+
+export const classifyFixType = (fixType) =>
+{
+  if (!fixType) return 'none';
+  if (fixType.startsWith('RTK Fix')) return 'fixed';
+  if (fixType.startsWith('RTK Float')) return 'float';
+  if (fixType.startsWith('DGPS')) return 'dgps';
+  if (fixType.startsWith('Single') || fixType === 'GNSS+DR') return 'single';
+  return 'none';
+};
+
+export const getFixCategory = (fixType) =>
+{
+  const key = classifyFixType(fixType);
+  return FIX_CATEGORIES.find(category => category.key === key);
+};
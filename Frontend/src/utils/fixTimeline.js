@@ -0,0 +1,123 @@
+// Fix-quality timeline statistics. A sample is
+// { time, category, correctionsAvailable, correctionAge, baseline, arRatio } with category from
+// classifyFixType. Samples further apart than MAX_SAMPLE_GAP_MS mark an outage of the data stream:
+// that time is neither fixed nor unfixed and is left out of the percentages.
+
+export const MAX_SAMPLE_GAP_MS = 5000;
+
+// Time a sample stands for, up to the next sample
+const sampleDuration = (samples, index, now) =>
+{
+  const next = index + 1 < samples.length ? samples[index + 1].time : now;
+  return Math.min(Math.max(0, next - samples[index].time), MAX_SAMPLE_GAP_MS);
+};
+
+// Runs of equal value for drawing, e.g. key 'category' or 'correctionsAvailable':
+// [{ value, start, end }]; a gap in the data ends a run
+export const getTimelineSegments = (samples, key, now = Date.now()) =>
+{
+  const segments = [];
+  let current = null;
+
+  samples.forEach((sample, index) =>
+  {
+    const end = sample.time + sampleDuration(samples, index, now);
+    if (current && current.value === sample[key] && sample.time - current.end < 1)
+    {
+      current.end = end;
+      return;
+    }
+    current = { value: sample[key], start: sample.time, end };
+    segments.push(current);
+  });
+
+  return segments;
+};
+
+// session: { startedAt, firstFixAt, firstFixedAt }, startedAt null until the first sample. The
+// first-fix times are tracked by the caller since the oldest samples of a long session may already
+// have been dropped.
+export const computeFixStatistics = (samples, session, now = Date.now()) =>
+{
+  const stats = {
+    sessionDurationMs: session.startedAt !== null ? Math.max(0, now - session.startedAt) : 0,
+    timeToFirstFixMs: session.firstFixAt !== null ? session.firstFixAt - session.startedAt : null,
+    timeToFixedMs: session.firstFixedAt !== null ? session.firstFixedAt - session.startedAt : null,
+    percentFixed: null,
+    percentFloat: null,
+    fixLosses: 0,
+    correctionDropouts: 0,
+    // One entry per return to RTK Fixed after losing it: { lostAt, fixedAt, timeToRefixMs }
+    refixes: [],
+    meanRefixMs: null,
+    maxRefixMs: null
+  };
+
+  let coveredMs = 0;
+  let fixedMs = 0;
+  let floatMs = 0;
+  let lostAt = null;
+  let correctionsBackAt = null;
+
+  samples.forEach((sample, index) =>
+  {
+    const previous = index > 0 ? samples[index - 1] : null;
+    const duration = sampleDuration(samples, index, now);
+    coveredMs += duration;
+    if (sample.category === 'fixed') fixedMs += duration;
+    if (sample.category === 'float') floatMs += duration;
+
+    if (previous?.correctionsAvailable && !sample.correctionsAvailable)
+    {
+      stats.correctionDropouts++;
+    }
+    if (lostAt !== null && !previous?.correctionsAvailable && sample.correctionsAvailable)
+    {
+      correctionsBackAt = sample.time;
+    }
+
+    if (previous?.category === 'fixed' && sample.category !== 'fixed')
+    {
+      stats.fixLosses++;
+      lostAt = sample.time;
+      correctionsBackAt = sample.correctionsAvailable ? sample.time : null;
+    }
+    else if (lostAt !== null && sample.category === 'fixed')
+    {
+      // After a correction dropout the receiver cannot do better than wait for the link, so the
+      // re-fix time runs from when corrections came back
+      const from = correctionsBackAt ?? lostAt;
+      stats.refixes.push({ lostAt, fixedAt: sample.time, timeToRefixMs: sample.time - from });
+      lostAt = null;
+      correctionsBackAt = null;
+    }
+  });
+
+  if (coveredMs > 0)
+  {
+    stats.percentFixed = 100 * fixedMs / coveredMs;
+    stats.percentFloat = 100 * floatMs / coveredMs;
+  }
+  if (stats.refixes.length > 0)
+  {
+    const times = stats.refixes.map(refix => refix.timeToRefixMs);
+    stats.meanRefixMs = times.reduce((sum, time) => sum + time, 0) / times.length;
+    stats.maxRefixMs = Math.max(...times);
+  }
+
+  return stats;
+};
+
+export const formatDuration = (ms) =>
+{
+  if (ms === null || ms === undefined) return '—';
+
+  const totalSeconds = ms / 1000;
+  if (totalSeconds < 60) return `${totalSeconds.toFixed(1)}s`;
+
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
@@ -0,0 +1,185 @@
+// WGS84 ellipsoid constants
+export const WGS84_A = 6378137.0;
+export const WGS84_F = 1.0 / 298.257223563;
+export const WGS84_E2 = 2 * WGS84_F - WGS84_F * WGS84_F;
+
+const DEG = Math.PI / 180;
+
+// Convert ECEF (meters) to geodetic latitude/longitude (degrees) and ellipsoidal height (meters)
+export const ecefToGeodetic = (x, y, z) =>
+{
+  const longitude = Math.atan2(y, x) / DEG;
+  const p = Math.sqrt(x * x + y * y);
+  let latitude = Math.atan2(z, p * (1 - WGS84_E2));
+  let height = 0;
+
+  // Iterate until latitude converges (same approach as the backend Rtcm1005Parser)
+  for (let i = 0; i < 10; i++)
+  {
+    const prevLat = latitude;
+    const sinLat = Math.sin(latitude);
+    const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+    height = p / Math.cos(latitude) - n;
+    latitude = Math.atan2(z, p * (1 - WGS84_E2 * n / (n + height)));
+    if (Math.abs(latitude - prevLat) < 1e-12) break;
+  }
+
+  return { latitude: latitude / DEG, longitude, height };
+};
+
+// Convert geodetic latitude/longitude (degrees) and ellipsoidal height (meters) to ECEF (meters)
+export const geodeticToEcef = (latitude, longitude, height) =>
+{
+  const lat = latitude * DEG;
+  const lon = longitude * DEG;
+  const sinLat = Math.sin(lat);
+  const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+
+  return {
+    x: (n + height) * Math.cos(lat) * Math.cos(lon),
+    y: (n + height) * Math.cos(lat) * Math.sin(lon),
+    z: (n * (1 - WGS84_E2) + height) * sinLat
+  };
+};
+
+// Local east/north/up offsets (meters) of a point relative to an origin, both geodetic
+export const geodeticToEnu = (point, origin) =>
+{
+  const p = geodeticToEcef(point.latitude, point.longitude, point.height ?? 0);
+  const o = geodeticToEcef(origin.latitude, origin.longitude, origin.height ?? 0);
+  const dx = p.x - o.x;
+  const dy = p.y - o.y;
+  const dz = p.z - o.z;
+
+  const lat = origin.latitude * DEG;
+  const lon = origin.longitude * DEG;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+
+  return {
+    east: -sinLon * dx + cosLon * dy,
+    north: -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz,
+    up: cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz
+  };
+};
+
+// Inverse of geodeticToEnu: the geodetic position of east/north/up offsets from an origin
+export const enuToGeodetic = (offset, origin) =>
+{
+  const o = geodeticToEcef(origin.latitude, origin.longitude, origin.height ?? 0);
+
+  const lat = origin.latitude * DEG;
+  const lon = origin.longitude * DEG;
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+  const { east, north } = offset;
+  const up = offset.up ?? 0;
+
+  return ecefToGeodetic(
+    o.x - sinLon * east - sinLat * cosLon * north + cosLat * cosLon * up,
+    o.y + cosLon * east - sinLat * sinLon * north + cosLat * sinLon * up,
+    o.z + cosLat * north + sinLat * up
+  );
+};
+
+// Transverse Mercator on the WGS84 ellipsoid using the Krüger series to 4th order in n
+// (sub-millimeter within a UTM zone)
+const N = WGS84_F / (2 - WGS84_F);
+const E = Math.sqrt(WGS84_E2);
+const RECTIFYING_RADIUS = WGS84_A / (1 + N) * (1 + N * N / 4 + N ** 4 / 64);
+
+const ALPHA = [
+  N / 2 - 2 * N ** 2 / 3 + 5 * N ** 3 / 16 + 41 * N ** 4 / 180,
+  13 * N ** 2 / 48 - 3 * N ** 3 / 5 + 557 * N ** 4 / 1440,
+  61 * N ** 3 / 240 - 103 * N ** 4 / 140,
+  49561 * N ** 4 / 161280
+];
+
+const BETA = [
+  N / 2 - 2 * N ** 2 / 3 + 37 * N ** 3 / 96 - N ** 4 / 360,
+  N ** 2 / 48 + N ** 3 / 15 - 437 * N ** 4 / 1440,
+  17 * N ** 3 / 480 - 37 * N ** 4 / 840,
+  4397 * N ** 4 / 161280
+];
+
+const DELTA = [
+  2 * N - 2 * N ** 2 / 3 - 2 * N ** 3 + 116 * N ** 4 / 45,
+  7 * N ** 2 / 3 - 8 * N ** 3 / 5 - 227 * N ** 4 / 45,
+  56 * N ** 3 / 15 - 136 * N ** 4 / 35,
+  4279 * N ** 4 / 630
+];
+
+// Gauss-Schreiber (ξ, η) of a point relative to the central meridian
+const toGaussSchreiber = (latitude, dLon) =>
+{
+  const sinLat = Math.sin(latitude * DEG);
+  const t = Math.sinh(Math.atanh(sinLat) - E * Math.atanh(E * sinLat));
+  const xiPrime = Math.atan2(t, Math.cos(dLon));
+  const etaPrime = Math.atanh(Math.sin(dLon) / Math.sqrt(1 + t * t));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  ALPHA.forEach((alpha, index) =>
+  {
+    const j = 2 * (index + 1);
+    xi += alpha * Math.sin(j * xiPrime) * Math.cosh(j * etaPrime);
+    eta += alpha * Math.cos(j * xiPrime) * Math.sinh(j * etaPrime);
+  });
+
+  return { xi, eta };
+};
+
+// params: { centralMeridian, latitudeOfOrigin, scaleFactor, falseEasting, falseNorthing }
+export const geodeticToTransverseMercator = (latitude, longitude, params) =>
+{
+  const { xi, eta } = toGaussSchreiber(latitude, (longitude - params.centralMeridian) * DEG);
+  const xiOrigin = toGaussSchreiber(params.latitudeOfOrigin ?? 0, 0).xi;
+  const k0A = params.scaleFactor * RECTIFYING_RADIUS;
+
+  return {
+    easting: params.falseEasting + k0A * eta,
+    northing: params.falseNorthing + k0A * (xi - xiOrigin)
+  };
+};
+
+export const transverseMercatorToGeodetic = (easting, northing, params) =>
+{
+  const k0A = params.scaleFactor * RECTIFYING_RADIUS;
+  const xi = (northing - params.falseNorthing) / k0A + toGaussSchreiber(params.latitudeOfOrigin ?? 0, 0).xi;
+  const eta = (easting - params.falseEasting) / k0A;
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  BETA.forEach((beta, index) =>
+  {
+    const j = 2 * (index + 1);
+    xiPrime -= beta * Math.sin(j * xi) * Math.cosh(j * eta);
+    etaPrime -= beta * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+
+  const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+  let latitude = chi;
+  DELTA.forEach((delta, index) =>
+  {
+    latitude += delta * Math.sin(2 * (index + 1) * chi);
+  });
+
+  return {
+    latitude: latitude / DEG,
+    longitude: params.centralMeridian + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) / DEG
+  };
+};
+
+export const getUtmZone = (longitude) => Math.min(60, Math.floor((longitude + 180) / 6) + 1);
+
+export const getUtmParams = (zone, southern = false) => ({
+  centralMeridian: zone * 6 - 183,
+  latitudeOfOrigin: 0,
+  scaleFactor: 0.9996,
+  falseEasting: 500000,
+  falseNorthing: southern ? 10000000 : 0
+});
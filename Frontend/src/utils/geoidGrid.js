@@ -0,0 +1,175 @@
+// Geoid grid parsing and interpolation. Supported are NOAA GTX (binary) and the ISG text format
+// (International Service for the Geoid, versions 1.0 and 2.0) with geodetic coordinates.
+// A parsed grid is { south, west, latStep, lonStep, rows, cols, values } where values is a
+// Float32Array in rows from south to north, each west to east, and missing nodes are NaN.
+
+const GTX_HEADER_BYTES = 40;
+const GTX_NO_DATA = -88.8888;
+
+const parseGtx = (buffer) =>
+{
+  if (buffer.byteLength < GTX_HEADER_BYTES)
+  {
+    throw new Error('File is too short for a GTX header');
+  }
+
+  // GTX is big-endian throughout
+  const view = new DataView(buffer);
+  const south = view.getFloat64(0, false);
+  const west = view.getFloat64(8, false);
+  const latStep = view.getFloat64(16, false);
+  const lonStep = view.getFloat64(24, false);
+  const rows = view.getInt32(32, false);
+  const cols = view.getInt32(36, false);
+
+  if (!(rows > 1 && cols > 1 && latStep > 0 && lonStep > 0))
+  {
+    throw new Error('GTX header does not describe a usable grid');
+  }
+  if (buffer.byteLength < GTX_HEADER_BYTES + rows * cols * 4)
+  {
+    throw new Error(`GTX grid is truncated, expected ${rows} × ${cols} values`);
+  }
+
+  const values = new Float32Array(rows * cols);
+  for (let index = 0; index < values.length; index++)
+  {
+    const value = view.getFloat32(GTX_HEADER_BYTES + index * 4, false);
+    values[index] = Math.abs(value - GTX_NO_DATA) < 1e-3 ? NaN : value;
+  }
+
+  return { south, west, latStep, lonStep, rows, cols, values };
+};
+
+// Accepts decimal degrees or ISG 2.0 dms such as -12°30'15"
+const parseIsgAngle = (text, units) =>
+{
+  if (units !== 'dms') return Number(text);
+
+  const parts = text.match(/-?\d+(\.\d+)?/g)?.map(Number) ?? [];
+  if (parts.length === 0) return NaN;
+
+  const [degrees, minutes = 0, seconds = 0] = parts;
+  const sign = text.trim().startsWith('-') ? -1 : 1;
+  return sign * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+};
+
+const parseIsg = (text) =>
+{
+  const lines = text.split(/\r?\n/);
+  const headStart = lines.findIndex(line => line.toLowerCase().startsWith('begin_of_head'));
+  const headEnd = lines.findIndex(line => line.toLowerCase().startsWith('end_of_head'));
+  if (headStart === -1 || headEnd === -1 || headEnd < headStart)
+  {
+    throw new Error('ISG header (begin_of_head / end_of_head) not found');
+  }
+
+  const header = {};
+  lines.slice(headStart + 1, headEnd).forEach(line =>
+  {
+    const separator = line.indexOf('=');
+    if (separator === -1) return;
+    header[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+  });
+
+  if (header['coord type'] && header['coord type'] !== 'geodetic')
+  {
+    throw new Error(`ISG coord type '${header['coord type']}' is not supported, only geodetic grids`);
+  }
+  if (header['data format'] && header['data format'] !== 'grid')
+  {
+    throw new Error(`ISG data format '${header['data format']}' is not supported, only grid`);
+  }
+
+  const units = header['coord units'] ?? 'deg';
+  const north = parseIsgAngle(header['lat max'], units);
+  const south = parseIsgAngle(header['lat min'], units);
+  const west = parseIsgAngle(header['lon min'], units);
+  const latStep = parseIsgAngle(header['delta lat'], units);
+  const lonStep = parseIsgAngle(header['delta lon'], units);
+  const rows = Number(header.nrows) || Math.round((north - south) / latStep) + 1;
+  const cols = Number(header.ncols) || Math.round((parseIsgAngle(header['lon max'], units) - west) / lonStep) + 1;
+  const noData = header.nodata !== undefined ? Number(header.nodata) : null;
+
+  if (![north, south, west, latStep, lonStep].every(Number.isFinite) || !(rows > 1 && cols > 1 && latStep > 0 && lonStep > 0))
+  {
+    throw new Error('ISG header is missing the grid extent or spacing');
+  }
+
+  const tokens = lines.slice(headEnd + 1).join(' ').trim().split(/\s+/).filter(token => token.length > 0);
+  if (tokens.length < rows * cols)
+  {
+    throw new Error(`ISG grid is truncated, expected ${rows} × ${cols} values, found ${tokens.length}`);
+  }
+
+  // ISG rows run north to south, flip them so both formats share one layout
+  const values = new Float32Array(rows * cols);
+  for (let row = 0; row < rows; row++)
+  {
+    for (let col = 0; col < cols; col++)
+    {
+      const value = Number(tokens[row * cols + col]);
+      values[(rows - 1 - row) * cols + col] = noData !== null && value === noData ? NaN : value;
+    }
+  }
+
+  return { south, west, latStep, lonStep, rows, cols, values };
+};
+
+export const GEOID_FORMATS = ['gtx', 'isg'];
+
+export const getGeoidFormat = (fileName) =>
+{
+  const extension = fileName.split('.').pop().toLowerCase();
+  return GEOID_FORMATS.includes(extension) ? extension : null;
+};
+
+export const parseGeoidGrid = (buffer, fileName) =>
+{
+  const format = getGeoidFormat(fileName);
+  if (format === 'gtx') return parseGtx(buffer);
+  if (format === 'isg') return parseIsg(new TextDecoder().decode(buffer));
+  throw new Error('Unsupported geoid file, expected .gtx or .isg');
+};
+
+// Covered area in degrees, with longitudes as stored in the file (GTX often uses 0..360)
+export const getGeoidExtent = (grid) => ({
+  south: grid.south,
+  north: grid.south + (grid.rows - 1) * grid.latStep,
+  west: grid.west,
+  east: grid.west + (grid.cols - 1) * grid.lonStep
+});
+
+// Bilinear interpolation of the geoid undulation (meters); null outside the grid or next to missing nodes
+export const interpolateGeoid = (grid, latitude, longitude) =>
+{
+  const rowPosition = (latitude - grid.south) / grid.latStep;
+
+  // Bring the longitude into the grid's own range, whichever convention the file uses
+  let lonOffset = (longitude - grid.west) % 360;
+  if (lonOffset < 0) lonOffset += 360;
+  const colPosition = lonOffset / grid.lonStep;
+  const wrapsGlobe = grid.cols * grid.lonStep >= 360 - 1e-9;
+
+  if (rowPosition < 0 || rowPosition > grid.rows - 1) return null;
+  if (!wrapsGlobe && colPosition > grid.cols - 1) return null;
+
+  const row = Math.min(Math.floor(rowPosition), grid.rows - 2);
+  const col = Math.floor(colPosition);
+  const nextCol = wrapsGlobe ? (col + 1) % grid.cols : Math.min(col + 1, grid.cols - 1);
+  const rowFraction = rowPosition - row;
+  const colFraction = colPosition - col;
+
+  const at = (r, c) => grid.values[r * grid.cols + c];
+  const southWest = at(row, col);
+  const southEast = at(row, nextCol);
+  const northWest = at(row + 1, col);
+  const northEast = at(row + 1, nextCol);
+
+  const value = southWest * (1 - rowFraction) * (1 - colFraction)
+    + southEast * (1 - rowFraction) * colFraction
+    + northWest * rowFraction * (1 - colFraction)
+    + northEast * rowFraction * colFraction;
+
+  return Number.isFinite(value) ? value : null;
+};
@@ -0,0 +1,318 @@
+// IMU sensor calibration fits. A calibration maps a raw reading to corrected = matrix × (raw − offset),
+// with the 3×3 matrix stored row-major, the same layout the device keeps (Backend ImuCalibration).
+//
+// Magnetometer: the readings of a unit turned through all orientations lie on an ellipsoid.
+// Its centre is the hard-iron offset, its shape the soft-iron distortion; the matrix maps the
+// ellipsoid back onto a sphere with the local field strength as radius.
+//
+// Accelerometer: six static positions, each axis pointing down and up once. The fit solves for
+// offset, scale and cross-axis terms so every position reads exactly ±1 g on its axis.
+
+export const MIN_MAGNETOMETER_SAMPLES = 30;
+// Direction cells (see magnetometerCoverage) that need samples before the ellipsoid is well constrained
+export const MAGNETOMETER_CELLS = 10;
+export const MIN_MAGNETOMETER_CELLS = 9;
+// Soft iron never squeezes the field this much; a flatter fit means the samples lie in a plane
+const MAX_AXIS_RATIO = 3;
+// Readings averaged per accelerometer position
+export const ACCELEROMETER_SAMPLES_PER_POSITION = 5;
+
+const STANDARD_GRAVITY = 9.80665;
+
+// Body axes as in utils/attitude: x forward, y right, z down, gravity read as + on the axis pointing down
+export const ACCELEROMETER_POSITIONS = [
+  { key: 'zDown', label: 'Level', description: 'Top up, as normally used', axis: 'z', sign: 1 },
+  { key: 'zUp', label: 'Upside down', description: 'Top facing the ground', axis: 'z', sign: -1 },
+  { key: 'xDown', label: 'Nose down', description: 'Front pointing at the ground', axis: 'x', sign: 1 },
+  { key: 'xUp', label: 'Nose up', description: 'Front pointing at the sky', axis: 'x', sign: -1 },
+  { key: 'yDown', label: 'Right side down', description: 'Resting on its right side', axis: 'y', sign: 1 },
+  { key: 'yUp', label: 'Left side down', description: 'Resting on its left side', axis: 'y', sign: -1 }
+];
+
+const AXES = ['x', 'y', 'z'];
+
+const toArray = (v) => [v.x, v.y, v.z];
+
+const length = (v) => Math.hypot(...v);
+
+export const identityCalibration = () => ({
+  offset: [0, 0, 0],
+  matrix: [1, 0, 0, 0, 1, 0, 0, 0, 1]
+});
+
+export const applyCalibration = (vector, calibration) =>
+{
+  if (!calibration || !vector || vector.x === null || vector.y === null || vector.z === null) return vector;
+
+  const { offset, matrix } = calibration;
+  const d = [vector.x - offset[0], vector.y - offset[1], vector.z - offset[2]];
+  return {
+    x: matrix[0] * d[0] + matrix[1] * d[1] + matrix[2] * d[2],
+    y: matrix[3] * d[0] + matrix[4] * d[1] + matrix[5] * d[2],
+    z: matrix[6] * d[0] + matrix[7] * d[1] + matrix[8] * d[2]
+  };
+};
+
+export const averageVector = (vectors) =>
+{
+  const sum = vectors.reduce((total, v) => ({ x: total.x + v.x, y: total.y + v.y, z: total.z + v.z }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / vectors.length, y: sum.y / vectors.length, z: sum.z / vectors.length };
+};
+
+// Gaussian elimination with partial pivoting; null when the system is (nearly) singular
+const solveLinearSystem = (matrix, rhs) =>
+{
+  const n = rhs.length;
+  const a = matrix.map((row, i) => [...row, rhs[i]]);
+  const scale = Math.max(...a.flat().map(Math.abs)) || 1;
+
+  for (let column = 0; column < n; column++)
+  {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++)
+    {
+      if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+    }
+    if (Math.abs(a[pivot][column]) < 1e-12 * scale) return null;
+    [a[column], a[pivot]] = [a[pivot], a[column]];
+
+    for (let row = column + 1; row < n; row++)
+    {
+      const factor = a[row][column] / a[column][column];
+      for (let k = column; k <= n; k++)
+      {
+        a[row][k] -= factor * a[column][k];
+      }
+    }
+  }
+
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--)
+  {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++)
+    {
+      sum -= a[row][k] * solution[k];
+    }
+    solution[row] = sum / a[row][row];
+  }
+  return solution;
+};
+
+// Least-squares solution of rows · x ≈ targets via the normal equations
+const leastSquares = (rows, targets) =>
+{
+  const n = rows[0].length;
+  const normal = Array.from({ length: n }, () => new Array(n).fill(0));
+  const rhs = new Array(n).fill(0);
+
+  rows.forEach((row, index) =>
+  {
+    for (let i = 0; i < n; i++)
+    {
+      rhs[i] += row[i] * targets[index];
+      for (let j = 0; j < n; j++)
+      {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  return solveLinearSystem(normal, rhs);
+};
+
+// Eigen decomposition of a symmetric 3×3 matrix (Jacobi rotations): values and column eigenvectors
+const symmetricEigen = (input) =>
+{
+  const a = input.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++)
+  {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-15) break;
+
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]])
+    {
+      if (Math.abs(a[p][q]) < 1e-300) continue;
+
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+
+      for (let k = 0; k < 3; k++)
+      {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++)
+      {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++)
+      {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+
+  return { values: [a[0][0], a[1][1], a[2][2]], vectors: v };
+};
+
+const invert3 = (m) =>
+{
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  if (Math.abs(det) < 1e-300) return null;
+
+  return [
+    (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+    (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+    (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det
+  ];
+};
+
+// Number of direction cells (seen from the sample mean) holding at least two samples: a cap
+// pointing up, one pointing down and eight sectors around the middle. A unit only turned flat
+// on a table fills the middle sectors but neither cap.
+export const magnetometerCoverage = (samples) =>
+{
+  if (samples.length === 0) return 0;
+
+  const mean = averageVector(samples);
+  const counts = new Array(MAGNETOMETER_CELLS).fill(0);
+  samples.forEach(sample =>
+  {
+    const d = [sample.x - mean.x, sample.y - mean.y, sample.z - mean.z];
+    const elevation = d[2] / (length(d) || 1);
+    if (elevation > 0.5)
+    {
+      counts[8]++;
+    }
+    else if (elevation < -0.5)
+    {
+      counts[9]++;
+    }
+    else
+    {
+      const azimuth = Math.atan2(d[1], d[0]) + Math.PI;
+      counts[Math.min(7, Math.floor(azimuth / (Math.PI / 4)))]++;
+    }
+  });
+  return counts.filter(count => count >= 2).length;
+};
+
+// Ellipsoid fit of raw magnetometer samples ({x, y, z}). Returns the calibration with the fitted
+// field strength (raw units) and the RMS deviation of the corrected magnitudes relative to it,
+// or null when the samples don't pin down an ellipsoid.
+export const fitMagnetometer = (samples) =>
+{
+  if (samples.length < MIN_MAGNETOMETER_SAMPLES) return null;
+
+  // Work on centred, unit-scale data to keep the normal equations well conditioned
+  const mean = averageVector(samples);
+  const spread = samples.reduce((sum, s) => sum + Math.hypot(s.x - mean.x, s.y - mean.y, s.z - mean.z), 0) / samples.length;
+  if (!(spread > 0)) return null;
+
+  const points = samples.map(s => [(s.x - mean.x) / spread, (s.y - mean.y) / spread, (s.z - mean.z) / spread]);
+
+  // x'Ax + 2d'x = 1 with A = [[a h g] [h b f] [g f c]], d = [p q r]
+  const coefficients = leastSquares(
+    points.map(([x, y, z]) => [x * x, y * y, z * z, 2 * y * z, 2 * x * z, 2 * x * y, 2 * x, 2 * y, 2 * z]),
+    points.map(() => 1));
+  if (!coefficients) return null;
+
+  const [a, b, c, f, g, h, p, q, r] = coefficients;
+  const quadric = [a, h, g, h, b, f, g, f, c];
+  const inverse = invert3(quadric);
+  if (!inverse) return null;
+
+  const centre = [
+    -(inverse[0] * p + inverse[1] * q + inverse[2] * r),
+    -(inverse[3] * p + inverse[4] * q + inverse[5] * r),
+    -(inverse[6] * p + inverse[7] * q + inverse[8] * r)
+  ];
+  const k = 1 +
+    centre[0] * (a * centre[0] + h * centre[1] + g * centre[2]) +
+    centre[1] * (h * centre[0] + b * centre[1] + f * centre[2]) +
+    centre[2] * (g * centre[0] + f * centre[1] + c * centre[2]);
+  if (!(k > 0)) return null;
+
+  // (x − centre)' (A / k) (x − centre) = 1; every eigenvalue must be positive for an ellipsoid
+  const shape = [[a / k, h / k, g / k], [h / k, b / k, f / k], [g / k, f / k, c / k]];
+  const { values, vectors } = symmetricEigen(shape);
+  if (values.some(value => !(value > 0))) return null;
+  if (Math.sqrt(Math.max(...values) / Math.min(...values)) > MAX_AXIS_RATIO) return null;
+
+  // Matrix square root of the shape, scaled so the corrected sphere keeps the geometric-mean radius
+  const radiusScale = Math.pow(values[0] * values[1] * values[2], -1 / 6);
+  const roots = values.map(Math.sqrt);
+  const matrix = [];
+  for (let row = 0; row < 3; row++)
+  {
+    for (let column = 0; column < 3; column++)
+    {
+      matrix.push(radiusScale * roots.reduce((sum, root, i) => sum + vectors[row][i] * root * vectors[column][i], 0));
+    }
+  }
+
+  const calibration = {
+    offset: centre.map((value, i) => toArray(mean)[i] + spread * value),
+    matrix
+  };
+  const fieldStrength = spread * radiusScale;
+
+  const deviations = samples.map(sample => length(toArray(applyCalibration(sample, calibration))) / fieldStrength - 1);
+  const residual = Math.sqrt(deviations.reduce((sum, d) => sum + d * d, 0) / deviations.length);
+
+  return { ...calibration, fieldStrength, residual, sampleCount: samples.length };
+};
+
+// Six-position accelerometer fit. captures maps a position key to the averaged raw reading.
+// Gravity is taken as 1 when the readings are in g, otherwise as standard gravity in m/s².
+export const fitAccelerometer = (captures) =>
+{
+  const positions = ACCELEROMETER_POSITIONS.filter(position => captures[position.key]);
+  if (positions.length < ACCELEROMETER_POSITIONS.length) return null;
+
+  const meanMagnitude = positions.reduce((sum, position) => sum + length(toArray(captures[position.key])), 0) / positions.length;
+  const gravity = meanMagnitude > 4 ? STANDARD_GRAVITY : 1;
+
+  const expected = positions.map(position => AXES.map(axis => axis === position.axis ? position.sign * gravity : 0));
+  const rows = positions.map(position => [...toArray(captures[position.key]), 1]);
+
+  // expected = M × raw + b, solved one output axis at a time
+  const matrix = [];
+  const bias = [];
+  for (let axis = 0; axis < 3; axis++)
+  {
+    const solution = leastSquares(rows, expected.map(target => target[axis]));
+    if (!solution) return null;
+    matrix.push(solution[0], solution[1], solution[2]);
+    bias.push(solution[3]);
+  }
+
+  // b = −M × offset
+  const inverse = invert3(matrix);
+  if (!inverse) return null;
+  const offset = [0, 1, 2].map(row => -(inverse[row * 3] * bias[0] + inverse[row * 3 + 1] * bias[1] + inverse[row * 3 + 2] * bias[2]));
+
+  const calibration = { offset, matrix };
+  const errors = positions.map((position, index) =>
+  {
+    const corrected = toArray(applyCalibration(captures[position.key], calibration));
+    return length(corrected.map((value, i) => value - expected[index][i])) / gravity;
+  });
+  const residual = Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+
+  return { ...calibration, gravity, residual, sampleCount: positions.length * ACCELEROMETER_SAMPLES_PER_POSITION };
+};
@@ -0,0 +1,239 @@
+// Loosely coupled GNSS/IMU position filter in a local east-north-up frame.
+//
+// Each axis is its own Kalman filter over position, velocity and accelerometer bias. The
+// accelerometer, rotated into the local frame with the filtered attitude and with gravity
+// removed, drives the prediction; GNSS fixes correct it with their reported accuracy. Between
+// fixes, and through short outages, the position is carried forward on velocity and acceleration.
+// Without usable IMU data the same filter runs as a constant-velocity smoother.
+//
+// Treating the axes separately ignores how the bias moves between them as the unit turns, which
+// is what keeps this small enough for the browser; the bias state still soaks up the slowly
+// varying part of gravity leaking through attitude errors.
+
+const STANDARD_GRAVITY = 9.80665;
+
+// Acceleration noise (m/s²) assumed with and without an accelerometer input
+const IMU_ACCELERATION_NOISE = 0.5;
+const FREE_ACCELERATION_NOISE = 1.5;
+// Bias random walk (m/s² per √s)
+const BIAS_NOISE = 0.02;
+// Initial uncertainty of velocity (m/s) and bias (m/s²) when the filter starts from a fix
+const INITIAL_VELOCITY_SIGMA = 2;
+const INITIAL_BIAS_SIGMA = 0.2;
+// An accelerometer input older than this (s) is no longer applied
+const MAX_INPUT_AGE = 2.5;
+// Fixes are taken as no better than this (m), receivers can be optimistic
+const MIN_FIX_SIGMA = 0.005;
+// Normalized innovation above which a fix is an outlier (chi-square, 3 dof, 99.9 %)
+const OUTLIER_THRESHOLD = 16.3;
+// Consecutive outliers after which the filter believes the fixes and starts over
+const MAX_OUTLIERS = 3;
+// How long (s) the position is carried forward without a fix before it is dropped
+const MAX_COAST_SECONDS = 10;
+
+const AXES = ['east', 'north', 'up'];
+
+// Accelerometer reading (body frame, gravity read as + on the axis pointing down) to the
+// acceleration of the unit in east/north/up, using the body-to-NED attitude quaternion.
+// Readings in g are recognised by their magnitude and scaled to m/s².
+export const accelerationInNavigationFrame = (reading, quaternion) =>
+{
+  if (!reading || reading.x === null || reading.y === null || reading.z === null || !quaternion) return null;
+
+  const magnitude = Math.hypot(reading.x, reading.y, reading.z);
+  const scale = magnitude > 4 ? 1 : STANDARD_GRAVITY;
+  const { w, x, y, z } = quaternion;
+
+  // Rows of the body-to-NED rotation matrix
+  const m = [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+  ];
+  const body = [reading.x * scale, reading.y * scale, reading.z * scale];
+  const ned = m.map(row => row[0] * body[0] + row[1] * body[1] + row[2] * body[2]);
+
+  // The reading is gravity minus the unit's own acceleration
+  return {
+    east: -ned[1],
+    north: -ned[0],
+    up: ned[2] - STANDARD_GRAVITY
+  };
+};
+
+const createAxis = (position, variance) => ({
+  state: [position, 0, 0],
+  covariance: [
+    [variance, 0, 0],
+    [0, INITIAL_VELOCITY_SIGMA ** 2, 0],
+    [0, 0, INITIAL_BIAS_SIGMA ** 2]
+  ]
+});
+
+const multiply = (a, b) => a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+
+const transpose = (a) => [0, 1, 2].map(i => [a[0][i], a[1][i], a[2][i]]);
+
+// Advance one axis by dt seconds with the measured acceleration (null: none available)
+const predictAxis = (axis, acceleration, dt) =>
+{
+  const withInput = acceleration !== null;
+  const halfDt2 = dt * dt / 2;
+  // The bias only couples in while there is a measured acceleration to correct
+  const transition = [
+    [1, dt, withInput ? -halfDt2 : 0],
+    [0, 1, withInput ? -dt : 0],
+    [0, 0, 1]
+  ];
+
+  const [position, velocity, bias] = axis.state;
+  const input = withInput ? acceleration - bias : 0;
+  axis.state = [position + velocity * dt + input * halfDt2, velocity + input * dt, bias];
+
+  const q = (withInput ? IMU_ACCELERATION_NOISE : FREE_ACCELERATION_NOISE) ** 2;
+  const noise = [
+    [q * dt ** 4 / 4, q * dt ** 3 / 2, 0],
+    [q * dt ** 3 / 2, q * dt * dt, 0],
+    [0, 0, withInput ? BIAS_NOISE ** 2 * dt : 0]
+  ];
+  const propagated = multiply(multiply(transition, axis.covariance), transpose(transition));
+  axis.covariance = propagated.map((row, i) => row.map((value, j) => value + noise[i][j]));
+};
+
+// Innovation of a position measurement and its variance, without applying it
+const innovationOf = (axis, measured, variance) => ({
+  residual: measured - axis.state[0],
+  variance: axis.covariance[0][0] + variance
+});
+
+const correctAxis = (axis, { residual, variance }) =>
+{
+  const gain = axis.covariance.map(row => row[0] / variance);
+  axis.state = axis.state.map((value, i) => value + gain[i] * residual);
+  const firstRow = axis.covariance[0];
+  axis.covariance = axis.covariance.map((row, i) => row.map((value, j) => value - gain[i] * firstRow[j]));
+};
+
+// Per-axis variances of a fix; hAcc covers both horizontal axes together
+const fixVariances = (fix) => ({
+  horizontal: Math.max(MIN_FIX_SIGMA, fix.hAcc / Math.SQRT2) ** 2,
+  vertical: Math.max(MIN_FIX_SIGMA, fix.vAcc) ** 2
+});
+
+export function createPositionFilter({ maxCoastSeconds = MAX_COAST_SECONDS } = {})
+{
+  let axes = null;
+  // Time (s) the state refers to, and of the last accepted fix
+  let stateTime = null;
+  let lastFixTime = null;
+  // Latest accelerometer input in east/north/up and when it was measured
+  let input = null;
+  let outliers = 0;
+
+  const reset = () =>
+  {
+    axes = null;
+    stateTime = null;
+    lastFixTime = null;
+    input = null;
+    outliers = 0;
+  };
+
+  const currentInput = (time) => input && time - input.time <= MAX_INPUT_AGE ? input.acceleration : null;
+
+  const advance = (time) =>
+  {
+    const dt = time - stateTime;
+    if (dt <= 0) return;
+
+    const acceleration = currentInput(stateTime);
+    AXES.forEach(name => predictAxis(axes[name], acceleration ? acceleration[name] : null, dt));
+    stateTime = time;
+  };
+
+  const start = (fix, time) =>
+  {
+    const { horizontal, vertical } = fixVariances(fix);
+    axes = {
+      east: createAxis(fix.east, horizontal),
+      north: createAxis(fix.north, horizontal),
+      up: createAxis(fix.up, vertical)
+    };
+    stateTime = time;
+    lastFixTime = time;
+    outliers = 0;
+  };
+
+  // Feed a GNSS fix: east/north/up offsets (m) with hAcc/vAcc accuracies (m). Returns false when
+  // the fix disagreed too much with the prediction and was left out.
+  const updateFix = (fix, time) =>
+  {
+    if (!axes || time - lastFixTime > maxCoastSeconds)
+    {
+      start(fix, time);
+      return true;
+    }
+
+    advance(time);
+
+    const { horizontal, vertical } = fixVariances(fix);
+    const innovations = {
+      east: innovationOf(axes.east, fix.east, horizontal),
+      north: innovationOf(axes.north, fix.north, horizontal),
+      up: innovationOf(axes.up, fix.up, vertical)
+    };
+    const normalized = AXES.reduce((sum, name) => sum + innovations[name].residual ** 2 / innovations[name].variance, 0);
+
+    if (normalized > OUTLIER_THRESHOLD)
+    {
+      outliers++;
+      if (outliers >= MAX_OUTLIERS)
+      {
+        start(fix, time);
+        return true;
+      }
+      return false;
+    }
+
+    AXES.forEach(name => correctAxis(axes[name], innovations[name]));
+    lastFixTime = time;
+    outliers = 0;
+    return true;
+  };
+
+  // Feed the unit's acceleration in east/north/up (m/s²), or null when the IMU can't provide it
+  const updateAcceleration = (acceleration, time) =>
+  {
+    if (axes && time > stateTime)
+    {
+      advance(time);
+    }
+    input = acceleration ? { acceleration, time } : null;
+  };
+
+  // Position and velocity extrapolated to time without changing the filter, null before the
+  // first fix and once the last one is older than maxCoastSeconds
+  const estimate = (time) =>
+  {
+    if (!axes || time - lastFixTime > maxCoastSeconds) return null;
+
+    const dt = Math.max(0, time - stateTime);
+    const acceleration = currentInput(stateTime);
+    const result = { velocity: {}, sigma: {} };
+
+    AXES.forEach(name =>
+    {
+      const [position, velocity, bias] = axes[name].state;
+      const a = acceleration ? acceleration[name] - bias : 0;
+      result[name] = position + velocity * dt + a * dt * dt / 2;
+      result.velocity[name] = velocity + a * dt;
+      result.sigma[name] = Math.sqrt(axes[name].covariance[0][0] + axes[name].covariance[1][1] * dt * dt);
+    });
+
+    result.usingImu = acceleration !== null;
+    result.fixAge = time - lastFixTime;
+    return result;
+  };
+
+  return { updateFix, updateAcceleration, estimate, reset };
+}
@@ -0,0 +1,132 @@
+// Repeatability statistics for a static occupation. Input points are local offsets in meters,
+// { east, north, up, time } with time in ms; up may be null when no height is known.
+
+// sqrt of the chi-square quantile with 2 degrees of freedom: scales 1-sigma to a 95% ellipse
+export const ELLIPSE_SCALE_95 = Math.sqrt(5.991);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample standard deviation, zero for a single value
+const standardDeviation = (values, average) =>
+{
+  if (values.length < 2) return 0;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Empirical percentile with linear interpolation between ranks
+const percentile = (sorted, fraction) =>
+{
+  if (sorted.length === 0) return null;
+  const rank = fraction * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// Least-squares slope in meters per hour
+const driftRate = (times, values) =>
+{
+  const timeMean = mean(times);
+  const valueMean = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+  times.forEach((time, index) =>
+  {
+    numerator += (time - timeMean) * (values[index] - valueMean);
+    denominator += (time - timeMean) ** 2;
+  });
+  return denominator > 0 ? numerator / denominator * 3600 * 1000 : null;
+};
+
+// 1-sigma error ellipse of the horizontal covariance; orientation of the major axis in degrees
+// clockwise from north
+const errorEllipse = (east, north, meanEast, meanNorth) =>
+{
+  const count = east.length - 1;
+  let varEast = 0;
+  let varNorth = 0;
+  let covariance = 0;
+  east.forEach((value, index) =>
+  {
+    const de = value - meanEast;
+    const dn = north[index] - meanNorth;
+    varEast += de * de / count;
+    varNorth += dn * dn / count;
+    covariance += de * dn / count;
+  });
+
+  const average = (varEast + varNorth) / 2;
+  const spread = Math.sqrt(((varEast - varNorth) / 2) ** 2 + covariance ** 2);
+  const angleFromEast = 0.5 * Math.atan2(2 * covariance, varEast - varNorth);
+
+  return {
+    semiMajor: Math.sqrt(average + spread),
+    semiMinor: Math.sqrt(Math.max(0, average - spread)),
+    orientation: ((90 - angleFromEast * 180 / Math.PI) % 180 + 180) % 180
+  };
+};
+
+// Returns null for fewer than two points
+export const computePrecisionStats = (points) =>
+{
+  if (points.length < 2) return null;
+
+  const east = points.map(point => point.east);
+  const north = points.map(point => point.north);
+  const withHeight = points.filter(point => point.up !== null && point.up !== undefined);
+  const up = withHeight.map(point => point.up);
+  const times = points.map(point => point.time);
+
+  const meanEast = mean(east);
+  const meanNorth = mean(north);
+  const meanUp = up.length > 0 ? mean(up) : null;
+  const stdEast = standardDeviation(east, meanEast);
+  const stdNorth = standardDeviation(north, meanNorth);
+  const stdUp = up.length > 1 ? standardDeviation(up, meanUp) : null;
+
+  const radial = points
+    .map(point => Math.hypot(point.east - meanEast, point.north - meanNorth))
+    .sort((a, b) => a - b);
+  const drms = Math.sqrt(stdEast ** 2 + stdNorth ** 2);
+
+  const driftEast = driftRate(times, east);
+  const driftNorth = driftRate(times, north);
+
+  return {
+    count: points.length,
+    durationMs: times[times.length - 1] - times[0],
+    mean: { east: meanEast, north: meanNorth, up: meanUp },
+    std: { east: stdEast, north: stdNorth, up: stdUp },
+    cep50: percentile(radial, 0.5),
+    cep95: percentile(radial, 0.95),
+    drms,
+    twoDrms: 2 * drms,
+    drift: {
+      east: driftEast,
+      north: driftNorth,
+      up: up.length > 1 ? driftRate(withHeight.map(point => point.time), up) : null,
+      horizontal: driftEast !== null && driftNorth !== null ? Math.hypot(driftEast, driftNorth) : null
+    },
+    ellipse: errorEllipse(east, north, meanEast, meanNorth)
+  };
+};
+
+// Outline of an ellipse around its center as [{ east, north }], closed for drawing as a line
+export const getEllipseOutline = (center, ellipse, scale = ELLIPSE_SCALE_95, steps = 72) =>
+{
+  const orientation = ellipse.orientation * Math.PI / 180;
+  const major = ellipse.semiMajor * scale;
+  const minor = ellipse.semiMinor * scale;
+
+  return Array.from({ length: steps + 1 }, (_, step) =>
+  {
+    const t = 2 * Math.PI * step / steps;
+    const along = major * Math.cos(t);
+    const across = minor * Math.sin(t);
+    // Major axis direction (sin, cos) from north, minor axis perpendicular to it
+    return {
+      east: center.east + along * Math.sin(orientation) + across * Math.cos(orientation),
+      north: center.north + along * Math.cos(orientation) - across * Math.sin(orientation)
+    };
+  });
+};
@@ -0,0 +1,169 @@
+import { decodeGnssLog } from './ubxDecoder';
+
+// File names written by the backend DataFileWriter instances into each session folder
+export const SESSION_FILES = {
+  gnss: 'GNSS.raw',
+  imu: 'IMU.txt',
+  battery: 'Battery.txt'
+};
+
+const WEEK_MS = 604800000;
+
+const splitCsvLines = (text) =>
+{
+  return text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+};
+
+// IMU.txt: system_uptime_ms,timestamp,accel_x,accel_y,accel_z,gyro_x,gyro_y,gyro_z,mag_x,mag_y,mag_z
+export const parseImuLog = (text) =>
+{
+  const samples = [];
+
+  splitCsvLines(text).forEach(line =>
+  {
+    const fields = line.split(',');
+    // Header is re-written every time the backend restarts, so skip it wherever it appears
+    if (fields.length < 11 || fields[0] === 'system_uptime_ms') return;
+
+    const values = fields.map(Number);
+    if (values.some(Number.isNaN)) return;
+
+    samples.push({
+      uptimeMs: values[0],
+      data: {
+        timestamp: values[1],
+        acceleration: { x: values[2], y: values[3], z: values[4] },
+        gyroscope: { x: values[5], y: values[6], z: values[7] },
+        magnetometer: { x: values[8], y: values[9], z: values[10] },
+        kbps: null
+      }
+    });
+  });
+
+  return samples;
+};
+
+// Battery.txt: timestamp,battery_level,voltage,external_power_connected,camera_connected,usb_drive_connected
+export const parseBatteryLog = (text) =>
+{
+  const samples = [];
+
+  splitCsvLines(text).forEach(line =>
+  {
+    const fields = line.split(',');
+    if (fields.length < 4 || fields[0] === 'timestamp') return;
+
+    const utcMs = Date.parse(fields[0]);
+    if (Number.isNaN(utcMs)) return;
+
+    samples.push({
+      utcMs,
+      data: {
+        cpuUsage: null,
+        memoryUsage: null,
+        temperature: null,
+        batteryLevel: parseFloat(fields[1]),
+        batteryVoltage: parseFloat(fields[2]),
+        isExternalPowerConnected: fields[3].toLowerCase() === 'true',
+        hostname: null
+      }
+    });
+  });
+
+  return samples;
+};
+
+// Merge the decoded logs into one time-ordered list of hub events.
+// GNSS epochs define the clock (iTow, unwrapped across week rollovers). Battery samples carry UTC
+// and are aligned through the first PVT with valid time. IMU.txt only has system uptime, so the
+// first IMU sample is aligned with the start of the session.
+export const buildTimeline = ({ gnssEvents = [], imuSamples = [], batterySamples = [] }) =>
+{
+  const events = [];
+  let utcAtZero = null;
+
+  if (gnssEvents.length > 0)
+  {
+    const firstITow = gnssEvents[0].iTow;
+    let lastITow = firstITow;
+    let weekOffset = 0;
+
+    gnssEvents.forEach(event =>
+    {
+      if (event.iTow < lastITow - WEEK_MS / 2) weekOffset += WEEK_MS;
+      lastITow = event.iTow;
+
+      const t = event.iTow + weekOffset - firstITow;
+      events.push({ t, name: event.name, data: event.data });
+
+      if (utcAtZero === null && event.name === 'PvtUpdate' && event.data.gnssTimestamp > 0)
+      {
+        utcAtZero = event.data.gnssTimestamp + (event.iTow % 1000) - t;
+      }
+    });
+  }
+
+  if (imuSamples.length > 0)
+  {
+    const firstUptime = imuSamples[0].uptimeMs;
+    imuSamples.forEach(sample =>
+    {
+      events.push({ t: sample.uptimeMs - firstUptime, name: 'ImuUpdate', data: sample.data });
+    });
+  }
+
+  if (batterySamples.length > 0)
+  {
+    const origin = utcAtZero ?? batterySamples[0].utcMs;
+    batterySamples.forEach(sample =>
+    {
+      const t = sample.utcMs - origin;
+      if (t >= 0)
+      {
+        events.push({ t, name: 'SystemHealthUpdate', data: sample.data });
+      }
+    });
+  }
+
+  // Array.prototype.sort is stable, so events sharing an epoch keep their log order
+  events.sort((a, b) => a.t - b.t);
+
+  return {
+    events,
+    duration: events.length > 0 ? events[events.length - 1].t : 0,
+    utcAtZero
+  };
+};
+
+// Read the files of a session folder (as picked through <input type="file" webkitdirectory>)
+export const loadSessionFiles = async (fileList) =>
+{
+  const files = Array.from(fileList);
+  const findFile = (name) => files.find(file => file.name.toLowerCase() === name.toLowerCase());
+
+  const gnssFile = findFile(SESSION_FILES.gnss);
+  const imuFile = findFile(SESSION_FILES.imu);
+  const batteryFile = findFile(SESSION_FILES.battery);
+
+  if (!gnssFile && !imuFile && !batteryFile)
+  {
+    throw new Error(`No session files found (expected ${Object.values(SESSION_FILES).join(', ')})`);
+  }
+
+  const gnssEvents = gnssFile ? decodeGnssLog(await gnssFile.arrayBuffer()) : [];
+  const imuSamples = imuFile ? parseImuLog(await imuFile.text()) : [];
+  const batterySamples = batteryFile ? parseBatteryLog(await batteryFile.text()) : [];
+
+  // Session folder name comes from the relative path when a directory was picked
+  const relativePath = files[0].webkitRelativePath || '';
+  const sessionName = relativePath.includes('/') ? relativePath.split('/')[0] : null;
+
+  return {
+    sessionName,
+    hasGnss: gnssEvents.length > 0,
+    hasImu: imuSamples.length > 0,
+    hasSurveyIn: gnssEvents.some(event => event.name === 'SurveyInStatus'),
+    hasRelativePosition: gnssEvents.some(event => event.name === 'RelativePositionUpdate' && event.data.relPosValid),
+    ...buildTimeline({ gnssEvents, imuSamples, batterySamples })
+  };
+};
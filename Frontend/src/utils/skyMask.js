@@ -0,0 +1,163 @@
+// Site map of signal quality over the sky. Observations are binned into azimuth/elevation cells
+// and each cell keeps a C/N0 histogram, so medians and "how often below the expected level" can
+// be evaluated later against an expected curve learned from the whole sky.
+
+export const AZIMUTH_BIN_DEG = 10;
+export const ELEVATION_BIN_DEG = 10;
+export const AZIMUTH_BINS = 360 / AZIMUTH_BIN_DEG;
+export const ELEVATION_BINS = 90 / ELEVATION_BIN_DEG;
+
+// C/N0 histogram bins of 1 dB-Hz, NAV-SAT reports 0..255 but real values stay well below 64
+const CN0_BINS = 64;
+
+// Expected level is the 80th percentile of its elevation band: most of the sky is usually clear,
+// so a high percentile tracks the unobstructed signal while ignoring blocked directions
+const EXPECTED_PERCENTILE = 0.8;
+const MIN_BAND_SAMPLES = 50;
+
+// Typical patch antenna C/N0 over elevation, used until a band has enough samples of its own
+const nominalCn0 = (elevation) => 30 + 18 * Math.sin(elevation * Math.PI / 180);
+
+export const createSkyMap = () => ({
+  histograms: Array.from({ length: AZIMUTH_BINS * ELEVATION_BINS }, () => new Uint32Array(CN0_BINS)),
+  totalSamples: 0
+});
+
+export const getCellIndex = (azimuth, elevation) =>
+{
+  const azimuthBin = Math.floor((((azimuth % 360) + 360) % 360) / AZIMUTH_BIN_DEG);
+  const elevationBin = Math.min(ELEVATION_BINS - 1, Math.floor(elevation / ELEVATION_BIN_DEG));
+  return elevationBin * AZIMUTH_BINS + azimuthBin;
+};
+
+// Satellites below the horizon or without a signal carry no information about the site
+export const addObservation = (skyMap, azimuth, elevation, cn0) =>
+{
+  if (elevation === null || azimuth === null || !(cn0 > 0) || elevation < 0) return false;
+
+  const bin = Math.min(CN0_BINS - 1, Math.round(cn0));
+  skyMap.histograms[getCellIndex(azimuth, elevation)][bin]++;
+  skyMap.totalSamples++;
+  return true;
+};
+
+const histogramCount = (histogram) => histogram.reduce((sum, count) => sum + count, 0);
+
+const histogramPercentile = (histogram, fraction) =>
+{
+  const total = histogramCount(histogram);
+  if (total === 0) return null;
+
+  const target = fraction * total;
+  let cumulative = 0;
+  for (let bin = 0; bin < histogram.length; bin++)
+  {
+    cumulative += histogram[bin];
+    if (cumulative >= target) return bin;
+  }
+  return histogram.length - 1;
+};
+
+const countBelow = (histogram, threshold) =>
+{
+  let count = 0;
+  for (let bin = 0; bin < histogram.length && bin < threshold; bin++)
+  {
+    count += histogram[bin];
+  }
+  return count;
+};
+
+// Expected C/N0 per elevation band: [{ elevation (band center), expected, samples, learned }]
+export const getExpectedCurve = (skyMap) =>
+  Array.from({ length: ELEVATION_BINS }, (_, band) =>
+  {
+    const combined = new Uint32Array(CN0_BINS);
+    for (let azimuthBin = 0; azimuthBin < AZIMUTH_BINS; azimuthBin++)
+    {
+      skyMap.histograms[band * AZIMUTH_BINS + azimuthBin].forEach((count, bin) => combined[bin] += count);
+    }
+
+    const samples = histogramCount(combined);
+    const center = (band + 0.5) * ELEVATION_BIN_DEG;
+    const learned = samples >= MIN_BAND_SAMPLES;
+    return {
+      elevation: center,
+      expected: learned ? histogramPercentile(combined, EXPECTED_PERCENTILE) : nominalCn0(center),
+      samples,
+      learned
+    };
+  });
+
+// Per-cell statistics. A cell is flagged when it has at least minSamples and at least
+// minFraction of them are deficitDb or more below the expected level of its band.
+export const getCellStats = (skyMap, { deficitDb = 6, minSamples = 20, minFraction = 0.6 } = {}) =>
+{
+  const curve = getExpectedCurve(skyMap);
+
+  return skyMap.histograms.map((histogram, index) =>
+  {
+    const azimuthBin = index % AZIMUTH_BINS;
+    const elevationBin = Math.floor(index / AZIMUTH_BINS);
+    const samples = histogramCount(histogram);
+    const expected = curve[elevationBin].expected;
+    const median = histogramPercentile(histogram, 0.5);
+    const belowFraction = samples > 0 ? countBelow(histogram, expected - deficitDb) / samples : null;
+
+    return {
+      index,
+      azimuthFrom: azimuthBin * AZIMUTH_BIN_DEG,
+      azimuthTo: (azimuthBin + 1) * AZIMUTH_BIN_DEG,
+      elevationFrom: elevationBin * ELEVATION_BIN_DEG,
+      elevationTo: (elevationBin + 1) * ELEVATION_BIN_DEG,
+      samples,
+      median,
+      expected,
+      deficit: median !== null ? expected - median : null,
+      belowFraction,
+      flagged: samples >= minSamples && belowFraction >= minFraction
+    };
+  });
+};
+
+// Merge flagged cells into azimuth ranges per elevation band, e.g. for "60°–110° below 30°"
+export const getObstructedSectors = (cells) =>
+{
+  const byAzimuth = new Map();
+  cells.filter(cell => cell.flagged).forEach(cell =>
+  {
+    const top = byAzimuth.get(cell.azimuthFrom) ?? 0;
+    byAzimuth.set(cell.azimuthFrom, Math.max(top, cell.elevationTo));
+  });
+
+  const sectors = [];
+  for (let azimuth = 0; azimuth < 360; azimuth += AZIMUTH_BIN_DEG)
+  {
+    const top = byAzimuth.get(azimuth);
+    if (top === undefined) continue;
+
+    const last = sectors[sectors.length - 1];
+    if (last && last.azimuthTo === azimuth)
+    {
+      last.azimuthTo = azimuth + AZIMUTH_BIN_DEG;
+      last.maxElevation = Math.max(last.maxElevation, top);
+    }
+    else
+    {
+      sectors.push({ azimuthFrom: azimuth, azimuthTo: azimuth + AZIMUTH_BIN_DEG, maxElevation: top });
+    }
+  }
+
+  // A sector running through north is one obstruction, not two
+  if (sectors.length > 1 && sectors[0].azimuthFrom === 0 && sectors[sectors.length - 1].azimuthTo === 360)
+  {
+    const wrapped = sectors.pop();
+    sectors[0] = {
+      azimuthFrom: wrapped.azimuthFrom,
+      azimuthTo: sectors[0].azimuthTo,
+      maxElevation: Math.max(wrapped.maxElevation, sectors[0].maxElevation)
+    };
+  }
+
+  return sectors;
+};
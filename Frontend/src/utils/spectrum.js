@@ -0,0 +1,121 @@
+// Statistics and amplitude spectrum of an evenly sampled IMU signal, for judging how much a
+// mounting shakes the sensor and at which frequencies.
+
+// Longest window transformed; a few minutes at 50 Hz
+const MAX_FFT_LENGTH = 8192;
+
+// Min, max, mean and RMS about the mean (the vibration level without the static part, e.g. gravity)
+export const signalStatistics = (values) =>
+{
+  if (values.length === 0) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  values.forEach(value =>
+  {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+  });
+
+  const mean = sum / values.length;
+  const rms = Math.sqrt(values.reduce((total, value) => total + (value - mean) ** 2, 0) / values.length);
+
+  return { min, max, mean, rms };
+};
+
+// In-place iterative radix-2 FFT; the length must be a power of two
+const fft = (re, im) =>
+{
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++)
+  {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1)
+    {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j)
+    {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1)
+  {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size)
+    {
+      for (let k = 0; k < size / 2; k++)
+      {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+// One-sided amplitude spectrum of the latest samples, as [{ frequency (Hz), amplitude }] from DC
+// to Nyquist. The mean is removed and a Hann window applied; amplitudes are scaled so a sinusoid
+// reads its own peak amplitude. Uses the largest power of two that fits, null below 16 samples.
+export const amplitudeSpectrum = (values, sampleRateHz) =>
+{
+  if (values.length < 16 || !(sampleRateHz > 0)) return null;
+
+  const n = Math.min(MAX_FFT_LENGTH, 2 ** Math.floor(Math.log2(values.length)));
+  const window = values.slice(values.length - n);
+  const mean = window.reduce((sum, value) => sum + value, 0) / n;
+
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  let windowSum = 0;
+  window.forEach((value, index) =>
+  {
+    const hann = 0.5 - 0.5 * Math.cos(2 * Math.PI * index / (n - 1));
+    re[index] = (value - mean) * hann;
+    windowSum += hann;
+  });
+
+  fft(re, im);
+
+  return Array.from({ length: n / 2 + 1 }, (_, bin) =>
+  {
+    // Bins other than DC and Nyquist also carry the mirrored negative frequency
+    const scale = bin === 0 || bin === n / 2 ? 1 : 2;
+    return {
+      frequency: bin * sampleRateHz / n,
+      amplitude: scale * Math.hypot(re[bin], im[bin]) / windowSum
+    };
+  });
+};
+
+// Strongest local maxima of a spectrum, highest first, ignoring the lowest bins where
+// sway and drift leak in
+export const spectrumPeaks = (spectrum, count = 3, minFrequency = 0.5) =>
+{
+  if (!spectrum) return [];
+
+  const peaks = [];
+  for (let i = 1; i < spectrum.length - 1; i++)
+  {
+    const { frequency, amplitude } = spectrum[i];
+    if (frequency >= minFrequency && amplitude > spectrum[i - 1].amplitude && amplitude >= spectrum[i + 1].amplitude)
+    {
+      peaks.push(spectrum[i]);
+    }
+  }
+
+  return peaks.sort((a, b) => b.amplitude - a.amplitude).slice(0, count);
+};
@@ -0,0 +1,73 @@
+// Survey-in convergence model. The mean position accuracy reported in NAV-SVIN falls roughly as a
+// power of the elapsed time, accuracy = a * duration^-b, with b near 0.5 under open sky and well
+// below that when multipath or an obstruction biases the mean. Input samples are
+// { duration (s), accuracyMm } in arrival order.
+
+// Only the most recent part of the survey is fitted; the first seconds fall much faster
+const FIT_TAIL_FRACTION = 0.5;
+const MIN_FIT_SAMPLES = 10;
+const MIN_FIT_SPAN_SECONDS = 20;
+
+// Below this exponent the mean is no longer tightening in any useful time
+export const MIN_CONVERGENCE_EXPONENT = 0.1;
+
+// Predictions beyond this are reported as not converging rather than as a number
+export const MAX_PREDICTION_SECONDS = 4 * 3600;
+
+// Least-squares fit of ln(accuracy) = ln(a) - b ln(duration); null without enough data
+export const fitConvergence = (samples) =>
+{
+  if (samples.length === 0) return null;
+
+  const latest = samples[samples.length - 1].duration;
+  const tail = samples.filter(sample =>
+    sample.duration > 0 && sample.accuracyMm > 0 && sample.duration >= latest * (1 - FIT_TAIL_FRACTION));
+  if (tail.length < MIN_FIT_SAMPLES || latest - tail[0].duration < MIN_FIT_SPAN_SECONDS) return null;
+
+  const xs = tail.map(sample => Math.log(sample.duration));
+  const ys = tail.map(sample => Math.log(sample.accuracyMm));
+  const meanX = xs.reduce((sum, value) => sum + value, 0) / xs.length;
+  const meanY = ys.reduce((sum, value) => sum + value, 0) / ys.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, index) =>
+  {
+    numerator += (x - meanX) * (ys[index] - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  if (denominator === 0) return null;
+
+  const slope = numerator / denominator;
+  return {
+    a: Math.exp(meanY - slope * meanX),
+    b: -slope,
+    fromDuration: tail[0].duration
+  };
+};
+
+export const modelAccuracyMm = (fit, duration) => fit.a * duration ** -fit.b;
+
+// Time left until the receiver ends the survey, which needs both the minimum duration and the
+// accuracy limit. Returns { status, remainingSeconds, targetDuration } with status one of
+// 'waiting' (not enough data), 'converging', 'converged' or 'stalled'.
+export const predictCompletion = (samples, fit, { minDurationSeconds, accuracyLimitMeters }) =>
+{
+  if (samples.length === 0) return { status: 'waiting', remainingSeconds: null, targetDuration: null };
+
+  const { duration, accuracyMm } = samples[samples.length - 1];
+  const limitMm = accuracyLimitMeters * 1000;
+
+  if (accuracyMm <= limitMm)
+  {
+    return { status: 'converged', remainingSeconds: Math.max(0, minDurationSeconds - duration), targetDuration: Math.max(duration, minDurationSeconds) };
+  }
+  if (!fit) return { status: 'waiting', remainingSeconds: null, targetDuration: null };
+  if (fit.b < MIN_CONVERGENCE_EXPONENT) return { status: 'stalled', remainingSeconds: null, targetDuration: null };
+
+  const accuracyDuration = (fit.a / limitMm) ** (1 / fit.b);
+  const targetDuration = Math.max(accuracyDuration, minDurationSeconds, duration);
+  if (targetDuration > MAX_PREDICTION_SECONDS) return { status: 'stalled', remainingSeconds: null, targetDuration: null };
+
+  return { status: 'converging', remainingSeconds: targetDuration - duration, targetDuration };
+};
@@ -0,0 +1,41 @@
+// Pole tilt from the IMU attitude. The IMU sits on the pole with its z axis pointing down the
+// pole (body axes as in utils/attitude: x forward, y right, z down), so the pole direction in
+// the local north-east-down frame is the third column of the attitude's rotation matrix.
+
+const DEG = Math.PI / 180;
+
+// Offset (m, east/north/up) from the antenna to the pole tip on the ground. heading is the true
+// heading of the body x axis, i.e. the magnetic heading plus the declination.
+export const poleTipOffset = (roll, pitch, heading, poleHeight) =>
+{
+  const phi = roll * DEG;
+  const theta = pitch * DEG;
+  const psi = heading * DEG;
+
+  const north = Math.cos(psi) * Math.sin(theta) * Math.cos(phi) + Math.sin(psi) * Math.sin(phi);
+  const east = Math.sin(psi) * Math.sin(theta) * Math.cos(phi) - Math.cos(psi) * Math.sin(phi);
+  const down = Math.cos(theta) * Math.cos(phi);
+
+  return {
+    east: poleHeight * east,
+    north: poleHeight * north,
+    up: -poleHeight * down
+  };
+};
+
+// Angle of the pole from vertical (degrees)
+export const poleTiltAngle = (roll, pitch) =>
+  Math.acos(Math.max(-1, Math.min(1, Math.cos(pitch * DEG) * Math.cos(roll * DEG)))) / DEG;
+
+// Where the antenna would be with the pole held plumb over the same tip, relative to where it
+// is: the horizontal lean taken out and the height it lost by leaning put back. Subtracting the
+// pole height from the result then gives the ground mark as for a levelled pole.
+export const plumbAntennaOffset = (roll, pitch, heading, poleHeight) =>
+{
+  const tip = poleTipOffset(roll, pitch, heading, poleHeight);
+  return {
+    east: tip.east,
+    north: tip.north,
+    up: tip.up + poleHeight
+  };
+};
@@ -0,0 +1,364 @@
+import { ecefToGeodetic } from './geodesy';
+
+// UBX message identifiers (see Backend/Hardware/Gnss/UbxConstants.cs)
+const CLASS_NAV = 0x01;
+const NAV_PVT = 0x07;
+const NAV_DOP = 0x04;
+const NAV_SAT = 0x35;
+const NAV_SVIN = 0x3B;
+const NAV_RELPOSNED = 0x3C;
+const NAV_HPPOSLLH = 0x14;
+
+const GNSS_NAMES = {
+  0: 'GPS',
+  1: 'SBAS',
+  2: 'Galileo',
+  3: 'BeiDou',
+  4: 'IMES',
+  5: 'QZSS',
+  6: 'GLONASS'
+};
+
+const getGnssName = (gnssId) => GNSS_NAMES[gnssId] ?? `Unknown(${gnssId})`;
+
+// Mirrors PositionVelocityTimeParser.GetEnhancedFixTypeLabel on the backend
+const getFixTypeString = (fixType, diffSoln, carrSoln) =>
+{
+  if (fixType === 0) return 'No Fix';
+
+  if (carrSoln === 2) return fixType === 2 ? 'RTK Fix 2D' : 'RTK Fix';
+  if (carrSoln === 1) return fixType === 2 ? 'RTK Float 2D' : 'RTK Float';
+
+  if (diffSoln) return fixType === 2 ? 'DGPS 2D' : 'DGPS';
+
+  if (fixType === 2) return 'Single 2D';
+  if (fixType === 3) return 'Single 3D';
+
+  switch (fixType)
+  {
+    case 1: return 'Dead Reckoning';
+    case 4: return 'GNSS+DR';
+    case 5: return 'Time Only';
+    default: return `Unknown(${fixType})`;
+  }
+};
+
+const decodeNavPvt = (view) =>
+{
+  if (view.byteLength < 84) return null;
+
+  const year = view.getUint16(4, true);
+  const month = view.getUint8(6);
+  const day = view.getUint8(7);
+  const hour = view.getUint8(8);
+  const minute = view.getUint8(9);
+  const second = view.getUint8(10);
+  const valid = view.getUint8(11);
+  const fixType = view.getUint8(20);
+  const flags = view.getUint8(21);
+  const diffAge = view.getUint16(76, true);
+
+  const diffSoln = (flags & 0x02) !== 0;
+  const carrSoln = (flags >> 6) & 0x03;
+
+  let gnssTimestamp = 0;
+  if ((valid & 0x01) !== 0 && (valid & 0x02) !== 0 && year >= 1970 && month >= 1 && month <= 12)
+  {
+    gnssTimestamp = Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+
+  return {
+    iTow: view.getUint32(0, true),
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    timeValid: valid,
+    gnssTimestamp,
+    fixType,
+    fixTypeString: getFixTypeString(fixType, diffSoln, carrSoln),
+    gnssFixOk: (flags & 0x01) !== 0,
+    differentialSolution: diffSoln,
+    numSatellites: view.getUint8(23),
+    longitude: view.getInt32(24, true) * 1e-7,
+    latitude: view.getInt32(28, true) * 1e-7,
+    heightEllipsoid: view.getInt32(32, true),
+    heightMSL: view.getInt32(36, true),
+    horizontalAccuracy: view.getUint32(40, true) / 1000.0,
+    verticalAccuracy: view.getUint32(44, true) / 1000.0,
+    carrierSolution: carrSoln,
+    diffAge: diffAge === 0xFFFF ? null : diffAge
+  };
+};
+
+const decodeNavSat = (view) =>
+{
+  if (view.byteLength < 8) return null;
+
+  const numSvs = view.getUint8(5);
+  if (view.byteLength < 8 + numSvs * 12) return null;
+
+  const satellites = [];
+  for (let i = 0; i < numSvs; i++)
+  {
+    const offset = 8 + i * 12;
+    const gnssId = view.getUint8(offset);
+    const flags = view.getUint32(offset + 8, true);
+
+    satellites.push({
+      gnssId,
+      gnssName: getGnssName(gnssId),
+      svId: view.getUint8(offset + 1),
+      cno: view.getUint8(offset + 2),
+      elevation: view.getInt8(offset + 3),
+      azimuth: view.getInt16(offset + 4, true),
+      pseudorangeResidual: view.getInt16(offset + 6, true) * 0.1,
+      qualityIndicator: flags & 0x7,
+      svUsed: (flags & 0x8) !== 0,
+      health: (flags >> 4) & 0x3,
+      differentialCorrection: (flags & 0x40) !== 0,
+      smoothed: (flags & 0x80) !== 0
+    });
+  }
+
+  return {
+    iTow: view.getUint32(0, true),
+    numSatellites: numSvs,
+    satellites
+  };
+};
+
+const decodeNavHpPosLlh = (view) =>
+{
+  if (view.byteLength < 36) return null;
+
+  return {
+    iTow: view.getUint32(4, true),
+    longitude: view.getInt32(8, true) * 1e-7 + view.getInt8(24) * 1e-9,
+    latitude: view.getInt32(12, true) * 1e-7 + view.getInt8(25) * 1e-9,
+    heightEllipsoid: (view.getInt32(16, true) + view.getInt8(26) * 0.1) / 1000.0,
+    heightMSL: (view.getInt32(20, true) + view.getInt8(27) * 0.1) / 1000.0,
+    horizontalAccuracy: view.getUint32(28, true) * 0.0001,
+    verticalAccuracy: view.getUint32(32, true) * 0.0001
+  };
+};
+
+const decodeNavDop = (view) =>
+{
+  if (view.byteLength < 18) return null;
+
+  return {
+    iTow: view.getUint32(0, true),
+    geometricDop: view.getUint16(4, true) * 0.01,
+    positionDop: view.getUint16(6, true) * 0.01,
+    timeDop: view.getUint16(8, true) * 0.01,
+    verticalDop: view.getUint16(10, true) * 0.01,
+    horizontalDop: view.getUint16(12, true) * 0.01,
+    northingDop: view.getUint16(14, true) * 0.01,
+    eastingDop: view.getUint16(16, true) * 0.01
+  };
+};
+
+const decodeNavRelPosNed = (view) =>
+{
+  if (view.byteLength < 64) return null;
+
+  const relPosN = view.getInt32(8, true) * 0.01 + view.getInt8(20) * 0.0001;
+  const relPosE = view.getInt32(12, true) * 0.01 + view.getInt8(21) * 0.0001;
+  const relPosD = view.getInt32(16, true) * 0.01 + view.getInt8(22) * 0.0001;
+  const accN = view.getUint32(24, true) * 0.0001;
+  const accE = view.getUint32(28, true) * 0.0001;
+  const accD = view.getUint32(32, true) * 0.0001;
+  const flags = view.getUint32(36, true);
+
+  const relPosLength = Math.sqrt(relPosN * relPosN + relPosE * relPosE + relPosD * relPosD);
+  let relPosHeading = Math.atan2(relPosE, relPosN) * 180.0 / Math.PI;
+  if (relPosHeading < 0) relPosHeading += 360.0;
+
+  return {
+    iTow: view.getUint32(4, true),
+    relPosN,
+    relPosE,
+    relPosD,
+    relPosLength,
+    relPosHeading,
+    accN,
+    accE,
+    accD,
+    accLength: Math.sqrt(accN * accN + accE * accE + accD * accD),
+    accHeading: relPosLength > 0.1
+      ? Math.atan2(Math.sqrt(accN * accN + accE * accE), relPosLength) * 180.0 / Math.PI
+      : 180.0,
+    relPosValid: (flags & 0x04) !== 0,
+    relPosNormalized: (flags & 0x200) !== 0,
+    carrSoln: (flags >> 3) & 0x03,
+    isMoving: (flags & 0x20) !== 0,
+    refPosMiss: (flags & 0x40) !== 0,
+    refObsMiss: (flags & 0x80) !== 0,
+    relPosHeadingValid: (flags & 0x100) !== 0
+  };
+};
+
+const decodeNavSvin = (view) =>
+{
+  if (view.byteLength < 40) return null;
+
+  return {
+    iTow: view.getUint32(4, true),
+    active: (view.getUint8(37) & 0x01) !== 0,
+    valid: (view.getUint8(36) & 0x01) !== 0,
+    duration: view.getUint32(8, true),
+    observations: view.getUint32(32, true),
+    accuracyMm: view.getUint32(28, true) * 0.1,
+    position: {
+      x: view.getInt32(12, true) / 100.0 + view.getInt8(24) * 0.1e-3,
+      y: view.getInt32(16, true) / 100.0 + view.getInt8(25) * 0.1e-3,
+      z: view.getInt32(20, true) / 100.0 + view.getInt8(26) * 0.1e-3
+    }
+  };
+};
+
+// Hub event name and decoder for each supported NAV message id
+const NAV_DECODERS = {
+  [NAV_PVT]: ['PvtUpdate', decodeNavPvt],
+  [NAV_SAT]: ['SatelliteUpdate', decodeNavSat],
+  [NAV_HPPOSLLH]: ['HpPositionUpdate', decodeNavHpPosLlh],
+  [NAV_DOP]: ['DopUpdate', decodeNavDop],
+  [NAV_RELPOSNED]: ['RelativePositionUpdate', decodeNavRelPosNed],
+  [NAV_SVIN]: ['SurveyInStatus', decodeNavSvin]
+};
+
+// Read an unsigned big-endian bit field from an RTCM payload
+const getBits = (bytes, start, length) =>
+{
+  let value = 0;
+  for (let i = start; i < start + length; i++)
+  {
+    value = value * 2 + ((bytes[i >> 3] >> (7 - (i & 7))) & 1);
+  }
+  return value;
+};
+
+const getSignedBits = (bytes, start, length) =>
+{
+  const value = getBits(bytes, start, length);
+  return value >= Math.pow(2, length - 1) ? value - Math.pow(2, length) : value;
+};
+
+const decodeRtcm1005 = (payload) =>
+{
+  if (payload.length < 19) return null;
+
+  const ecefX = getSignedBits(payload, 34, 38) * 0.0001;
+  const ecefY = getSignedBits(payload, 74, 38) * 0.0001;
+  const ecefZ = getSignedBits(payload, 114, 38) * 0.0001;
+  const { latitude, longitude, height } = ecefToGeodetic(ecefX, ecefY, ecefZ);
+
+  return {
+    stationId: getBits(payload, 12, 12),
+    latitude,
+    longitude,
+    altitude: height,
+    ecefX,
+    ecefY,
+    ecefZ
+  };
+};
+
+const isUbxChecksumValid = (bytes, start, total) =>
+{
+  let ckA = 0;
+  let ckB = 0;
+  for (let i = start + 2; i < start + total - 2; i++)
+  {
+    ckA = (ckA + bytes[i]) & 0xFF;
+    ckB = (ckB + ckA) & 0xFF;
+  }
+  return ckA === bytes[start + total - 2] && ckB === bytes[start + total - 1];
+};
+
+const crc24q = (bytes, start, end) =>
+{
+  let crc = 0;
+  for (let i = start; i < end; i++)
+  {
+    crc ^= bytes[i] << 16;
+    for (let bit = 0; bit < 8; bit++)
+    {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864CFB;
+    }
+  }
+  return crc & 0xFFFFFF;
+};
+
+const isRtcmCrcValid = (bytes, start, total) =>
+{
+  const expected = (bytes[start + total - 3] << 16) | (bytes[start + total - 2] << 8) | bytes[start + total - 1];
+  return crc24q(bytes, start, start + total - 3) === expected;
+};
+
+// Decode a raw GNSS.raw log into the hub events the backend would have sent for it.
+// Each entry carries the GPS time of week it belongs to; RTCM frames inherit the last seen iTow.
+export const decodeGnssLog = (buffer) =>
+{
+  const bytes = new Uint8Array(buffer);
+  const events = [];
+  let lastITow = null;
+  let i = 0;
+
+  while (i < bytes.length - 1)
+  {
+    // UBX: 0xB5 0x62 [cls][id][lenL][lenH] payload [CK_A][CK_B]
+    if (bytes[i] === 0xB5 && bytes[i + 1] === 0x62 && i + 6 <= bytes.length)
+    {
+      const length = bytes[i + 4] | (bytes[i + 5] << 8);
+      const total = 6 + length + 2;
+
+      if (length <= 4096 && i + total <= bytes.length && isUbxChecksumValid(bytes, i, total))
+      {
+        const decoder = bytes[i + 2] === CLASS_NAV ? NAV_DECODERS[bytes[i + 3]] : null;
+        if (decoder)
+        {
+          const [name, decode] = decoder;
+          const data = decode(new DataView(buffer, i + 6, length));
+          if (data)
+          {
+            lastITow = data.iTow;
+            events.push({ iTow: data.iTow, name, data });
+          }
+        }
+        i += total;
+        continue;
+      }
+    }
+
+    // RTCM3: 0xD3 [reserved(6b)|len(10b)] payload CRC24Q
+    if (bytes[i] === 0xD3 && i + 3 <= bytes.length && (bytes[i + 1] & 0xFC) === 0)
+    {
+      const length = ((bytes[i + 1] & 0x03) << 8) | bytes[i + 2];
+      const total = 3 + length + 3;
+
+      if (length > 0 && i + total <= bytes.length && isRtcmCrcValid(bytes, i, total))
+      {
+        const payload = bytes.subarray(i + 3, i + 3 + length);
+        if (getBits(payload, 0, 12) === 1005 && lastITow !== null)
+        {
+          const data = decodeRtcm1005(payload);
+          if (data)
+          {
+            events.push({ iTow: lastITow, name: 'ReferenceStationPosition', data });
+          }
+        }
+        i += total;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  return events;
+};
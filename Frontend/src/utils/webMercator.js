@@ -0,0 +1,34 @@
+// Spherical Web Mercator as used by XYZ slippy-map tiles
+export const TILE_SIZE = 256;
+
+const MAX_LATITUDE = 85.05112878;
+const EARTH_CIRCUMFERENCE = 40075016.686;
+
+// Pixel coordinates of a point in the whole-world image at the given zoom level
+export const project = (latitude, longitude, zoom) =>
+{
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI / 180;
+
+  return {
+    x: (longitude + 180) / 360 * worldSize,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * worldSize
+  };
+};
+
+export const unproject = (x, y, zoom) =>
+{
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / worldSize;
+
+  return {
+    latitude: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+    longitude: x / worldSize * 360 - 180
+  };
+};
+
+// Ground distance covered by one screen pixel at a latitude
+export const metersPerPixel = (latitude, zoom) =>
+{
+  return EARTH_CIRCUMFERENCE * Math.cos(latitude * Math.PI / 180) / (TILE_SIZE * Math.pow(2, zoom));
+};